@@ -1 +1,2 @@
 export * from './lib/main.js';
+export type * from './lib/tstyche-json-reporter-types.js';
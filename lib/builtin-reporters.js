@@ -0,0 +1,41 @@
+/**
+ * The reporters of this package by name, for picking them from options and command line arguments.
+ */
+
+import TstycheBaselineReporter from './tstyche-baseline-reporter.js';
+import TstycheDotReporter from './tstyche-dot-reporter.js';
+import TstycheGithubActionsReporter from './tstyche-github-actions-reporter.js';
+import TstycheJsonReporter from './tstyche-json-reporter.js';
+import TstycheJunitReporter from './tstyche-junit-reporter.js';
+import TstycheMatrixReporter from './tstyche-matrix-reporter.js';
+import TstycheMochaReporter from './tstyche-mocha-reporter.js';
+import TstycheProgressReporter from './tstyche-progress-reporter.js';
+import TstycheRecorderReporter from './tstyche-recorder-reporter.js';
+import TstycheStepSummaryReporter from './tstyche-step-summary-reporter.js';
+import TstycheTapReporter from './tstyche-tap-reporter.js';
+
+export const BUILTIN_REPORTERS = {
+  'baseline': TstycheBaselineReporter,
+  'dot': TstycheDotReporter,
+  'github-actions': TstycheGithubActionsReporter,
+  'json': TstycheJsonReporter,
+  'junit': TstycheJunitReporter,
+  'matrix': TstycheMatrixReporter,
+  'mocha': TstycheMochaReporter,
+  'progress': TstycheProgressReporter,
+  'recorder': TstycheRecorderReporter,
+  'step-summary': TstycheStepSummaryReporter,
+  'tap': TstycheTapReporter,
+};
+
+/** @typedef {keyof BUILTIN_REPORTERS} BuiltinReporterName */
+
+/**
+ * Checks whether a name is the name of one of the reporters of this package.
+ *
+ * @param {string} name - Name of a reporter, eg. `mocha`
+ * @returns {name is BuiltinReporterName}
+ */
+export function isBuiltinReporterName (name) {
+  return Object.hasOwn(BUILTIN_REPORTERS, name);
+}
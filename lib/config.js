@@ -0,0 +1,418 @@
+/**
+ * Loading and validation of the options shared by all reporters.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+
+/** @import { ReporterEvent, ResolvedConfig } from 'tstyche/tstyche' */
+
+/** @typedef {'cli' | 'markdown' | 'plain'} OutputMode */
+
+/** @typedef {'aggregate' | 'ndjson'} JsonMode */
+
+/**
+ * Symbols that replace the default symbols of test outcomes.
+ *
+ * @typedef StatusSymbols
+ * @property {string} [passed]
+ * @property {string} [failed]
+ * @property {string} [skipped]
+ * @property {string} [todo]
+ * @property {string} [fixme]
+ * @property {string} [expected] - Tests that fail as expected by the known failures file
+ */
+
+/**
+ * @typedef ReporterConfig
+ * @property {OutputMode | 'auto'} mode - Whether to output colored CLI text, Markdown or plain text, `auto` to detect it from the environment
+ * @property {number} wrapWidth - Characters per line before the dot reporter wraps, `0` to never wrap
+ * @property {StatusSymbols} symbols - Symbols of test outcomes, replacing the defaults of the output mode
+ * @property {number} indentation - Spaces per level of indentation
+ * @property {boolean} errorsInline - Whether to print errors as they happen, rather than when the run ends
+ * @property {string | undefined} output - File to write all output to, relative to the root path
+ * @property {string | undefined} knownFailures - File listing the tests that are expected to fail, relative to the root path, defaults to `tstyche-known-failures.json` when that exists
+ * @property {boolean} summary - Whether to print the built-in summary when the run ends
+ * @property {number} slow - Milliseconds above which the Mocha reporter considers a test slow
+ * @property {number} slowest - Number of slowest tests and files the Mocha reporter lists when the run ends, `0`, the default, to not list any
+ * @property {boolean} quiet - Whether the Mocha reporter only prints failing tests
+ * @property {boolean} verbose - Whether the Mocha reporter lists the assertions of each test
+ * @property {boolean} matrixDiff - Whether the matrix reporter only shows tests whose outcome differs between versions
+ * @property {JsonMode} jsonMode - Whether the JSON reporter writes a single document when the run ends or one line per event
+ * @property {string | undefined} jsonOutput - File the JSON reporter writes to, relative to the root path
+ * @property {string | undefined} junitOutput - File the JUnit reporter writes to, relative to the root path, defaults to `tstyche-junit.xml`
+ * @property {string | undefined} recordingOutput - File the recorder reporter writes to, relative to the root path, defaults to `tstyche-recording.ndjson`
+ * @property {string | undefined} baseline - File the baseline reporter compares with and updates, relative to the root path, defaults to `tstyche-baseline.json`
+ * @property {boolean} failOnRegressions - Whether the baseline reporter fails the run on regressions and then leaves the baseline as is
+ * @property {ChildReporterConfig[]} reporters - Reporters that `TstycheMultiReporter` forwards events to
+ */
+
+/**
+ * A reporter of `TstycheMultiReporter`, along with options that take precedence over the shared ones.
+ *
+ * @typedef {Partial<Omit<ReporterConfig, 'reporters'>> & { reporter: string | ReporterClass }} ChildReporterConfig
+ */
+
+/**
+ * @typedef {new (resolvedConfig: ResolvedConfig, options?: { config?: Partial<ReporterConfig> }) => { on: (reporterEvent: ReporterEvent) => void }} ReporterClass
+ */
+
+const CONFIG_FILE_NAME = 'tstyche-reporters.config.json';
+const CONFIG_KEY = 'tstycheReporters';
+
+const OUTPUT_MODES = ['auto', 'cli', 'markdown', 'plain'];
+const JSON_MODES = ['aggregate', 'ndjson'];
+const STATUS_KEYS = ['passed', 'failed', 'skipped', 'todo', 'fixme', 'expected'];
+
+/** @type {ReporterConfig} */
+const DEFAULT_CONFIG = {
+  mode: 'auto',
+  wrapWidth: 80,
+  symbols: {},
+  indentation: 2,
+  errorsInline: true,
+  output: undefined,
+  knownFailures: undefined,
+  summary: false,
+  slow: 75,
+  slowest: 0,
+  quiet: false,
+  verbose: false,
+  matrixDiff: false,
+  jsonMode: 'aggregate',
+  jsonOutput: undefined,
+  junitOutput: undefined,
+  recordingOutput: undefined,
+  baseline: undefined,
+  failOnRegressions: false,
+  reporters: [],
+};
+
+/**
+ * Validators of each option, returning a description of what was expected when a value is invalid.
+ *
+ * @type {Record<keyof ReporterConfig, (value: unknown) => string | undefined>}
+ */
+const validators = {
+  mode: (value) => typeof value === 'string' && OUTPUT_MODES.includes(value)
+    ? undefined
+    : `Expected one of ${OUTPUT_MODES.map(mode => `'${mode}'`).join(', ')}`,
+  wrapWidth: (value) => Number.isInteger(value) && Number(value) >= 0 ? undefined : 'Expected a non-negative integer',
+  symbols: (value) => isPlainObject(value) && Object.entries(value).every(([key, symbol]) => STATUS_KEYS.includes(key) && typeof symbol === 'string')
+    ? undefined
+    : `Expected an object with string values for any of ${STATUS_KEYS.map(key => `'${key}'`).join(', ')}`,
+  indentation: (value) => Number.isInteger(value) && Number(value) >= 0 ? undefined : 'Expected a non-negative integer',
+  errorsInline: (value) => typeof value === 'boolean' ? undefined : 'Expected a boolean',
+  output: (value) => typeof value === 'string' && value !== '' ? undefined : 'Expected a non-empty string',
+  knownFailures: (value) => typeof value === 'string' && value !== '' ? undefined : 'Expected a non-empty string',
+  summary: (value) => typeof value === 'boolean' ? undefined : 'Expected a boolean',
+  slow: (value) => Number.isInteger(value) && Number(value) > 0 ? undefined : 'Expected a positive integer',
+  slowest: (value) => Number.isInteger(value) && Number(value) >= 0 ? undefined : 'Expected a non-negative integer',
+  quiet: (value) => typeof value === 'boolean' ? undefined : 'Expected a boolean',
+  verbose: (value) => typeof value === 'boolean' ? undefined : 'Expected a boolean',
+  matrixDiff: (value) => typeof value === 'boolean' ? undefined : 'Expected a boolean',
+  jsonMode: (value) => typeof value === 'string' && JSON_MODES.includes(value)
+    ? undefined
+    : `Expected one of ${JSON_MODES.map(mode => `'${mode}'`).join(', ')}`,
+  jsonOutput: (value) => typeof value === 'string' && value !== '' ? undefined : 'Expected a non-empty string',
+  junitOutput: (value) => typeof value === 'string' && value !== '' ? undefined : 'Expected a non-empty string',
+  recordingOutput: (value) => typeof value === 'string' && value !== '' ? undefined : 'Expected a non-empty string',
+  baseline: (value) => typeof value === 'string' && value !== '' ? undefined : 'Expected a non-empty string',
+  failOnRegressions: (value) => typeof value === 'boolean' ? undefined : 'Expected a boolean',
+  reporters: (value) => Array.isArray(value)
+    ? value.map((entry, index) => validateChildReporter(entry, index)).find(Boolean)
+    : 'Expected an array',
+};
+
+/**
+ * Loads the options of the reporters from all sources and validates them.
+ *
+ * Sources are applied in this order, later ones taking precedence:
+ *
+ * 1. The defaults
+ * 2. The `tstycheReporters` key of the resolved TSTyche configuration
+ * 3. The `tstyche-reporters.config.json` file in the root path, or the file pointed to by `TSTYCHE_REPORTERS_CONFIG`
+ * 4. Environment variables, eg. `TSTYCHE_REPORTERS_MARKDOWN` and `TSTYCHE_REPORTERS_WRAP_WIDTH`
+ * 5. The `overrides`, eg. given to the constructor of a reporter
+ *
+ * @param {ResolvedConfig} resolvedConfig - TSTyche configuration
+ * @param {Partial<ReporterConfig>} [overrides] - Options that take precedence over all other sources
+ * @returns {ReporterConfig} The validated options
+ * @throws {Error} When an option is unknown or has an invalid value, or when a config file can't be read
+ */
+export function loadReporterConfig (resolvedConfig, overrides = {}) {
+  const rootPath = resolvedConfig.rootPath ?? process.cwd();
+
+  /** @type {ReporterConfig} */
+  const config = { ...DEFAULT_CONFIG };
+
+  if (CONFIG_KEY in resolvedConfig) {
+    const fromTstyche = /** @type {Record<string, unknown>} */ (resolvedConfig)[CONFIG_KEY];
+    applyConfig(config, fromTstyche, `the '${CONFIG_KEY}' key of the TSTyche configuration`);
+  }
+
+  const configFile = readConfigFile(rootPath);
+  if (configFile) {
+    applyConfig(config, configFile.value, configFile.filePath);
+  }
+
+  applyConfig(config, getEnvConfig(), 'environment variables');
+  applyConfig(config, overrides, 'reporter options');
+
+  return config;
+}
+
+/**
+ * Detects the output mode suited to the environment, used when the `mode` option is `auto`.
+ *
+ * In order of precedence:
+ *
+ * 1. `FORCE_COLOR` gives colored CLI output, unless set to `0` or `false`, which gives plain text
+ * 2. `GITHUB_ACTIONS` gives Markdown
+ * 3. `NO_COLOR` and `CI` give plain text
+ * 4. Output to a TTY gives colored CLI output, anything else plain text
+ *
+ * @param {{ isTTY?: boolean }} stream - The stream regular output is written to
+ * @returns {OutputMode} The detected output mode
+ */
+export function detectOutputMode (stream) {
+  /* eslint-disable n/no-process-env -- Environment-based output mode detection */
+  const {
+    CI: ci,
+    FORCE_COLOR: forceColor,
+    GITHUB_ACTIONS: githubActions,
+    NO_COLOR: noColor,
+  } = process.env;
+  /* eslint-enable n/no-process-env */
+
+  if (forceColor !== undefined) {
+    return forceColor === '0' || forceColor === 'false' ? 'plain' : 'cli';
+  }
+  if (githubActions === 'true') {
+    return 'markdown';
+  }
+  if (noColor || (ci && ci !== 'false')) {
+    return 'plain';
+  }
+
+  return stream.isTTY ? 'cli' : 'plain';
+}
+
+/**
+ * @param {ReporterConfig} config - Config to apply the options to
+ * @param {unknown} source - Options to apply
+ * @param {string} sourceName - Where the options come from, for error messages
+ * @returns {void}
+ */
+function applyConfig (config, source, sourceName) {
+  if (!isPlainObject(source)) {
+    throw new Error(`Invalid tstyche-reporters options in ${sourceName}: Expected an object`);
+  }
+
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    if (!isConfigKey(key)) {
+      throw new Error(`Unknown tstyche-reporters option '${key}' in ${sourceName}`);
+    }
+
+    const expected = validators[key](value);
+    if (expected) {
+      throw new Error(`Invalid tstyche-reporters option '${key}' in ${sourceName}: ${expected}, got ${JSON.stringify(value)}`);
+    }
+
+    if (key === 'symbols') {
+      config.symbols = { ...config.symbols, ...value };
+    } else {
+      Object.assign(config, { [key]: value });
+    }
+  }
+}
+
+/**
+ * @param {string} rootPath
+ * @returns {{ filePath: string, value: unknown } | undefined}
+ */
+function readConfigFile (rootPath) {
+  // eslint-disable-next-line n/no-process-env -- Environment-based config file
+  const explicitPath = process.env['TSTYCHE_REPORTERS_CONFIG'];
+  const filePath = path.resolve(rootPath, explicitPath || CONFIG_FILE_NAME);
+
+  /* eslint-disable n/no-sync, security/detect-non-literal-fs-filename -- Reporters are created synchronously */
+  if (!explicitPath && !existsSync(filePath)) {
+    return;
+  }
+
+  /** @type {string} */
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read tstyche-reporters config file ${filePath}`, { cause: err });
+  }
+  /* eslint-enable n/no-sync, security/detect-non-literal-fs-filename */
+
+  try {
+    return { filePath, value: JSON.parse(content) };
+  } catch (err) {
+    throw new Error(`Could not parse tstyche-reporters config file ${filePath}: ${err instanceof Error ? err.message : String(err)}`, { cause: err });
+  }
+}
+
+/**
+ * Reads the options set through environment variables.
+ *
+ * Values that can't be converted are kept as strings, so that validation reports them.
+ *
+ * @returns {Record<string, unknown>}
+ */
+function getEnvConfig () {
+  /* eslint-disable n/no-process-env -- Environment-based options */
+  const {
+    TSTYCHE_REPORTERS_BASELINE: baseline,
+    TSTYCHE_REPORTERS_BASELINE_FAIL_ON_REGRESSIONS: failOnRegressions,
+    TSTYCHE_REPORTERS_ERRORS_INLINE: errorsInline,
+    TSTYCHE_REPORTERS_INDENTATION: indentation,
+    TSTYCHE_REPORTERS_JSON_MODE: jsonMode,
+    TSTYCHE_REPORTERS_JSON_OUTPUT: jsonOutput,
+    TSTYCHE_REPORTERS_JUNIT_OUTPUT: junitOutput,
+    TSTYCHE_REPORTERS_KNOWN_FAILURES: knownFailures,
+    TSTYCHE_REPORTERS_MARKDOWN: markdown,
+    TSTYCHE_REPORTERS_MATRIX_DIFF: matrixDiff,
+    TSTYCHE_REPORTERS_MODE: mode,
+    TSTYCHE_REPORTERS_OUTPUT: output,
+    TSTYCHE_REPORTERS_QUIET: quiet,
+    TSTYCHE_REPORTERS_RECORDING_OUTPUT: recordingOutput,
+    TSTYCHE_REPORTERS_SLOW: slow,
+    TSTYCHE_REPORTERS_SLOWEST: slowest,
+    TSTYCHE_REPORTERS_SUMMARY: summary,
+    TSTYCHE_REPORTERS_VERBOSE: verbose,
+    TSTYCHE_REPORTERS_WRAP_WIDTH: wrapWidth,
+  } = process.env;
+  /* eslint-enable n/no-process-env */
+
+  /** @type {Record<string, unknown>} */
+  const envConfig = {};
+
+  if (markdown === 'true' || markdown === 'false') {
+    envConfig['mode'] = markdown === 'true' ? 'markdown' : 'cli';
+  }
+  if (mode) {
+    envConfig['mode'] = mode;
+  }
+  if (wrapWidth) {
+    envConfig['wrapWidth'] = parseEnvInteger(wrapWidth);
+  }
+  if (indentation) {
+    envConfig['indentation'] = parseEnvInteger(indentation);
+  }
+  if (errorsInline) {
+    envConfig['errorsInline'] = parseEnvBoolean(errorsInline);
+  }
+  if (output) {
+    envConfig['output'] = output;
+  }
+  if (knownFailures) {
+    envConfig['knownFailures'] = knownFailures;
+  }
+  if (summary) {
+    envConfig['summary'] = parseEnvBoolean(summary);
+  }
+  if (slow) {
+    envConfig['slow'] = parseEnvInteger(slow);
+  }
+  if (slowest) {
+    envConfig['slowest'] = parseEnvInteger(slowest);
+  }
+  if (quiet) {
+    envConfig['quiet'] = parseEnvBoolean(quiet);
+  }
+  if (verbose) {
+    envConfig['verbose'] = parseEnvBoolean(verbose);
+  }
+  if (matrixDiff) {
+    envConfig['matrixDiff'] = parseEnvBoolean(matrixDiff);
+  }
+  if (jsonMode) {
+    envConfig['jsonMode'] = jsonMode;
+  }
+  if (jsonOutput) {
+    envConfig['jsonOutput'] = jsonOutput;
+  }
+  if (junitOutput) {
+    envConfig['junitOutput'] = junitOutput;
+  }
+  if (recordingOutput) {
+    envConfig['recordingOutput'] = recordingOutput;
+  }
+  if (baseline) {
+    envConfig['baseline'] = baseline;
+  }
+  if (failOnRegressions) {
+    envConfig['failOnRegressions'] = parseEnvBoolean(failOnRegressions);
+  }
+
+  return envConfig;
+}
+
+/**
+ * @param {unknown} entry - An entry of the `reporters` option
+ * @param {number} index - Position of the entry
+ * @returns {string | undefined} A description of what was expected, when the entry is invalid
+ */
+function validateChildReporter (entry, index) {
+  if (!isPlainObject(entry)) {
+    return `Expected an object in entry ${index}`;
+  }
+
+  const { reporter, ...options } = entry;
+
+  if (typeof reporter !== 'function' && (typeof reporter !== 'string' || reporter === '')) {
+    return `Expected a 'reporter' name or class in entry ${index}`;
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    if (!isConfigKey(key) || key === 'reporters') {
+      return `Unknown option '${key}' in entry ${index}`;
+    }
+
+    const expected = value === undefined ? undefined : validators[key](value);
+    if (expected) {
+      return `Invalid option '${key}' in entry ${index}: ${expected}`;
+    }
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {number | string}
+ */
+function parseEnvInteger (value) {
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean | string}
+ */
+function parseEnvBoolean (value) {
+  return value === 'true' || value === 'false' ? value === 'true' : value;
+}
+
+/**
+ * @param {string} key
+ * @returns {key is keyof ReporterConfig}
+ */
+function isConfigKey (key) {
+  return Object.hasOwn(validators, key);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,259 @@
+/**
+ * Loading and matching of the allowlist of known failures, tests that are expected to fail.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * An entry of the known failures file.
+ *
+ * @typedef KnownFailureEntry
+ * @property {string} [file] - Glob matching the test file path, relative to the root path, eg. `typetests/**\/*.test.ts`
+ * @property {string} [name] - Pattern matching the full test name, including describe breadcrumbs, where `*` matches any characters
+ * @property {string} [typescript] - Range of TypeScript versions, eg. `>=5.4 <5.8 || 6.0`
+ * @property {string} expires - Date after which the entry no longer applies, as `YYYY-MM-DD`
+ * @property {string} [reason] - Why the test fails, eg. a link to an upstream issue
+ */
+
+/**
+ * A loaded entry of the known failures file.
+ *
+ * @typedef KnownFailure
+ * @property {KnownFailureEntry} entry - The entry, as found in the file
+ * @property {number} index - Position of the entry in the file
+ * @property {boolean} expired - Whether the expiry date of the entry has passed
+ */
+
+/**
+ * A test to match against the known failures.
+ *
+ * @typedef KnownFailureTest
+ * @property {string | undefined} file - Test file path, relative to the root path
+ * @property {string} name - Full test name, including describe breadcrumbs
+ * @property {string | undefined} compilerVersion - TypeScript version the test ran with
+ */
+
+const KNOWN_FAILURES_FILE_NAME = 'tstyche-known-failures.json';
+
+const ENTRY_KEYS = new Set(['file', 'name', 'typescript', 'expires', 'reason']);
+const COMPARATOR_REGEX = /^(?:[<>]=?)?\d+(?:\.\d+){0,2}$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @type {WeakMap<KnownFailureEntry, { file: RegExp | undefined, name: RegExp | undefined }>} */
+const patternCache = new WeakMap();
+
+/**
+ * Loads the known failures file.
+ *
+ * The file is a JSON array of entries. It's read from `knownFailuresPath` when given,
+ * else from `tstyche-known-failures.json` in the root path, when that exists.
+ *
+ * @param {string} rootPath - The TSTyche root path, that relative paths are resolved against
+ * @param {string | undefined} [knownFailuresPath] - The `knownFailures` option
+ * @param {string} [today] - The current date as `YYYY-MM-DD`, that expiry dates are compared with
+ * @returns {KnownFailure[]} The known failures, empty when there is no file
+ * @throws {Error} When the file can't be read or is invalid
+ */
+export function loadKnownFailures (rootPath, knownFailuresPath, today = new Date().toISOString().slice(0, 10)) {
+  const filePath = path.resolve(rootPath, knownFailuresPath ?? KNOWN_FAILURES_FILE_NAME);
+
+  /* eslint-disable n/no-sync, security/detect-non-literal-fs-filename -- Reporters are created synchronously */
+  if (!knownFailuresPath && !existsSync(filePath)) {
+    return [];
+  }
+
+  /** @type {string} */
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read known failures file ${filePath}`, { cause: err });
+  }
+  /* eslint-enable n/no-sync, security/detect-non-literal-fs-filename */
+
+  /** @type {unknown} */
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Could not parse known failures file ${filePath}: ${err instanceof Error ? err.message : String(err)}`, { cause: err });
+  }
+
+  if (!Array.isArray(value)) {
+    throw new TypeError(`Invalid known failures file ${filePath}: Expected an array of entries`);
+  }
+
+  return value.map((entry, index) => {
+    const expected = validateEntry(entry, index);
+    if (expected) {
+      throw new Error(`Invalid known failures file ${filePath}: ${expected}`);
+    }
+
+    const knownFailureEntry = /** @type {KnownFailureEntry} */ (entry);
+
+    return { entry: knownFailureEntry, index, expired: knownFailureEntry.expires < today };
+  });
+}
+
+/**
+ * Checks whether a known failure matches a test.
+ *
+ * Leaving out `file`, `name` or `typescript` from an entry matches any value.
+ *
+ * @param {KnownFailure} knownFailure - The known failure
+ * @param {KnownFailureTest} test - The test
+ * @returns {boolean}
+ */
+export function matchesKnownFailure ({ entry }, test) {
+  let patterns = patternCache.get(entry);
+  if (!patterns) {
+    patterns = {
+      file: entry.file === undefined ? undefined : globToRegex(entry.file),
+      name: entry.name === undefined ? undefined : namePatternToRegex(entry.name),
+    };
+    patternCache.set(entry, patterns);
+  }
+
+  if (patterns.file && (test.file === undefined || !patterns.file.test(test.file.replaceAll('\\', '/')))) {
+    return false;
+  }
+  if (patterns.name && !patterns.name.test(test.name)) {
+    return false;
+  }
+  if (entry.typescript !== undefined && (test.compilerVersion === undefined || !satisfiesRange(test.compilerVersion, entry.typescript))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Describes a known failure by what it matches, for messages about it.
+ *
+ * @param {KnownFailure} knownFailure - The known failure
+ * @returns {string} Eg. `Math › adds (typetests/*.test.ts, TypeScript >=6.0)`
+ */
+export function formatKnownFailure ({ entry, index }) {
+  const details = [entry.file, entry.typescript && `TypeScript ${entry.typescript}`].filter(Boolean).join(', ');
+
+  return `${entry.name ?? `entry ${index}`}${details ? ` (${details})` : ''}`;
+}
+
+/**
+ * @param {unknown} entry
+ * @param {number} index
+ * @returns {string | undefined} A description of what was expected, when the entry is invalid
+ */
+function validateEntry (entry, index) {
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    return `Expected an object in entry ${index}`;
+  }
+
+  for (const [key, value] of Object.entries(entry)) {
+    if (!ENTRY_KEYS.has(key)) {
+      return `Unknown option '${key}' in entry ${index}`;
+    }
+    if (typeof value !== 'string' || value === '') {
+      return `Invalid option '${key}' in entry ${index}: Expected a non-empty string`;
+    }
+  }
+
+  const { expires, typescript } = /** @type {Record<string, string | undefined>} */ (entry);
+
+  if (expires === undefined || !DATE_REGEX.test(expires) || Number.isNaN(Date.parse(expires))) {
+    return `Invalid option 'expires' in entry ${index}: Expected a date like '2026-12-31'`;
+  }
+  if (typescript !== undefined && !splitRange(typescript).every(comparators => comparators.every(comparator => COMPARATOR_REGEX.test(comparator)))) {
+    return `Invalid option 'typescript' in entry ${index}: Expected versions or comparators like '5.8' or '>=5.4 <5.8', separated by '||'`;
+  }
+}
+
+/**
+ * @param {string} range
+ * @returns {string[][]} Alternatives of the range, each a list of comparators that all have to be satisfied
+ */
+function splitRange (range) {
+  return range.trim().split(/\s*\|\|\s*/).map(alternative => alternative.split(/\s+/));
+}
+
+/**
+ * Checks whether a version satisfies a range, in the syntax of the `--target` option of TSTyche.
+ *
+ * Versions are compared by as many parts as the comparator has, so `5.8` matches `5.8.3` and `<5.8` doesn't.
+ * Prerelease versions, eg. of `next`, are compared by their release part.
+ *
+ * @param {string} version - Eg. `5.9.3`
+ * @param {string} range - Eg. `>=5.4 <5.8 || 6.0`
+ * @returns {boolean}
+ */
+function satisfiesRange (version, range) {
+  const versionParts = parseVersion(version);
+
+  return splitRange(range).some(comparators => comparators.every(comparator => {
+    const [, operator = '', target = ''] = /^([<>]=?)?(.*)$/.exec(comparator) ?? [];
+    const targetParts = parseVersion(target);
+    const difference = compareVersions(versionParts.slice(0, targetParts.length), targetParts);
+
+    switch (operator) {
+      case '>': return difference > 0;
+      case '>=': return difference >= 0;
+      case '<': return difference < 0;
+      case '<=': return difference <= 0;
+      default: return difference === 0;
+    }
+  }));
+}
+
+/**
+ * @param {string} version
+ * @returns {number[]}
+ */
+function parseVersion (version) {
+  return (version.split('-')[0] ?? '').split('.').map(Number);
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function compareVersions (a, b) {
+  for (const [index, part] of a.entries()) {
+    const difference = part - (b[index] ?? 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * @param {string} glob - Supports `**`, `*` and `?`
+ * @returns {RegExp}
+ */
+function globToRegex (glob) {
+  const source = glob
+    .replaceAll(/[$()+.[\]^{|}\\]/g, '\\$&')
+    .replaceAll(/\*\*\/|\*\*|\*|\?/g, match => {
+      switch (match) {
+        case '**/': return '(?:.*/)?';
+        case '**': return '.*';
+        case '*': return '[^/]*';
+        default: return '[^/]';
+      }
+    });
+
+  // eslint-disable-next-line security/detect-non-literal-regexp -- Escaped, user given glob
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {string} pattern - Supports `*`
+ * @returns {RegExp}
+ */
+function namePatternToRegex (pattern) {
+  // eslint-disable-next-line security/detect-non-literal-regexp -- Escaped, user given pattern
+  return new RegExp(`^${pattern.split('*').map(part => part.replaceAll(/[$()+.?[\]^{|}\\]/g, '\\$&')).join('.*')}$`);
+}
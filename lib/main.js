@@ -1,12 +1,15 @@
 /**
  * @module @voxpelli/tstyche-reporters
- * Custom TSTyche reporters with Mocha-style and dot-style output.
+ * Custom TSTyche reporters with Mocha-style, dot-style and live progress output, plus JUnit XML reports,
+ * GitHub Actions annotations, GitHub Actions step summaries, TypeScript version matrices, JSON and TAP,
+ * comparisons with a baseline of an earlier run, as well as recordings of runs that can be replayed through any of them.
  *
  * Features:
- * - Dual-mode output (CLI colors/symbols or Markdown emoji)
- * - Environment variable control for output mode
+ * - Multi-mode output (CLI colors/symbols, Markdown emoji or plain text)
+ * - Output mode detected from the environment, with environment variable control
  * - TypeScript version headers for multi-version testing
  * - Extensible base class for custom reporters
+ * - Pluggable output streams, eg. to write output to a file
  * @example
  * ```bash
  * # Mocha-style reporter
@@ -14,6 +17,37 @@
  *
  * # Dot-style reporter
  * npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-dot-reporter.js,summary
+ *
+ * # Live status line with progress on TTYs, dot-style output elsewhere
+ * npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-progress-reporter.js,summary
+ *
+ * # GitHub Actions annotations for failures, alongside dot-style output
+ * npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-github-actions-reporter.js,./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-dot-reporter.js,summary
+ *
+ * # GitHub Actions step summary, written to $GITHUB_STEP_SUMMARY
+ * npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-step-summary-reporter.js,./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-dot-reporter.js,summary
+ *
+ * # Matrix of test outcomes per TypeScript version, alongside dot-style output
+ * npx tstyche --target '5.4 || 5.8 || next' --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-dot-reporter.js,./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-matrix-reporter.js,summary
+ *
+ * # JSON report, written to reports/types.json
+ * TSTYCHE_REPORTERS_JSON_OUTPUT=reports/types.json npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-json-reporter.js,list,summary
+ *
+ * # TAP version 14 stream
+ * npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-tap-reporter.js
+ *
+ * # Several reporters with options of their own, listed in tstyche-reporters.config.json
+ * npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-multi-reporter.js,summary
+ *
+ * # Recording of every event, written to tstyche-recording.ndjson, then replayed through the dot reporter
+ * npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-recorder-reporter.js,list,summary
+ * npx tstyche-reporters-replay tstyche-recording.ndjson --reporter dot
+ *
+ * # Changes compared with tstyche-baseline.json, also failing on regressions
+ * TSTYCHE_REPORTERS_BASELINE_FAIL_ON_REGRESSIONS=true npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-baseline-reporter.js,./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-dot-reporter.js,summary
+ *
+ * # JUnit XML report, written to tstyche-junit.xml
+ * npx tstyche --reporters ./node_modules/@voxpelli/tstyche-reporters/lib/tstyche-junit-reporter.js,list,summary
  * ```
  * @example
  * ```javascript
@@ -21,14 +55,25 @@
  * import { TstycheBaseReporter } from '@voxpelli/tstyche-reporters';
  *
  * class MyReporter extends TstycheBaseReporter {
- *   _onTestPass(payload) { console.log('✓', payload.result.test.name); }
- *   _onTestFail(payload) { console.log('✗', payload.result.test.name); }
- *   _onRunEnd() { console.log('Done!'); }
+ *   _onTestPass(payload) { this._writeLine('✓ ' + payload.result.test.name); }
+ *   _onTestFail(payload) { this._writeLine('✗ ' + payload.result.test.name); }
+ *   _onRunEnd() { this._writeLine('Done!'); }
  * }
  *
  * export default MyReporter;
  * ```
  */
 export * from './tstyche-base-reporter.js';
+export { parseRecording, replayRecording, RECORDING_VERSION } from './recording.js';
+export { default as TstycheBaselineReporter, BASELINE_SCHEMA_VERSION } from './tstyche-baseline-reporter.js';
 export { default as TstycheDotReporter } from './tstyche-dot-reporter.js';
+export { default as TstycheGithubActionsReporter } from './tstyche-github-actions-reporter.js';
+export { default as TstycheJsonReporter, JSON_REPORTER_SCHEMA_VERSION } from './tstyche-json-reporter.js';
+export { default as TstycheJunitReporter } from './tstyche-junit-reporter.js';
+export { default as TstycheMatrixReporter } from './tstyche-matrix-reporter.js';
 export { default as TstycheMochaReporter } from './tstyche-mocha-reporter.js';
+export { default as TstycheMultiReporter } from './tstyche-multi-reporter.js';
+export { default as TstycheProgressReporter } from './tstyche-progress-reporter.js';
+export { default as TstycheRecorderReporter } from './tstyche-recorder-reporter.js';
+export { default as TstycheStepSummaryReporter } from './tstyche-step-summary-reporter.js';
+export { default as TstycheTapReporter } from './tstyche-tap-reporter.js';
@@ -0,0 +1,480 @@
+/**
+ * Serialization of TSTyche events into recordings, and parsing of recordings back into events.
+ *
+ * A recording is NDJSON: a header line with the TSTyche configuration, then one line per event.
+ * Source files that diagnostics and assertions point into are written once, on a line of their
+ * own before the first event that refers to them. Results that are part of several events, eg.
+ * a test result shared by a test and its assertions, keep an `id`, so that parsed events share
+ * their results just as real events do. Paths are relative to the root path, so that recordings
+ * can be replayed on other machines.
+ */
+
+import path from 'node:path';
+
+/** @import { Diagnostic, ReporterEvent, ResolvedConfig } from 'tstyche/tstyche' */
+
+/** @typedef {NonNullable<Diagnostic['origin']>['sourceFile']} SourceFile */
+/** @typedef {import('./tstyche-base-reporter.js').TstycheEventPayload<'expect:start'>['result']['expect']} ExpectNode */
+/** @typedef {import('./tstyche-base-reporter.js').SuppressedError} SuppressedError */
+
+/**
+ * @typedef RecordedSourceFile
+ * @property {'source'} type
+ * @property {number} id
+ * @property {string} fileName - Relative to the root path
+ * @property {string} text
+ */
+
+/**
+ * @typedef RecordedDiagnostic
+ * @property {string} category
+ * @property {string} [code]
+ * @property {string | string[]} text
+ * @property {{ sourceFile: number, start: number, end: number }} [origin]
+ * @property {RecordedDiagnostic[]} [related]
+ */
+
+/**
+ * @typedef RecordedCompilerDiagnostic
+ * @property {number} [file] - Id of the source file
+ * @property {number} [start]
+ * @property {number} [length]
+ * @property {number} code
+ * @property {number} category
+ * @property {unknown} messageText
+ */
+
+/**
+ * @typedef RecordedExpect
+ * @property {string} matcherName
+ * @property {boolean} isNot
+ * @property {string} source - Source of the assertion
+ * @property {number} start - Position of the assertion in its source file
+ * @property {number} sourceFile - Id of the source file
+ */
+
+/**
+ * @typedef RecordedResult
+ * @property {number} id - Shared by every event of the result
+ * @property {string} [status]
+ * @property {{ start: number, end: number }} [timing]
+ * @property {string} [target]
+ * @property {{ path: string }} [file]
+ * @property {{ path: string }[]} [files]
+ * @property {{ brand: string, name: string }} [describe]
+ * @property {{ brand: string, name: string }} [test]
+ * @property {RecordedExpect} [expect]
+ * @property {RecordedResult} [parent]
+ * @property {{ directive: SuppressedError['directive'], argument?: SuppressedError['argument'], ignore: boolean, diagnostics: RecordedCompilerDiagnostic[] }} [suppressed]
+ */
+
+/**
+ * @typedef RecordedEvent
+ * @property {'event'} type
+ * @property {ReporterEvent[0]} event
+ * @property {Record<string, unknown>} payload
+ */
+
+/**
+ * @typedef RecordingHeader
+ * @property {'header'} type
+ * @property {number} version - Version of the recording format, see `RECORDING_VERSION`
+ * @property {Record<string, unknown>} config - The TSTyche configuration, without its paths
+ */
+
+/** @typedef {RecordingHeader | RecordedSourceFile | RecordedEvent} RecordingLine */
+
+/**
+ * @typedef Recording
+ * @property {Partial<ResolvedConfig>} config - The TSTyche configuration of the recorded run, without its paths
+ * @property {ReporterEvent[]} events - The recorded events
+ */
+
+/**
+ * @typedef SerializableResult
+ * @property {string} [status]
+ * @property {{ start: number, end: number }} [timing]
+ * @property {string} [target]
+ * @property {{ path: string }} [file]
+ * @property {{ path: string }[]} [files]
+ * @property {{ brand: string, name: string }} [describe]
+ * @property {{ brand: string, name: string }} [test]
+ * @property {ExpectNode} [expect]
+ * @property {object} [parent]
+ * @property {SuppressedError} [suppressed]
+ */
+
+/**
+ * Version of the recording format, bumped when recordings of earlier versions can no longer be replayed.
+ */
+export const RECORDING_VERSION = 1;
+
+/**
+ * Create the header line of a recording.
+ *
+ * @param {ResolvedConfig} resolvedConfig - TSTyche configuration of the recorded run
+ * @returns {RecordingHeader}
+ */
+export function createRecordingHeader (resolvedConfig) {
+  const { configFilePath: _configFilePath, rootPath: _rootPath, ...config } = resolvedConfig;
+
+  return {
+    type: 'header',
+    version: RECORDING_VERSION,
+    // eslint-disable-next-line unicorn/prefer-structured-clone -- Drops the values that JSON can't represent, rather than throwing on them
+    config: /** @type {Record<string, unknown>} */ (JSON.parse(JSON.stringify(config))),
+  };
+}
+
+/**
+ * Create a serializer of the events of a run.
+ *
+ * The serializer keeps track of the results and source files it has seen, so every event
+ * of a recording has to go through the same serializer, in order.
+ *
+ * @param {string} rootPath - Paths are recorded relative to this path
+ * @returns {(reporterEvent: ReporterEvent) => RecordingLine[]} Serializes an event into the lines to append to the recording
+ */
+export function createEventSerializer (rootPath) {
+  /** @type {WeakMap<object, number>} */
+  const resultIds = new WeakMap();
+  /** @type {WeakMap<object, number>} */
+  const sourceFileIds = new WeakMap();
+  /** @type {RecordingLine[]} */
+  let lines = [];
+  let nextResultId = 0;
+  let nextSourceFileId = 0;
+
+  /**
+   * @param {string} filePath
+   * @returns {string}
+   */
+  const relative = (filePath) => path.relative(rootPath, filePath);
+
+  /**
+   * @param {SourceFile} sourceFile
+   * @returns {number}
+   */
+  const getSourceFileId = (sourceFile) => {
+    let id = sourceFileIds.get(sourceFile);
+
+    if (id === undefined) {
+      id = nextSourceFileId++;
+      sourceFileIds.set(sourceFile, id);
+      lines.push({ type: 'source', id, fileName: relative(sourceFile.fileName), text: sourceFile.text });
+    }
+
+    return id;
+  };
+
+  /**
+   * @param {Diagnostic} diagnostic
+   * @returns {RecordedDiagnostic}
+   */
+  const serializeDiagnostic = ({ category, code, origin, related, text }) => ({
+    category,
+    ...code !== undefined && { code },
+    text,
+    ...origin && { origin: { sourceFile: getSourceFileId(origin.sourceFile), start: origin.start, end: origin.end } },
+    ...related && { related: related.map(item => serializeDiagnostic(item)) },
+  });
+
+  /**
+   * @param {ExpectNode} expect
+   * @returns {RecordedExpect}
+   */
+  const serializeExpect = (expect) => {
+    const sourceFile = expect.node.getSourceFile();
+
+    return {
+      matcherName: expect.matcherNameNode.name.text,
+      isNot: expect.isNot,
+      source: expect.matcherNode.getText(sourceFile),
+      start: expect.matcherNode.getStart(sourceFile),
+      sourceFile: getSourceFileId(sourceFile),
+    };
+  };
+
+  /**
+   * @param {SuppressedError} suppressed
+   * @returns {NonNullable<RecordedResult['suppressed']>}
+   */
+  const serializeSuppressed = ({ argument, diagnostics, directive, ignore }) => ({
+    directive,
+    ...argument && { argument },
+    ignore,
+    diagnostics: diagnostics.map(({ category, code, file, length, messageText, start }) => ({
+      ...file && { file: getSourceFileId(file) },
+      ...start !== undefined && { start },
+      ...length !== undefined && { length },
+      code,
+      category,
+      messageText,
+    })),
+  });
+
+  /**
+   * @param {SerializableResult} result
+   * @returns {RecordedResult}
+   */
+  const serializeResult = (result) => {
+    let id = resultIds.get(result);
+
+    if (id === undefined) {
+      id = nextResultId++;
+      resultIds.set(result, id);
+    }
+
+    const { describe, expect, file, files, parent, status, suppressed, target, test, timing } = result;
+
+    return {
+      id,
+      ...status !== undefined && { status },
+      ...timing && { timing: { start: timing.start, end: timing.end } },
+      ...target !== undefined && { target },
+      ...file && { file: { path: relative(file.path) } },
+      ...files && { files: files.map(item => ({ path: relative(item.path) })) },
+      ...describe && { describe: { brand: describe.brand, name: describe.name } },
+      ...test && { test: { brand: test.brand, name: test.name } },
+      ...expect && { expect: serializeExpect(expect) },
+      ...parent && { parent: serializeResult(parent) },
+      ...suppressed && { suppressed: serializeSuppressed(suppressed) },
+    };
+  };
+
+  return (reporterEvent) => {
+    lines = [];
+
+    /** @type {Record<string, unknown>} */
+    const payload = {};
+
+    for (const [key, value] of Object.entries(reporterEvent[1])) {
+      switch (key) {
+        case 'diagnostics':
+          payload[key] = /** @type {Diagnostic[]} */ (value).map(diagnostic => serializeDiagnostic(diagnostic));
+          break;
+        case 'result':
+          payload[key] = serializeResult(/** @type {SerializableResult} */ (value));
+          break;
+        case 'node': {
+          const { brand, name } = /** @type {{ brand: string, name?: unknown }} */ (value);
+          payload[key] = typeof name === 'string' ? { brand, name } : { brand };
+          break;
+        }
+        case 'projectConfigFilePath':
+          payload[key] = typeof value === 'string' ? relative(value) : value;
+          break;
+        case 'tree':
+          // The test tree is left out, its nodes are recorded through collect:node
+          break;
+        default:
+          payload[key] = value;
+      }
+    }
+
+    lines.push({ type: 'event', event: reporterEvent[0], payload });
+
+    return lines;
+  };
+}
+
+/**
+ * Create a stand-in for a TypeScript source file, with what reporters use of it.
+ *
+ * @param {string} fileName - Absolute path of the file
+ * @param {string} text - Content of the file
+ * @returns {SourceFile}
+ */
+export function createFakeSourceFile (fileName, text) {
+  /** @type {number[]} */
+  const lineStarts = [0];
+
+  for (const [index, character] of [...text].entries()) {
+    if (character === '\n') {
+      lineStarts.push(index + 1);
+    }
+  }
+
+  const sourceFile = {
+    fileName,
+    text,
+    /**
+     * @param {number} position
+     * @returns {{ line: number, character: number }}
+     */
+    getLineAndCharacterOfPosition (position) {
+      const line = lineStarts.findLastIndex(start => start <= position);
+      return { line, character: position - (lineStarts[line] ?? 0) };
+    },
+  };
+
+  return /** @type {SourceFile} */ (/** @type {unknown} */ (sourceFile));
+}
+
+/**
+ * Create a stand-in for the node of an assertion, with what reporters use of it.
+ *
+ * @param {Omit<RecordedExpect, 'sourceFile'> & { sourceFile: SourceFile }} expect
+ * @returns {ExpectNode}
+ */
+export function createFakeExpectNode ({ isNot, matcherName, source, sourceFile, start }) {
+  const expect = {
+    isNot,
+    matcherNameNode: { name: { text: matcherName } },
+    matcherNode: { getStart: () => start, getText: () => source },
+    node: { getSourceFile: () => sourceFile },
+  };
+
+  return /** @type {ExpectNode} */ (/** @type {unknown} */ (expect));
+}
+
+/**
+ * Parse a recording back into events, ready to be fed to a reporter.
+ *
+ * @param {string} content - The NDJSON content of the recording
+ * @param {string} rootPath - Recorded paths are resolved against this path
+ * @returns {Recording}
+ * @throws {Error} When the recording is malformed or of an unsupported version
+ */
+export function parseRecording (content, rootPath) {
+  /** @type {Map<number, SourceFile>} */
+  const sourceFiles = new Map();
+  /** @type {Map<number, Record<string, unknown>>} */
+  const results = new Map();
+
+  /**
+   * @param {number} id
+   * @returns {SourceFile}
+   */
+  const getSourceFile = (id) => {
+    const sourceFile = sourceFiles.get(id);
+    if (!sourceFile) {
+      throw new Error(`Unknown source file ${id}`);
+    }
+    return sourceFile;
+  };
+
+  /**
+   * @param {RecordedDiagnostic} diagnostic
+   * @returns {Diagnostic}
+   */
+  const parseDiagnostic = ({ category, code, origin, related, text }) => /** @type {Diagnostic} */ (/** @type {unknown} */ ({
+    category,
+    code,
+    origin: origin && { assertionNode: undefined, sourceFile: getSourceFile(origin.sourceFile), start: origin.start, end: origin.end },
+    related: related?.map(item => parseDiagnostic(item)),
+    text,
+  }));
+
+  /**
+   * @param {RecordedResult} recorded
+   * @returns {Record<string, unknown>}
+   */
+  const parseResult = ({ expect, file, files, id, parent, suppressed, ...rest }) => {
+    const result = results.get(id) ?? { results: [] };
+    results.set(id, result);
+
+    Object.assign(result, rest);
+
+    if (file) {
+      result['file'] = { path: path.resolve(rootPath, file.path) };
+    }
+    if (files) {
+      result['files'] = files.map(item => ({ path: path.resolve(rootPath, item.path) }));
+    }
+    if (expect) {
+      result['expect'] = createFakeExpectNode({ ...expect, sourceFile: getSourceFile(expect.sourceFile) });
+    }
+    if (parent) {
+      result['parent'] = parseResult(parent);
+    }
+    if (suppressed) {
+      result['suppressed'] = {
+        ...suppressed,
+        diagnostics: suppressed.diagnostics.map(({ file: fileId, ...diagnostic }) => ({
+          ...diagnostic,
+          file: fileId === undefined ? undefined : getSourceFile(fileId),
+        })),
+      };
+    }
+
+    return result;
+  };
+
+  /** @type {Partial<ResolvedConfig> | undefined} */
+  let config;
+  /** @type {ReporterEvent[]} */
+  const events = [];
+
+  for (const [index, rawLine] of content.split('\n').entries()) {
+    if (rawLine.trim() === '') {
+      continue;
+    }
+
+    try {
+      const line = /** @type {RecordingLine} */ (JSON.parse(rawLine));
+
+      if (!config) {
+        if (line.type !== 'header') {
+          throw new Error('Expected a recording header');
+        }
+        if (line.version !== RECORDING_VERSION) {
+          throw new Error(`Unsupported recording version ${line.version}, expected ${RECORDING_VERSION}`);
+        }
+        config = line.config;
+        continue;
+      }
+
+      switch (line.type) {
+        case 'source':
+          sourceFiles.set(line.id, createFakeSourceFile(path.resolve(rootPath, line.fileName), line.text));
+          break;
+        case 'event': {
+          /** @type {Record<string, unknown>} */
+          const payload = { ...line.payload };
+
+          if (line.payload['diagnostics']) {
+            payload['diagnostics'] = /** @type {RecordedDiagnostic[]} */ (line.payload['diagnostics']).map(diagnostic => parseDiagnostic(diagnostic));
+          }
+          if (line.payload['result']) {
+            payload['result'] = parseResult(/** @type {RecordedResult} */ (line.payload['result']));
+          }
+          if (typeof line.payload['projectConfigFilePath'] === 'string') {
+            payload['projectConfigFilePath'] = path.resolve(rootPath, line.payload['projectConfigFilePath']);
+          }
+
+          events.push(/** @type {ReporterEvent} */ (/** @type {unknown} */ ([line.event, payload])));
+          break;
+        }
+        default:
+          throw new Error(`Unexpected ${line.type} line`);
+      }
+    } catch (err) {
+      throw new Error(`Invalid recording, line ${index + 1}: ${err instanceof Error ? err.message : String(err)}`, { cause: err });
+    }
+  }
+
+  if (!config) {
+    throw new Error('Invalid recording: Expected a recording header');
+  }
+
+  return { config, events };
+}
+
+/**
+ * Feed the events of a recording to a reporter.
+ *
+ * Recorded paths are resolved against the root path of the reporter.
+ *
+ * @param {string} content - The NDJSON content of the recording
+ * @param {{ on: (reporterEvent: ReporterEvent) => void, resolvedConfig: ResolvedConfig }} reporter - Eg. any reporter of this package
+ * @returns {void}
+ * @throws {Error} When the recording is malformed or of an unsupported version
+ */
+export function replayRecording (content, reporter) {
+  const { events } = parseRecording(content, reporter.resolvedConfig.rootPath ?? process.cwd());
+
+  for (const event of events) {
+    reporter.on(event);
+  }
+}
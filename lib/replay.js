@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Replays a recording of the recorder reporter through other reporters of this package.
+ *
+ * Usage: tstyche-reporters-replay <recording> [--reporter <name>]... [--mode <mode>]
+ *
+ * Recorded paths are resolved against the current working directory.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { BUILTIN_REPORTERS, isBuiltinReporterName } from './builtin-reporters.js';
+import { parseRecording } from './recording.js';
+
+/** @import { ResolvedConfig } from 'tstyche/tstyche' */
+/** @import { OutputMode } from './config.js' */
+
+const USAGE = `Usage: tstyche-reporters-replay <recording> [--reporter <name>]... [--mode <cli|markdown|plain>]
+
+Reporters: ${Object.keys(BUILTIN_REPORTERS).join(', ')} (default: mocha)`;
+
+try {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      help: { type: 'boolean', 'short': 'h' },
+      mode: { type: 'string', 'short': 'm' },
+      reporter: { type: 'string', 'short': 'r', multiple: true, 'default': ['mocha'] },
+    },
+  });
+
+  const [recordingPath] = positionals;
+
+  if (values.help || !recordingPath || positionals.length > 1) {
+    // eslint-disable-next-line no-console -- CLI output
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+  } else {
+    const unknownReporter = values.reporter.find(name => !isBuiltinReporterName(name));
+    if (unknownReporter) {
+      throw new Error(`Unknown reporter '${unknownReporter}', expected one of ${Object.keys(BUILTIN_REPORTERS).join(', ')}`);
+    }
+
+    const rootPath = process.cwd();
+    // eslint-disable-next-line security/detect-non-literal-fs-filename -- The recording to replay is given by the user
+    const content = await readFile(path.resolve(rootPath, recordingPath), 'utf8');
+    const { config, events } = parseRecording(content, rootPath);
+
+    const resolvedConfig = /** @type {ResolvedConfig} */ ({
+      ...config,
+      configFilePath: path.join(rootPath, 'tstyche.config.json'),
+      rootPath,
+    });
+
+    const reporters = values.reporter.filter(name => isBuiltinReporterName(name)).map(name => new BUILTIN_REPORTERS[name](resolvedConfig, {
+      ...values.mode && { config: { mode: /** @type {OutputMode} */ (values.mode) } },
+    }));
+
+    for (const event of events) {
+      for (const reporter of reporters) {
+        reporter.on(event);
+      }
+    }
+  }
+} catch (err) {
+  // eslint-disable-next-line no-console -- CLI output
+  console.error(err instanceof Error ? err.message : err);
+  process.exitCode = 1;
+}
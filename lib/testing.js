@@ -0,0 +1,410 @@
+/**
+ * @module @voxpelli/tstyche-reporters/testing
+ * Helpers for testing TSTyche reporters, eg. custom subclasses of `TstycheBaseReporter`.
+ *
+ * Provides builders for realistic reporter events, a fake resolved config and a runner
+ * that feeds events to a reporter while capturing everything it writes.
+ * @example
+ * ```javascript
+ * import {
+ *   createDiagnostic,
+ *   createFileEvent,
+ *   createProjectUsesEvent,
+ *   createRunEvent,
+ *   createTestEvents,
+ *   runReporter,
+ * } from '@voxpelli/tstyche-reporters/testing';
+ *
+ * const { stdout } = runReporter(MyReporter, [
+ *   createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+ *   createProjectUsesEvent('5.9.3'),
+ *   createFileEvent('start', 'typetests/math.test.ts'),
+ *   ...createTestEvents('pass', 'adds'),
+ *   ...createTestEvents('fail', 'subtracts', { diagnostics: [createDiagnostic('Type mismatch')] }),
+ *   createFileEvent('end', 'typetests/math.test.ts'),
+ *   createRunEvent('end'),
+ * ]);
+ * ```
+ */
+
+import path from 'node:path';
+
+import { createFakeExpectNode, createFakeSourceFile } from './recording.js';
+
+/** @import { Diagnostic, ReporterEvent, ResolvedConfig } from 'tstyche/tstyche' */
+/** @import { TstycheBaseReporter, TstycheErrorEvents, TstycheEvent, TstycheEventPayload, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+/** @import { ReporterConfig } from './config.js' */
+
+/** @typedef {TstycheEventPayload<'test:start'>['result']} TestResult */
+/** @typedef {TstycheEventPayload<'expect:start'>['result']} ExpectResult */
+/** @typedef {NonNullable<Diagnostic['origin']>['sourceFile']} SourceFile */
+
+/** @typedef {'start' | 'pass' | 'fail' | 'skip' | 'todo' | 'fixme'} TestEventStatus */
+/** @typedef {'start' | 'pass' | 'fail' | 'error' | 'skip' | 'fixme'} ExpectEventStatus */
+
+/**
+ * @typedef TimingOptions
+ * @property {number} [duration] - Duration in milliseconds, when left out the result has no timing
+ */
+
+/**
+ * @typedef DiagnosticOptions
+ * @property {'error' | 'warning'} [category] - Defaults to `error`
+ * @property {string} [code] - Eg. `ts(2322)`
+ * @property {{ sourceFile: SourceFile, start: number, end: number }} [origin] - Where in a source file the diagnostic originates from
+ */
+
+/**
+ * @typedef ExpectOptions
+ * @property {Diagnostic[]} [diagnostics] - Diagnostics of a failed assertion
+ * @property {SourceFile} [sourceFile] - File the assertion is in, defaults to one containing only the assertion
+ * @property {string} [source] - Source of the assertion, defaults to `expect<string>().type.toBe<string>()`
+ */
+
+/**
+ * @typedef TestEventsOptions
+ * @property {Diagnostic[]} [diagnostics] - Diagnostics of a failed test, reported through a failed assertion
+ * @property {number} [duration] - Duration in milliseconds
+ */
+
+/**
+ * @typedef RunReporterOptions
+ * @property {ResolvedConfig} [resolvedConfig] - Defaults to {@link createResolvedConfig}
+ * @property {Partial<ReporterConfig>} [config] - Reporter options, the output mode defaults to `plain` for stable output
+ * @property {boolean} [isTTY] - Whether the captured stdout claims to be a terminal, defaults to `false`
+ * @property {number} [columns] - Width of the captured stdout, defaults to `80`
+ */
+
+/**
+ * @template {TstycheBaseReporter} T
+ * @typedef RunReporterResult
+ * @property {T} reporter - The reporter instance the events were fed to
+ * @property {string} stdout - Everything written to stdout
+ * @property {string} stderr - Everything written to stderr
+ */
+
+/**
+ * Root path of the fake resolved config, relative file paths given to the builders are resolved against it.
+ */
+export const TEST_ROOT_PATH = path.resolve('/project');
+
+/** Start time of every result that has a duration, non-zero as a zero start means a result has not started */
+const START_TIME = 1_000_000;
+
+const DEFAULT_ASSERTION = 'expect<string>().type.toBe<string>()';
+
+/**
+ * Source files of assertions without one of their own, shared by assertions with the same source, as within a real test file.
+ *
+ * @type {Map<string, SourceFile>}
+ */
+const defaultSourceFiles = new Map();
+
+/**
+ * @template {ReporterEvent[0]} T
+ * @param {T} name
+ * @param {object} payload - The parts of the payload that reporters read
+ * @returns {TstycheEvent<T>}
+ */
+function createEvent (name, payload) {
+  return /** @type {TstycheEvent<T>} */ (/** @type {unknown} */ ([name, payload]));
+}
+
+/**
+ * @param {TimingOptions} options
+ * @returns {{ start: number, end: number } | undefined}
+ */
+function createTiming ({ duration }) {
+  return duration === undefined ? undefined : { start: START_TIME, end: START_TIME + duration };
+}
+
+/**
+ * @param {string} filePath
+ * @returns {{ path: string }}
+ */
+function createFileLocation (filePath) {
+  return { path: path.resolve(TEST_ROOT_PATH, filePath) };
+}
+
+/**
+ * Create a fake resolved TSTyche config, as reporters receive it in their constructor.
+ *
+ * Uses the TSTyche defaults, rooted at {@link TEST_ROOT_PATH}.
+ *
+ * @param {Partial<ResolvedConfig>} [overrides] - Values to replace the defaults with
+ * @returns {ResolvedConfig}
+ */
+export function createResolvedConfig (overrides = {}) {
+  const rootPath = overrides.rootPath ?? TEST_ROOT_PATH;
+
+  /** @type {Partial<ResolvedConfig>} */
+  const config = {
+    checkDeclarationFiles: true,
+    checkSuppressedErrors: true,
+    configFilePath: path.join(rootPath, 'tstyche.config.json'),
+    failFast: false,
+    fixtureFileMatch: ['**/__fixtures__/*.{ts,tsx}', '**/fixtures/*.{ts,tsx}'],
+    pathMatch: [],
+    quiet: false,
+    rejectAnyType: true,
+    rejectNeverType: true,
+    reporters: ['list', 'summary'],
+    rootPath,
+    target: ['*'],
+    testFileMatch: ['**/*.tst.*', '**/__typetests__/*.test.*', '**/typetests/*.test.*'],
+    tsconfig: 'findup',
+    verbose: false,
+    ...overrides,
+  };
+
+  return /** @type {ResolvedConfig} */ (config);
+}
+
+/**
+ * Create a fake TypeScript source file, to give diagnostics and assertions a location.
+ *
+ * @param {string} fileName - Path of the file, resolved against {@link TEST_ROOT_PATH}
+ * @param {string} text - Content of the file
+ * @returns {SourceFile}
+ */
+export function createSourceFile (fileName, text) {
+  return createFakeSourceFile(path.resolve(TEST_ROOT_PATH, fileName), text);
+}
+
+/**
+ * Create a diagnostic, as found in failed assertions and error events.
+ *
+ * @param {string | string[]} text - Message of the diagnostic
+ * @param {DiagnosticOptions} [options]
+ * @returns {Diagnostic}
+ */
+export function createDiagnostic (text, { category = 'error', code, origin } = {}) {
+  const diagnostic = {
+    category,
+    code,
+    origin: origin && { assertionNode: undefined, ...origin },
+    related: undefined,
+    text,
+  };
+
+  return /** @type {Diagnostic} */ (/** @type {unknown} */ (diagnostic));
+}
+
+/**
+ * Create the result of a test, to share between the events of the test and those of its assertions.
+ *
+ * Reporters match assertions with their test by result identity, just as with real TSTyche events.
+ *
+ * @param {string} name - Name of the test
+ * @param {TimingOptions} [options]
+ * @returns {TestResult}
+ */
+export function createTestResult (name, options = {}) {
+  const result = {
+    results: [],
+    test: { brand: 'test', name },
+    timing: createTiming(options),
+  };
+
+  return /** @type {TestResult} */ (/** @type {unknown} */ (result));
+}
+
+/**
+ * Create a `run:start` or `run:end` event.
+ *
+ * @template {'start' | 'end'} S
+ * @param {S} status
+ * @param {TimingOptions & { files?: string[] }} [options] - `files` are the test files of the run
+ * @returns {TstycheEvent<`run:${S}`>}
+ */
+export function createRunEvent (status, { files = [], ...options } = {}) {
+  return createEvent(`run:${status}`, {
+    result: { files: files.map(file => createFileLocation(file)), timing: createTiming(options) },
+  });
+}
+
+/**
+ * Create a `target:start` or `target:end` event, enclosing the files checked with the TypeScript versions of a target.
+ *
+ * @template {'start' | 'end'} S
+ * @param {S} status
+ * @param {{ files?: string[] }} [options] - `files` are the test files of the target
+ * @returns {TstycheEvent<`target:${S}`>}
+ */
+export function createTargetEvent (status, { files = [] } = {}) {
+  return createEvent(`target:${status}`, {
+    result: { files: files.map(file => createFileLocation(file)), results: new Map() },
+  });
+}
+
+/**
+ * Create a `project:uses` event, announcing the TypeScript version that the following files are checked with.
+ *
+ * @param {string} compilerVersion - Eg. `5.9.3`
+ * @param {string} [projectConfigFilePath] - Defaults to `tsconfig.json` in {@link TEST_ROOT_PATH}
+ * @returns {TstycheEvent<'project:uses'>}
+ */
+export function createProjectUsesEvent (compilerVersion, projectConfigFilePath = path.join(TEST_ROOT_PATH, 'tsconfig.json')) {
+  return createEvent('project:uses', { compilerVersion, projectConfigFilePath });
+}
+
+/**
+ * Create a `file:start` or `file:end` event.
+ *
+ * @template {'start' | 'end'} S
+ * @param {S} status
+ * @param {string} filePath - Path of the test file, resolved against {@link TEST_ROOT_PATH}
+ * @param {TimingOptions} [options]
+ * @returns {TstycheEvent<`file:${S}`>}
+ */
+export function createFileEvent (status, filePath, options = {}) {
+  return createEvent(`file:${status}`, {
+    result: { file: createFileLocation(filePath), results: [], timing: createTiming(options) },
+  });
+}
+
+/**
+ * Create the events of collecting the tests of a file: its start, a `collect:node` event per node and its end.
+ *
+ * @param {Array<'describe' | 'test' | 'it' | 'expect'>} brands - Brands of the collected nodes, in order
+ * @returns {ReporterEvent[]}
+ */
+export function createCollectEvents (brands) {
+  const tree = { children: [], diagnostics: new Set(), hasOnly: false };
+
+  return [
+    createEvent('collect:start', { tree }),
+    ...brands.map(brand => createEvent('collect:node', { node: { brand, children: [] } })),
+    createEvent('collect:end', { tree }),
+  ];
+}
+
+/**
+ * Create a `describe:start` or `describe:end` event.
+ *
+ * @template {'start' | 'end'} S
+ * @param {S} status
+ * @param {string} name - Name of the describe block
+ * @returns {TstycheEvent<`describe:${S}`>}
+ */
+export function createDescribeEvent (status, name) {
+  return createEvent(`describe:${status}`, {
+    result: { describe: { brand: 'describe', name }, results: [] },
+  });
+}
+
+/**
+ * Create a `test:*` event for a test result.
+ *
+ * @template {TestEventStatus} S
+ * @param {S} status
+ * @param {TestResult} result - Result from {@link createTestResult}
+ * @returns {TstycheEvent<`test:${S}`>}
+ */
+export function createTestEvent (status, result) {
+  return createEvent(`test:${status}`, { result });
+}
+
+/**
+ * Create an `expect:*` event for an assertion within a test.
+ *
+ * @template {ExpectEventStatus} S
+ * @param {S} status
+ * @param {TestResult} parent - Result of the test the assertion belongs to
+ * @param {ExpectOptions} [options]
+ * @returns {TstycheEvent<`expect:${S}`>}
+ */
+export function createExpectEvent (status, parent, { diagnostics = [], source = DEFAULT_ASSERTION, sourceFile } = {}) {
+  let file = sourceFile ?? defaultSourceFiles.get(source);
+
+  if (!file) {
+    file = createSourceFile('typetests/test.tst.ts', source);
+    defaultSourceFiles.set(source, file);
+  }
+
+  const start = Math.max(file.text.indexOf(source), 0);
+  const matcherName = /\.(\w+)(?:<[^>]*>)?\([^()]*\)$/.exec(source)?.[1] ?? 'toBe';
+
+  /** @type {Partial<ExpectResult>} */
+  const result = {
+    expect: createFakeExpectNode({ isNot: source.includes('.not.'), matcherName, source, sourceFile: file, start }),
+    parent,
+  };
+
+  return createEvent(`expect:${status}`, status === 'fail' || status === 'error' ? { diagnostics, result } : { result });
+}
+
+/**
+ * Create the events of a complete test: its start, one assertion and its end.
+ *
+ * @param {Exclude<TestEventStatus, 'start'>} status - Outcome of the test
+ * @param {string} name - Name of the test
+ * @param {TestEventsOptions} [options]
+ * @returns {ReporterEvent[]}
+ */
+export function createTestEvents (status, name, { diagnostics = [], ...options } = {}) {
+  const result = createTestResult(name, options);
+
+  /** @type {ReporterEvent[]} */
+  const events = [createTestEvent('start', result)];
+
+  switch (status) {
+    case 'pass':
+      events.push(createExpectEvent('start', result), createExpectEvent('pass', result));
+      break;
+    case 'fail':
+      events.push(createExpectEvent('start', result), createExpectEvent('fail', result, { diagnostics }));
+      break;
+    case 'skip':
+    case 'fixme':
+      events.push(createExpectEvent(status, result));
+      break;
+    case 'todo':
+      break;
+  }
+
+  events.push(createTestEvent(status, result));
+
+  return events;
+}
+
+/**
+ * Create an error event, eg. `file:error` or `test:error`.
+ *
+ * @template {TstycheErrorEvents[0]} T
+ * @param {T} name - Name of the error event
+ * @param {Diagnostic[]} diagnostics - Diagnostics describing the error
+ * @param {object} [result] - Result the error belongs to, eg. from {@link createTestResult}
+ * @returns {TstycheEvent<T>}
+ */
+export function createErrorEvent (name, diagnostics, result) {
+  return createEvent(name, result ? { diagnostics, result } : { diagnostics });
+}
+
+/**
+ * Feed events to a reporter and capture what it writes to stdout and stderr.
+ *
+ * The output mode defaults to `plain`, so the captured output is free of colors and stable to snapshot.
+ *
+ * @template {TstycheBaseReporter} T
+ * @param {new (resolvedConfig: ResolvedConfig, options?: TstycheReporterOptions) => T} Reporter - The reporter class
+ * @param {ReporterEvent[]} events - Events to feed the reporter, in order
+ * @param {RunReporterOptions} [options]
+ * @returns {RunReporterResult<T>}
+ */
+export function runReporter (Reporter, events, { columns = 80, config, isTTY = false, resolvedConfig = createResolvedConfig() } = {}) {
+  let stdout = '';
+  let stderr = '';
+
+  const reporter = new Reporter(resolvedConfig, {
+    stdout: { write: (chunk) => { stdout += chunk; }, isTTY, columns },
+    stderr: { write: (chunk) => { stderr += chunk; } },
+    config: { mode: 'plain', ...config },
+  });
+
+  for (const event of events) {
+    reporter.on(event);
+  }
+
+  return { reporter, stdout, stderr };
+}
@@ -1,10 +1,19 @@
-/* eslint-disable no-console */
+import path from 'node:path';
+import { stripVTControlCharacters } from 'node:util';
 
 import { MarkdownOrChalk } from 'markdown-or-chalk';
-import { assertTypeIsNever } from './utils.js';
+import { detectOutputMode, loadReporterConfig } from './config.js';
+import { formatKnownFailure, loadKnownFailures, matchesKnownFailure } from './known-failures.js';
+import { assertTypeIsNever, BREADCRUMB_SEPARATOR, createFileOutputStream } from './utils.js';
 
 /** @import { Diagnostic, ReporterEvent, ResolvedConfig } from 'tstyche/tstyche' */
 
+/** @typedef {import('./config.js').OutputMode} OutputMode */
+/** @typedef {import('./config.js').ReporterConfig} ReporterConfig */
+/** @typedef {import('./config.js').ChildReporterConfig} ChildReporterConfig */
+/** @typedef {import('./known-failures.js').KnownFailure} KnownFailure */
+/** @typedef {import('./known-failures.js').KnownFailureEntry} KnownFailureEntry */
+
 /**
  * @template {ReporterEvent[0]} T
  * @typedef {Extract<ReporterEvent, [T, any]>} TstycheEvent
@@ -17,7 +26,94 @@ import { assertTypeIsNever } from './utils.js';
 
 /** @typedef {TstycheEvent<"store:error" | "project:error" | "file:error" | "directive:error" | "collect:error" | "test:error" | "expect:error" | "suppressed:error" | "watch:error">} TstycheErrorEvents */
 
-/** @typedef {TstycheEvent<"store:adds" | "target:start" | "target:end" | "file:end" | "collect:start" | "collect:node" | "collect:end" | "test:start" | "test:skip" | "test:fixme" | "test:todo" | "expect:start" | "expect:fail" | "expect:pass" | "expect:skip" | "expect:fixme" | "suppressed:match" | "suppressed:ignore">} TstycheNonImplementedEvents */
+/**
+ * A minimal writable stream, satisfied by eg. `process.stdout` and `process.stderr`.
+ *
+ * @typedef OutputStream
+ * @property {(chunk: string) => unknown} write
+ * @property {boolean} [isTTY] - Whether the stream is a terminal, used to detect the output mode
+ * @property {number} [columns] - Width of the terminal, used to fit redrawn status lines
+ */
+
+/**
+ * @typedef TstycheReporterOptions
+ * @property {OutputStream} [stdout] - Stream for regular output, defaults to `process.stdout`
+ * @property {OutputStream} [stderr] - Stream for error output, defaults to `process.stderr`
+ * @property {Partial<ReporterConfig>} [config] - Options that take precedence over config files and environment variables
+ */
+
+/**
+ * @typedef DiagnosticLocation
+ * @property {string} filePath - Absolute path of the file the diagnostic belongs to
+ * @property {number} line - Start line, 1-based
+ * @property {number} column - Start column, 1-based
+ * @property {number} endLine - End line, 1-based
+ * @property {number} endColumn - End column, 1-based
+ */
+
+/**
+ * Outcome of a test, where `expected` is a failing test that is listed in the known failures file.
+ *
+ * @typedef {'passed' | 'failed' | 'skipped' | 'todo' | 'fixme' | 'expected'} TestStatus
+ */
+
+/**
+ * @typedef SummaryCounts
+ * @property {number} passed
+ * @property {number} failed - Failed tests, including tests that errored
+ * @property {number} skipped
+ * @property {number} todo
+ * @property {number} fixme
+ * @property {number} expected - Failed tests that are listed in the known failures file
+ * @property {number} errors - Error events outside of tests, eg. project or file errors
+ */
+
+/**
+ * Counts of `// @ts-expect-error` directives checked by TSTyche.
+ *
+ * @typedef SuppressedCounts
+ * @property {number} matched - Directives that suppressed the expected error
+ * @property {number} ignored - Directives marked with `!` to not be checked
+ * @property {number} failed - Directives without a matching error, or with an invalid argument
+ */
+
+/** @typedef {TstycheEventPayload<'suppressed:match'>['result']['suppressed']} SuppressedError */
+
+/**
+ * @typedef RunSummary
+ * @property {SummaryCounts} total - Counts of the whole run
+ * @property {SuppressedCounts} suppressed - Counts of the checked `// @ts-expect-error` directives of the whole run
+ * @property {Map<string, SummaryCounts>} versions - Counts per TypeScript version
+ * @property {Map<string, SummaryCounts>} files - Counts per file, relative to the root path
+ */
+
+/**
+ * A test result, as tracked across the runs of watch mode.
+ *
+ * @typedef WatchedTest
+ * @property {string} name - Full test name, including describe breadcrumbs
+ * @property {string | undefined} compilerVersion - TypeScript version the test ran with
+ * @property {string | undefined} filePath - Test file path, relative to the root path
+ * @property {TestStatus} status - Outcome of the test
+ */
+
+/**
+ * Tests whose outcome changed compared with the previous run of watch mode.
+ *
+ * @typedef WatchDiff
+ * @property {WatchedTest[]} newlyFailing - Tests that fail now, but did not in the previous run
+ * @property {WatchedTest[]} newlyFixed - Tests that pass now, but failed in the previous run
+ */
+
+/**
+ * An entry of the known failures file that should be revisited.
+ *
+ * @typedef KnownFailureWarning
+ * @property {KnownFailure} knownFailure - The entry
+ * @property {'expired' | 'passing'} reason - Whether the entry has expired, or only matched tests that passed
+ */
+
+/** @typedef {TstycheEvent<"store:adds" | "target:start" | "target:end" | "file:end" | "collect:start" | "collect:node" | "collect:end" | "test:start">} TstycheNonImplementedEvents */
 
 /**
  * Base class for TSTyche reporters.
@@ -29,8 +125,14 @@ import { assertTypeIsNever } from './utils.js';
  *
  * - **Error handling**: Comprehensive error event handling across all phases
  * - **Diagnostic formatting**: Extracts and formats error messages from TSTyche/TypeScript
- * - **Environment-based mode**: Use TSTYCHE_REPORTERS_MARKDOWN env var to control output mode
- * - **Dual-mode output**: CLI (colors/symbols) or Markdown (emoji/plain text)
+ * - **Code frames**: Renders the source surrounding a diagnostic, with the failing range marked
+ * - **Options**: Output mode, wrap width, symbols and more, from a config file with environment variable overrides
+ * - **Environment-based mode**: Detects the output mode from CI, TTY, NO_COLOR and FORCE_COLOR, TSTYCHE_REPORTERS_MARKDOWN overrides it
+ * - **Multi-mode output**: CLI (colors/symbols), Markdown (emoji) or plain text (symbols without ANSI escapes)
+ * - **Pluggable output**: All output goes through configurable `stdout` and `stderr` streams
+ * - **Built-in summary**: Opt-in totals per TypeScript version and file, printed when the run ends
+ * - **Watch mode**: Clears the screen between runs, with a header and the tests that newly fail or got fixed
+ * - **Known failures**: Failing tests listed in the known failures file are expected failures, with warnings for stale entries
  *
  * @see {@link https://github.com/voxpelli/markdown-or-chalk} - Dual-mode formatting
  * @abstract
@@ -39,11 +141,38 @@ export class TstycheBaseReporter {
   /**
    * Initialize the base reporter with resolved TSTyche configuration.
    *
+   * Options are loaded and validated first, see `loadReporterConfig()` in `config.js`
+   * for the sources they are read from.
+   *
+   * The known failures file is loaded next, see `loadKnownFailures()` in `known-failures.js`.
+   *
+   * Output streams are picked from `options` first. When not given and the
+   * `output` option is set, both regular and error output is written to the file
+   * it points to, resolved against the root path.
+   * Otherwise `process.stdout` and `process.stderr` are used.
+   *
    * @param {ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   * @throws {Error} When an option is unknown or has an invalid value, or when the known failures file is invalid
    */
-  constructor (resolvedConfig) {
+  constructor (resolvedConfig, options = {}) {
     /** @type {ResolvedConfig} */
     this.resolvedConfig = resolvedConfig;
+    /** @type {ReporterConfig} */
+    this.config = loadReporterConfig(resolvedConfig, options.config);
+    /** @type {KnownFailure[]} */
+    this.knownFailures = loadKnownFailures(resolvedConfig.rootPath ?? process.cwd(), this.config.knownFailures);
+
+    const outputFile = (!options.stdout || !options.stderr) ? this._getOutputFilePath() : undefined;
+    const outputFileStream = outputFile ? createFileOutputStream(outputFile) : undefined;
+
+    /** @type {OutputStream} */
+    this.stdout = options.stdout ?? outputFileStream ?? process.stdout;
+    /** @type {OutputStream} */
+    this.stderr = options.stderr ?? outputFileStream ?? process.stderr;
+
+    /** @type {OutputMode} */
+    this.outputMode = this._getOutputMode();
 
     const useMarkdown = this._shouldUseMarkdownMode();
     /** @type {MarkdownOrChalk} */
@@ -53,13 +182,50 @@ export class TstycheBaseReporter {
     this.currentCompilerVersion = undefined;
     /** @type {string | undefined} */
     this.lastShownCompilerVersion = undefined;
+    /** @type {RunSummary} */
+    this.summary = createRunSummary();
+    /** @type {TstycheErrorEvents[1][]} */
+    this.deferredErrors = [];
+    /** @type {number} */
+    this.watchRun = 0;
+    /** @type {Map<string, WatchedTest>} */
+    this.watchedTests = new Map();
+  }
+
+  /** @type {string | undefined} */
+  #summaryFile;
+  /** @type {boolean} */
+  #watchEnabled = false;
+  /** @type {string[]} */
+  #describes = [];
+  /** @type {Map<KnownFailure, { passed: number, failed: number }>} */
+  #knownFailureOutcomes = new Map();
+  /** @type {Map<string, WatchedTest>} */
+  #watchRunTests = new Map();
+
+  /**
+   * Determine the output mode: colored CLI output, Markdown or plain text.
+   *
+   * Uses the `mode` option, which the TSTYCHE_REPORTERS_MARKDOWN environment
+   * variable overrides. When it's `auto`, the default, the mode is detected from
+   * the environment: `FORCE_COLOR` gives CLI output, `GITHUB_ACTIONS` Markdown,
+   * `NO_COLOR` and `CI` plain text and else a TTY `stdout` gives CLI output.
+   *
+   * Plain text mode formats output like CLI mode, but strips ANSI escapes when writing it.
+   *
+   * Subclasses can override this method to customize the output mode.
+   *
+   * @protected
+   * @returns {OutputMode} The output mode
+   */
+  _getOutputMode () {
+    return this.config.mode === 'auto' ? detectOutputMode(this.stdout) : this.config.mode;
   }
 
   /**
    * Determine if markdown mode should be enabled.
    *
-   * Checks the TSTYCHE_REPORTERS_MARKDOWN environment variable.
-   * Set to 'true' to enable markdown output, 'false' to disable.
+   * Defaults to whether `_getOutputMode()` returned `markdown`.
    *
    * Subclasses can override this method to customize the logic for determining
    * when to use markdown mode.
@@ -68,8 +234,52 @@ export class TstycheBaseReporter {
    * @returns {boolean} True if markdown mode should be enabled
    */
   _shouldUseMarkdownMode () {
-    // eslint-disable-next-line n/no-process-env -- Environment-based markdown mode detection
-    return process.env['TSTYCHE_REPORTERS_MARKDOWN'] === 'true';
+    return this.outputMode === 'markdown';
+  }
+
+  /**
+   * Determine the file that output should be redirected to, if any.
+   *
+   * Checks the `output` option, which the TSTYCHE_REPORTERS_OUTPUT environment
+   * variable overrides. Relative paths are resolved against the root path.
+   *
+   * Subclasses can override this method to customize the output file.
+   *
+   * @protected
+   * @returns {string | undefined} Absolute path to the output file, or `undefined` to not redirect output
+   */
+  _getOutputFilePath () {
+    const outputPath = this.config.output;
+    return outputPath ? path.resolve(this.resolvedConfig.rootPath ?? process.cwd(), outputPath) : undefined;
+  }
+
+  /**
+   * Determine if the built-in summary should be printed when the run ends.
+   *
+   * Checks the `summary` option, which the TSTYCHE_REPORTERS_SUMMARY environment
+   * variable overrides. Enable it to print the summary, making the `summary` reporter unnecessary.
+   *
+   * Subclasses can override this method to opt in or out regardless of the options.
+   *
+   * @protected
+   * @returns {boolean} True if the summary should be printed
+   */
+  _shouldPrintSummary () {
+    return this.config.summary;
+  }
+
+  /**
+   * Determine if watch mode should be rendered: clearing the screen between runs,
+   * a header per run and the tests that newly fail or got fixed.
+   *
+   * Defaults to whether TSTyche runs in watch mode. Reporters with output that is
+   * not meant for the terminal, eg. JSON or TAP, override this to opt out.
+   *
+   * @protected
+   * @returns {boolean} True if watch mode should be rendered
+   */
+  _shouldRenderWatchMode () {
+    return this.resolvedConfig.watch === true;
   }
 
   /**
@@ -100,6 +310,233 @@ export class TstycheBaseReporter {
     return output;
   }
 
+  /**
+   * Get the source location of a diagnostic.
+   *
+   * @protected
+   * @param {Diagnostic} diagnostic - The diagnostic object
+   * @returns {DiagnosticLocation | undefined} The location, or `undefined` when the diagnostic has no origin
+   */
+  _getDiagnosticLocation (diagnostic) {
+    const { origin } = diagnostic;
+
+    if (!origin) {
+      return;
+    }
+
+    const start = origin.sourceFile.getLineAndCharacterOfPosition(origin.start);
+    const end = origin.sourceFile.getLineAndCharacterOfPosition(origin.end);
+
+    return {
+      filePath: origin.sourceFile.fileName,
+      line: start.line + 1,
+      column: start.character + 1,
+      endLine: end.line + 1,
+      endColumn: end.character + 1,
+    };
+  }
+
+  /**
+   * Get the name of a `// @ts-expect-error` directive, including its argument.
+   *
+   * @protected
+   * @param {SuppressedError} suppressed - The directive
+   * @returns {string} The name, eg. `// @ts-expect-error Type 'string' is not assignable`
+   */
+  _getSuppressedName (suppressed) {
+    const directive = suppressed.directive.text + (suppressed.ignore ? '!' : '');
+    return suppressed.argument ? `${directive} ${suppressed.argument.text}` : directive;
+  }
+
+  /**
+   * Get the source location of a `// @ts-expect-error` directive.
+   *
+   * @protected
+   * @param {SuppressedError} suppressed - The directive
+   * @returns {DiagnosticLocation | undefined} The location, or `undefined` when the source file is unknown
+   */
+  _getSuppressedLocation (suppressed) {
+    // The directive doesn't reference its source file, but the errors it suppresses do
+    const sourceFile = suppressed.diagnostics.find(diagnostic => diagnostic.file)?.file;
+
+    if (!sourceFile) {
+      return;
+    }
+
+    const start = sourceFile.getLineAndCharacterOfPosition(suppressed.directive.start);
+    const end = sourceFile.getLineAndCharacterOfPosition(suppressed.directive.end);
+
+    return {
+      filePath: sourceFile.fileName,
+      line: start.line + 1,
+      column: start.character + 1,
+      endLine: end.line + 1,
+      endColumn: end.character + 1,
+    };
+  }
+
+  /**
+   * Format the counts of the checked `// @ts-expect-error` directives of the run.
+   *
+   * @protected
+   * @returns {string | undefined} The counts, or `undefined` when no directive was checked
+   */
+  _formatSuppressedCounts () {
+    const { chalk } = this.format;
+    const { failed, ignored, matched } = this.summary.suppressed;
+    const total = failed + ignored + matched;
+
+    if (total === 0) {
+      return;
+    }
+
+    return [
+      formatCount(matched, 'matched', chalk?.green),
+      formatCount(failed, 'failed', chalk?.red),
+      formatCount(ignored, 'ignored', chalk?.cyan),
+    ].join(', ') + ` (${total} total)`;
+  }
+
+  /**
+   * Get the symbol representing the outcome of a test in the active output mode.
+   *
+   * @protected
+   * @param {TestStatus} status - Outcome of the test
+   * @returns {string} Symbol from the `symbols` option, else colored in CLI mode and an emoji in Markdown mode
+   */
+  _getStatusSymbol (status) {
+    const { chalk, logSymbols } = this.format;
+
+    /** @type {Record<TestStatus, string>} */
+    const symbols = chalk
+      ? { passed: logSymbols.success, failed: logSymbols.error, skipped: chalk.cyan('-'), todo: chalk.magenta('✎'), fixme: logSymbols.warning, expected: chalk.yellow('✗') }
+      : { passed: logSymbols.success, failed: logSymbols.error, skipped: ':heavy_minus_sign:', todo: ':pencil2:', fixme: logSymbols.warning, expected: ':heavy_multiplication_x:' };
+
+    return this.config.symbols[status] ?? symbols[status];
+  }
+
+  /**
+   * Format a code frame showing the source a diagnostic originates from.
+   *
+   * The frame starts with the file path and line:column of the diagnostic,
+   * followed by the surrounding lines of source and a caret line marking the
+   * failing range. In CLI mode context lines are dimmed, in Markdown mode the
+   * source is rendered as a fenced `ts` code block.
+   *
+   * @protected
+   * @param {Diagnostic} diagnostic - The diagnostic object
+   * @param {number} [contextLines] - Number of lines to show before and after the failing line
+   * @returns {string | undefined} The code frame, or `undefined` when the diagnostic has no origin
+   */
+  _formatCodeFrame (diagnostic, contextLines = 2) {
+    const location = this._getDiagnosticLocation(diagnostic);
+    const sourceText = diagnostic.origin?.sourceFile.text;
+
+    if (!location || sourceText === undefined) {
+      return;
+    }
+
+    const { chalk } = this.format;
+    const sourceLines = sourceText.split(/\r?\n/);
+    const failingLine = sourceLines[location.line - 1] ?? '';
+    const firstLine = Math.max(location.line - contextLines, 1);
+    const lastLine = Math.min(location.line + contextLines, sourceLines.length);
+    const gutterWidth = String(lastLine).length;
+
+    // Ranges spanning multiple lines are marked until the end of the first line
+    const endColumn = location.endLine === location.line ? location.endColumn : failingLine.length + 1;
+    // Keep tabs in the padding, so the caret lines up with the source
+    const caretPadding = failingLine.slice(0, location.column - 1).replaceAll(/[^\t]/g, ' ');
+    const caretLine = `  ${' '.repeat(gutterWidth)} | ${caretPadding}${'^'.repeat(Math.max(endColumn - location.column, 1))}`;
+
+    /** @type {string[]} */
+    const frame = [];
+
+    for (let lineNumber = firstLine; lineNumber <= lastLine; lineNumber++) {
+      const isFailingLine = lineNumber === location.line;
+      const line = `${isFailingLine ? '>' : ' '} ${String(lineNumber).padStart(gutterWidth)} | ${sourceLines[lineNumber - 1]}`.trimEnd();
+
+      frame.push(chalk && !isFailingLine ? chalk.dim(line) : line);
+
+      if (isFailingLine) {
+        frame.push(chalk ? chalk.red(caretLine) : caretLine);
+      }
+    }
+
+    const heading = `${this._getRelativeFilePath(location.filePath)}:${location.line}:${location.column}`;
+
+    return chalk
+      ? [chalk.cyan(heading), ...frame].join('\n')
+      : [`\`${heading}\``, '', '```ts', ...frame, '```'].join('\n');
+  }
+
+  /**
+   * Get a file path relative to the TSTyche root path.
+   *
+   * Falls back to the current working directory when no root path is configured.
+   *
+   * @protected
+   * @param {string} filePath - Absolute file path, as found in TSTyche results and diagnostics
+   * @returns {string} Relative file path
+   */
+  _getRelativeFilePath (filePath) {
+    return path.relative(this.resolvedConfig.rootPath ?? process.cwd(), filePath);
+  }
+
+  /**
+   * Indent every line of a text by the `indentation` option times the level.
+   *
+   * @protected
+   * @param {string} text - The text to indent
+   * @param {number} [level] - Indentation level, defaults to 1
+   * @returns {string} The indented text
+   */
+  _indent (text, level = 1) {
+    const indentation = ' '.repeat(this.config.indentation * level);
+    return text.split('\n').map(line => indentation + line).join('\n');
+  }
+
+  /**
+   * Write output without a trailing newline.
+   *
+   * All regular output of the reporters goes through this method, writing to
+   * `stdout`, so subclasses can override it to redirect or buffer output.
+   * ANSI escapes are stripped in plain text mode.
+   *
+   * @protected
+   * @param {string} text - The text to write
+   * @returns {void}
+   */
+  _write (text) {
+    this.stdout.write(this.outputMode === 'plain' ? stripVTControlCharacters(text) : text);
+  }
+
+  /**
+   * Write a line of output.
+   *
+   * @protected
+   * @param {string} [text] - The line to write, defaults to an empty line
+   * @returns {void}
+   */
+  _writeLine (text = '') {
+    this._write(text + '\n');
+  }
+
+  /**
+   * Write a line of error output.
+   *
+   * All error output of the reporters goes through this method, writing to
+   * `stderr`, so subclasses can override it to redirect or buffer output.
+   * ANSI escapes are stripped in plain text mode.
+   *
+   * @protected
+   * @param {string} [text] - The line to write, defaults to an empty line
+   * @returns {void}
+   */
+  _writeErrorLine (text = '') {
+    this.stderr.write((this.outputMode === 'plain' ? stripVTControlCharacters(text) : text) + '\n');
+  }
+
   /**
    * Print error diagnostics from an event payload.
    *
@@ -111,7 +548,7 @@ export class TstycheBaseReporter {
     for (const diagnostic of payload.diagnostics) {
       const message = this._formatDiagnostic(diagnostic);
       const errorLine = `Error: ${message}`;
-      console.error(this.format.chalk ? this.format.chalk.red(errorLine) : errorLine);
+      this._writeErrorLine(this.format.chalk ? this.format.chalk.red(errorLine) : errorLine);
     }
   }
 
@@ -123,7 +560,187 @@ export class TstycheBaseReporter {
    */
   _printCompilerVersion () {
     const header = this.format.header(`uses TypeScript ${this.currentCompilerVersion} with ./tsconfig.json`, 1);
-    console.log(header);
+    this._writeLine(header);
+  }
+
+  /**
+   * Print the totals of the run, per TypeScript version and per file.
+   *
+   * @protected
+   * @returns {void}
+   */
+  _printSummary () {
+    const { chalk } = this.format;
+    const { files, total, versions } = this.summary;
+
+    const tests = [
+      formatCount(total.passed, 'passed', chalk?.green),
+      formatCount(total.failed, 'failed', chalk?.red),
+      formatCount(total.skipped, 'skipped', chalk?.cyan),
+      formatCount(total.todo, 'todo', chalk?.magenta),
+      formatCount(total.fixme, 'fixme', chalk?.yellow),
+      // Only shown when there are known failures, to not clutter the summary of other projects
+      ...total.expected ? [formatCount(total.expected, 'expected', chalk?.yellow)] : [],
+    ].join(', ') + ` (${countTests(total)} total)`;
+
+    /**
+     * @param {string} heading
+     * @param {Map<string, SummaryCounts>} rows
+     * @returns {string}
+     */
+    const table = (heading, rows) => this.format.table([
+      [heading, 'Passed', 'Failed', 'Skipped', 'Todo', 'Fixme', ...total.expected ? ['Expected'] : [], 'Errors'],
+      ...[...rows].map(([name, counts]) => [
+        name,
+        String(counts.passed),
+        String(counts.failed),
+        String(counts.skipped),
+        String(counts.todo),
+        String(counts.fixme),
+        ...total.expected ? [String(counts.expected)] : [],
+        String(counts.errors),
+      ]),
+    ]).trimEnd();
+
+    const suppressed = this._formatSuppressedCounts();
+
+    this._writeLine(this.format.header('Summary', 2));
+    this._writeLine(this.format.list([
+      `${this.format.bold('Tests:')}  ${tests}`,
+      `${this.format.bold('Errors:')} ${total.errors && chalk ? chalk.red(String(total.errors)) : total.errors}`,
+      ...suppressed ? [`${this.format.bold('Suppressed:')} ${suppressed}`] : [],
+    ]).trimEnd());
+
+    if (versions.size > 0) {
+      this._writeLine();
+      this._writeLine(table('TypeScript', versions));
+    }
+
+    if (files.size > 0) {
+      this._writeLine();
+      this._writeLine(table('File', files));
+    }
+
+    this._writeLine();
+  }
+
+  /**
+   * Print the header of a run in watch mode.
+   *
+   * Clears the screen first when writing colored output to a TTY, except for the
+   * first run, where TSTyche has just printed its own header.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload of the run
+   * @returns {void}
+   */
+  _printWatchHeader (payload) {
+    const files = (payload.result?.files ?? []).map(file => this._getRelativeFilePath(file.path));
+
+    if (this.watchRun > 1 && this.outputMode === 'cli' && this.stdout.isTTY) {
+      this._write('\u001B[2J\u001B[3J\u001B[H');
+    }
+
+    this._writeLine(this.format.header(`Watch run #${this.watchRun}`, 1));
+
+    if (this.watchRun === 1) {
+      this._writeLine(`Running ${files.length} ${files.length === 1 ? 'file' : 'files'}`);
+    } else {
+      this._writeLine(this.format.bold('Changed files:'));
+      this.#writeList(files);
+    }
+  }
+
+  /**
+   * Print the tests that newly fail or got fixed compared with the previous run in watch mode.
+   *
+   * Prints nothing when no outcome changed.
+   *
+   * @protected
+   * @param {WatchDiff} diff - Tests whose outcome changed
+   * @returns {void}
+   */
+  _printWatchDiff (diff) {
+    /**
+     * @param {string} heading
+     * @param {WatchedTest[]} tests
+     * @param {TestStatus} status
+     */
+    const printTests = (heading, tests, status) => {
+      if (tests.length === 0) {
+        return;
+      }
+
+      this._writeLine(this.format.header(heading, 2));
+      this.#writeList(tests.map(test => {
+        const details = [test.compilerVersion && `TypeScript ${test.compilerVersion}`, test.filePath].filter(Boolean).join(', ');
+        return `${this._getStatusSymbol(status)} ${test.name}${details ? ` (${details})` : ''}`;
+      }));
+    };
+
+    printTests('Newly failing', diff.newlyFailing, 'failed');
+    printTests('Newly fixed', diff.newlyFixed, 'passed');
+
+    if (diff.newlyFailing.length > 0 || diff.newlyFixed.length > 0) {
+      this._writeLine();
+    }
+  }
+
+  /**
+   * Find the entry of the known failures file matching a test of the current file and TypeScript version.
+   *
+   * Expired entries are skipped, so that the tests they match are failures again.
+   * Valid from the start of the test until its end event, eg. for its assertions.
+   *
+   * Subclasses can override this method to customize which tests are expected to fail.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'test:start'>['result'] | undefined} result - The test
+   * @returns {KnownFailure | undefined} The matching entry, or `undefined` when the test isn't expected to fail
+   */
+  _getKnownFailure (result) {
+    if (this.knownFailures.length === 0) {
+      return;
+    }
+
+    const test = {
+      file: this.#summaryFile,
+      name: [...this.#describes, result?.test?.name ?? 'test'].join(BREADCRUMB_SEPARATOR),
+      compilerVersion: this.currentCompilerVersion,
+    };
+
+    return this.knownFailures.find(knownFailure => !knownFailure.expired && matchesKnownFailure(knownFailure, test));
+  }
+
+  /**
+   * Format why an entry of the known failures file should be revisited.
+   *
+   * @protected
+   * @param {KnownFailureWarning} warning - The entry and why it should be revisited
+   * @returns {string} The message
+   */
+  _formatKnownFailureWarning ({ knownFailure, reason }) {
+    const name = formatKnownFailure(knownFailure);
+
+    return reason === 'expired'
+      ? `Known failure ${name} expired on ${knownFailure.entry.expires}, the tests it matches are failures again`
+      : `Known failure ${name} only matches passing tests, remove it from the known failures`;
+  }
+
+  /**
+   * Print the entries of the known failures file that should be revisited, when the run ends.
+   *
+   * Subclasses can override this to report them differently or not at all.
+   *
+   * @protected
+   * @param {KnownFailureWarning[]} warnings - The entries and why they should be revisited
+   * @returns {void}
+   */
+  _printKnownFailureWarnings (warnings) {
+    for (const warning of warnings) {
+      const warningLine = `Warning: ${this._formatKnownFailureWarning(warning)}`;
+      this._writeErrorLine(this.format.chalk ? this.format.chalk.yellow(warningLine) : warningLine);
+    }
   }
 
   /**
@@ -142,6 +759,7 @@ export class TstycheBaseReporter {
   /**
    * Handle error event - called when an error event is detected.
    *
+   * Prints the errors right away, or when the run ends if the `errorsInline` option is disabled.
    * Subclasses can override to add custom behavior before errors are printed.
    *
    * @protected
@@ -149,7 +767,11 @@ export class TstycheBaseReporter {
    * @returns {void}
    */
   _onError (reporterEvent) {
-    this._printErrors(reporterEvent[1]);
+    if (this.config.errorsInline) {
+      this._printErrors(reporterEvent[1]);
+    } else {
+      this.deferredErrors.push(reporterEvent[1]);
+    }
   }
 
   /**
@@ -175,6 +797,7 @@ export class TstycheBaseReporter {
   _onRunStart (_payload) {
     this.currentCompilerVersion = undefined;
     this.lastShownCompilerVersion = undefined;
+    this.deferredErrors = [];
   }
 
   /**
@@ -217,6 +840,142 @@ export class TstycheBaseReporter {
     throw new Error('_onTestFail() must be implemented by subclass');
   }
 
+  /**
+   * Handle test:fail event of a test listed in the known failures file.
+   *
+   * Defaults to handling it as any other failing test, subclasses override it
+   * to render the test as an expected failure.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   * @param {KnownFailure} _knownFailure - The entry of the known failures file matching the test
+   * @returns {void}
+   */
+  _onTestExpectedFail (payload, _knownFailure) {
+    this._onTestFail(payload);
+  }
+
+  /**
+   * Handle test:skip event - subclasses override as needed.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'test:skip'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onTestSkip (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle test:todo event - subclasses override as needed.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'test:todo'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onTestTodo (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle test:fixme event - subclasses override as needed.
+   *
+   * Emitted for tests marked with `// @tstyche fixme` that still fail.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'test:fixme'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onTestFixme (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle expect:start event - subclasses override as needed.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'expect:start'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onExpectStart (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle expect:pass event - subclasses override as needed.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'expect:pass'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onExpectPass (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle expect:fail event - subclasses override as needed.
+   *
+   * Emitted before the `test:fail` event of the test the assertion is in, with the diagnostics of the failure.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'expect:fail'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onExpectFail (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle expect:skip event - subclasses override as needed.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'expect:skip'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onExpectSkip (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle expect:fixme event - subclasses override as needed.
+   *
+   * Emitted for assertions marked with `// @tstyche fixme` that still fail.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'expect:fixme'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onExpectFixme (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle suppressed:match event - subclasses override as needed.
+   *
+   * Emitted for `// @ts-expect-error` directives that suppress an error matching their argument.
+   * Directives that fail to do so are emitted as `suppressed:error` events, handled by `_onError()`.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'suppressed:match'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onSuppressedMatch (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
+  /**
+   * Handle suppressed:ignore event - subclasses override as needed.
+   *
+   * Emitted for `// @ts-expect-error!` directives, which are not checked.
+   *
+   * @protected
+   * @param {TstycheEventPayload<'suppressed:ignore'>} _payload - Event payload
+   * @returns {void}
+   */
+  _onSuppressedIgnore (_payload) {
+    // Default: no action (optional for reporters)
+  }
+
   /**
    * Handle file:start event - subclasses override as needed.
    *
@@ -272,6 +1031,11 @@ export class TstycheBaseReporter {
    * @returns {void}
    */
   on (reporterEvent) {
+    const knownFailure = reporterEvent[0] === 'test:fail' ? this._getKnownFailure(reporterEvent[1].result) : undefined;
+
+    this.#tallySummary(reporterEvent, knownFailure);
+    this.#trackWatch(reporterEvent, knownFailure);
+
     // Route other events to appropriate handlers
     switch (reporterEvent[0]) {
       case 'store:error':
@@ -288,6 +1052,9 @@ export class TstycheBaseReporter {
 
       case 'run:start':
         this._onRunStart(reporterEvent[1]);
+        if (this.#watchEnabled) {
+          this._printWatchHeader(reporterEvent[1]);
+        }
         break;
 
       case 'project:uses':
@@ -311,12 +1078,70 @@ export class TstycheBaseReporter {
         break;
 
       case 'test:fail':
-        this._onTestFail(reporterEvent[1]);
+        if (knownFailure) {
+          this._onTestExpectedFail(reporterEvent[1], knownFailure);
+        } else {
+          this._onTestFail(reporterEvent[1]);
+        }
         break;
 
-      case 'run:end':
+      case 'test:skip':
+        this._onTestSkip(reporterEvent[1]);
+        break;
+
+      case 'test:todo':
+        this._onTestTodo(reporterEvent[1]);
+        break;
+
+      case 'test:fixme':
+        this._onTestFixme(reporterEvent[1]);
+        break;
+
+      case 'expect:start':
+        this._onExpectStart(reporterEvent[1]);
+        break;
+
+      case 'expect:pass':
+        this._onExpectPass(reporterEvent[1]);
+        break;
+
+      case 'expect:fail':
+        this._onExpectFail(reporterEvent[1]);
+        break;
+
+      case 'expect:skip':
+        this._onExpectSkip(reporterEvent[1]);
+        break;
+
+      case 'expect:fixme':
+        this._onExpectFixme(reporterEvent[1]);
+        break;
+
+      case 'suppressed:match':
+        this._onSuppressedMatch(reporterEvent[1]);
+        break;
+
+      case 'suppressed:ignore':
+        this._onSuppressedIgnore(reporterEvent[1]);
+        break;
+
+      case 'run:end': {
         this._onRunEnd(reporterEvent[1]);
+        for (const payload of this.deferredErrors.splice(0)) {
+          this._printErrors(payload);
+        }
+        const knownFailureWarnings = this.#getKnownFailureWarnings();
+        if (knownFailureWarnings.length > 0) {
+          this._printKnownFailureWarnings(knownFailureWarnings);
+        }
+        if (this.#watchEnabled) {
+          this._printWatchDiff(this.#diffWatchRun());
+        }
+        if (this._shouldPrintSummary()) {
+          this._printSummary();
+        }
         break;
+      }
 
       case 'store:adds':
       case 'target:start':
@@ -326,21 +1151,284 @@ export class TstycheBaseReporter {
       case 'collect:node':
       case 'collect:end':
       case 'test:start':
+        this._onNonImplementedEvent(reporterEvent);
+        break;
+
+      default:
+        assertTypeIsNever(reporterEvent);
+    }
+  }
+
+  /**
+   * Count the outcome of an event in the run summary.
+   *
+   * Done separately from the event handlers, so that subclass overrides can't skip it.
+   * Tracks the file and describe blocks of the current test as well, and which
+   * entries of the known failures file matched a passing or failing test.
+   *
+   * @param {ReporterEvent} reporterEvent
+   * @param {KnownFailure | undefined} knownFailure - The entry matching a failing test
+   */
+  #tallySummary (reporterEvent, knownFailure) {
+    switch (reporterEvent[0]) {
+      case 'run:start':
+        this.summary = createRunSummary();
+        this.#summaryFile = undefined;
+        this.#knownFailureOutcomes = new Map();
+        break;
+      case 'file:start': {
+        const filePath = reporterEvent[1].result?.file?.path;
+        this.#summaryFile = filePath ? this._getRelativeFilePath(filePath) : undefined;
+        this.#describes = [];
+        break;
+      }
+      case 'file:end':
+        this.#summaryFile = undefined;
+        break;
+      case 'describe:start':
+        this.#describes.push(reporterEvent[1].result?.describe?.name ?? 'describe');
+        break;
+      case 'describe:end':
+        this.#describes.pop();
+        break;
+      case 'test:pass': {
+        this.#countSummary('passed');
+        const passingKnownFailure = this._getKnownFailure(reporterEvent[1].result);
+        if (passingKnownFailure) {
+          this.#getKnownFailureOutcome(passingKnownFailure).passed++;
+        }
+        break;
+      }
+      case 'test:fail':
+        if (knownFailure) {
+          this.#countSummary('expected');
+          this.#getKnownFailureOutcome(knownFailure).failed++;
+        } else {
+          this.#countSummary('failed');
+        }
+        break;
+      // A test error is final, no test:fail event follows it
+      case 'test:error':
+        this.#countSummary('failed');
+        break;
       case 'test:skip':
-      case 'test:fixme':
+        this.#countSummary('skipped');
+        break;
       case 'test:todo':
-      case 'expect:start':
-      case 'expect:fail':
-      case 'expect:pass':
-      case 'expect:skip':
-      case 'expect:fixme':
+        this.#countSummary('todo');
+        break;
+      case 'test:fixme':
+        this.#countSummary('fixme');
+        break;
+      // An expect:error is followed by a test:fail
+      case 'expect:error':
+        break;
       case 'suppressed:match':
+        this.summary.suppressed.matched++;
+        break;
       case 'suppressed:ignore':
-        this._onNonImplementedEvent(reporterEvent);
+        this.summary.suppressed.ignored++;
         break;
+      case 'suppressed:error':
+        this.summary.suppressed.failed++;
+        this.#countSummary('errors');
+        break;
+      case 'store:error':
+      case 'project:error':
+      case 'file:error':
+      case 'directive:error':
+      case 'collect:error':
+      case 'watch:error':
+        this.#countSummary('errors');
+        break;
+    }
+  }
 
-      default:
-        assertTypeIsNever(reporterEvent);
+  /**
+   * Write a list, indented in CLI mode as `format.list()` trims the items there.
+   *
+   * @param {string[]} items
+   */
+  #writeList (items) {
+    this._writeLine(this.format.chalk
+      ? items.map(item => this._indent(item)).join('\n')
+      : this.format.list(items).trimEnd());
+  }
+
+  /**
+   * Track the run number and the outcome of tests across the runs of watch mode.
+   *
+   * @param {ReporterEvent} reporterEvent
+   * @param {KnownFailure | undefined} knownFailure - The entry matching a failing test
+   */
+  #trackWatch (reporterEvent, knownFailure) {
+    switch (reporterEvent[0]) {
+      case 'run:start':
+        this.#watchEnabled = this._shouldRenderWatchMode();
+        this.#watchRunTests = new Map();
+        if (this.#watchEnabled) {
+          this.watchRun++;
+        }
+        break;
+      case 'test:pass':
+        this.#recordWatchedTest(reporterEvent[1].result, 'passed');
+        break;
+      case 'test:fail':
+        this.#recordWatchedTest(reporterEvent[1].result, knownFailure ? 'expected' : 'failed');
+        break;
+      case 'test:error':
+        this.#recordWatchedTest(reporterEvent[1].result, 'failed');
+        break;
+      case 'test:skip':
+        this.#recordWatchedTest(reporterEvent[1].result, 'skipped');
+        break;
+      case 'test:todo':
+        this.#recordWatchedTest(reporterEvent[1].result, 'todo');
+        break;
+      case 'test:fixme':
+        this.#recordWatchedTest(reporterEvent[1].result, 'fixme');
+        break;
+    }
+  }
+
+  /**
+   * @param {TstycheEventPayload<'test:start'>['result'] | undefined} result
+   * @param {TestStatus} status
+   */
+  #recordWatchedTest (result, status) {
+    if (!this.#watchEnabled) {
+      return;
+    }
+
+    const name = [...this.#describes, result?.test?.name ?? 'test'].join(BREADCRUMB_SEPARATOR);
+    const key = [this.currentCompilerVersion, this.#summaryFile, name].join('\0');
+
+    this.#watchRunTests.set(key, {
+      name,
+      compilerVersion: this.currentCompilerVersion,
+      filePath: this.#summaryFile,
+      status,
+    });
+  }
+
+  /**
+   * Compare the tests of the run that just ended with their previous outcome.
+   *
+   * Tests that did not run keep their previous outcome, as watch mode only reruns changed files.
+   *
+   * @returns {WatchDiff}
+   */
+  #diffWatchRun () {
+    /** @type {WatchDiff} */
+    const diff = { newlyFailing: [], newlyFixed: [] };
+    const isFirstRun = this.watchRun === 1;
+
+    for (const [key, test] of this.#watchRunTests) {
+      const previousStatus = this.watchedTests.get(key)?.status;
+
+      if (!isFirstRun && test.status === 'failed' && previousStatus !== 'failed') {
+        diff.newlyFailing.push(test);
+      } else if (test.status === 'passed' && previousStatus === 'failed') {
+        diff.newlyFixed.push(test);
+      }
+
+      this.watchedTests.set(key, test);
+    }
+
+    return diff;
+  }
+
+  /**
+   * @param {KnownFailure} knownFailure
+   * @returns {{ passed: number, failed: number }}
+   */
+  #getKnownFailureOutcome (knownFailure) {
+    let outcome = this.#knownFailureOutcomes.get(knownFailure);
+    if (!outcome) {
+      outcome = { passed: 0, failed: 0 };
+      this.#knownFailureOutcomes.set(knownFailure, outcome);
     }
+    return outcome;
   }
+
+  /**
+   * Find the entries of the known failures file that have expired, or that only matched tests that passed in this run.
+   *
+   * @returns {KnownFailureWarning[]}
+   */
+  #getKnownFailureWarnings () {
+    /** @type {KnownFailureWarning[]} */
+    const warnings = [];
+
+    for (const knownFailure of this.knownFailures) {
+      const outcome = this.#knownFailureOutcomes.get(knownFailure);
+
+      if (knownFailure.expired) {
+        warnings.push({ knownFailure, reason: 'expired' });
+      } else if (outcome && outcome.passed > 0 && outcome.failed === 0) {
+        warnings.push({ knownFailure, reason: 'passing' });
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * @param {keyof SummaryCounts} key
+   */
+  #countSummary (key) {
+    const { files, total, versions } = this.summary;
+    const version = this.currentCompilerVersion ?? 'unknown';
+
+    total[key]++;
+
+    let versionCounts = versions.get(version);
+    if (!versionCounts) {
+      versionCounts = createSummaryCounts();
+      versions.set(version, versionCounts);
+    }
+    versionCounts[key]++;
+
+    if (this.#summaryFile) {
+      let fileCounts = files.get(this.#summaryFile);
+      if (!fileCounts) {
+        fileCounts = createSummaryCounts();
+        files.set(this.#summaryFile, fileCounts);
+      }
+      fileCounts[key]++;
+    }
+  }
+}
+
+/**
+ * @returns {SummaryCounts}
+ */
+function createSummaryCounts () {
+  return { passed: 0, failed: 0, skipped: 0, todo: 0, fixme: 0, expected: 0, errors: 0 };
+}
+
+/**
+ * @returns {RunSummary}
+ */
+function createRunSummary () {
+  return { total: createSummaryCounts(), suppressed: { matched: 0, ignored: 0, failed: 0 }, versions: new Map(), files: new Map() };
+}
+
+/**
+ * @param {number} count
+ * @param {string} label
+ * @param {((text: string) => string) | undefined} color - Applied when the count is non-zero
+ * @returns {string}
+ */
+function formatCount (count, label, color) {
+  const text = `${count} ${label}`;
+  return count && color ? color(text) : text;
+}
+
+/**
+ * @param {SummaryCounts} counts
+ * @returns {number}
+ */
+function countTests (counts) {
+  return counts.passed + counts.failed + counts.skipped + counts.todo + counts.fixme + counts.expected;
 }
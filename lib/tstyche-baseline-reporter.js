@@ -0,0 +1,590 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+import { BREADCRUMB_SEPARATOR } from './utils.js';
+
+/** @import { KnownFailure, KnownFailureWarning, TstycheEventPayload, TstycheErrorEvents, TstycheReporterOptions, TestStatus } from './tstyche-base-reporter.js' */
+
+/**
+ * The outcome of a test, as stored in a baseline.
+ *
+ * @typedef BaselineTest
+ * @property {string} file - Test file path, relative to the root path
+ * @property {string[]} describe - Names of the enclosing describes, outermost first
+ * @property {string} test - Name of the test
+ * @property {string} compilerVersion - TypeScript version the test ran with
+ * @property {TestStatus} status - Outcome of the test
+ */
+
+/**
+ * @typedef Baseline
+ * @property {typeof BASELINE_SCHEMA_VERSION} schemaVersion
+ * @property {BaselineTest[]} tests - Sorted by file, TypeScript version, describes and test name
+ */
+
+/**
+ * Tests of a run compared with the baseline.
+ *
+ * @typedef BaselineComparison
+ * @property {BaselineTest[]} newlyFailing - Tests that fail now, but did not in the baseline
+ * @property {BaselineTest[]} newlyPassing - Tests that pass now, but did not in the baseline
+ * @property {BaselineTest[]} added - Tests that are not in the baseline
+ * @property {BaselineTest[]} removed - Tests of the baseline that did not run
+ */
+
+/** @typedef {TstycheEventPayload<'test:start'>['result']} TestResult */
+
+/**
+ * Version of the format of baseline files.
+ */
+export const BASELINE_SCHEMA_VERSION = 1;
+
+const TEST_STATUSES = new Set(['passed', 'failed', 'skipped', 'todo', 'fixme', 'expected']);
+
+/**
+ * TSTyche reporter that compares the outcome of tests with a baseline from an earlier run.
+ *
+ * When the run ends, the tests whose outcome changed are printed, after which the
+ * baseline is updated with the outcome of this run. Tests are matched by file,
+ * describe path, test name and TypeScript version. Designed to be paired with
+ * other reporters, as it prints nothing until the run ends.
+ *
+ * ## Features
+ *
+ * - **Outcome changes**: Tests that are newly failing or newly passing, and tests that were added or removed
+ * - **Multi-version aware**: Each TypeScript version of a test is compared on its own
+ * - **Regression gate**: Optionally fails the run on regressions and keeps the baseline until they are fixed
+ * - **Known failures**: Failing tests listed in the known failures file are stored as `expected`, which is never a regression
+ * - **Stable baseline**: Tests are stored sorted, so that the baseline file diffs cleanly
+ *
+ * ## Baseline Path
+ *
+ * Defaults to `tstyche-baseline.json` in the TSTyche root path. Set the
+ * `baseline` option, or the `TSTYCHE_REPORTERS_BASELINE` environment variable,
+ * to change it, relative paths are resolved against the root path. Without a
+ * baseline, one is written and nothing is compared.
+ *
+ * ## Failing On Regressions
+ *
+ * Set the `failOnRegressions` option, or `TSTYCHE_REPORTERS_BASELINE_FAIL_ON_REGRESSIONS=true`,
+ * to fail the run on regressions: tests that are newly failing and added tests that fail.
+ * The exit code is only ever raised, so failing tests still fail the run as usual unless
+ * they are known failures. When the run fails on regressions, the baseline is left as is,
+ * so that rerunning keeps failing until the regressions are fixed.
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * TSTYCHE_REPORTERS_BASELINE_FAIL_ON_REGRESSIONS=true npx tstyche --reporters ./tstyche-baseline-reporter.js,dot,summary
+ * ```
+ */
+export default class TstycheBaselineReporter extends TstycheBaseReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration and load the baseline.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   * @throws {Error} When the baseline file can't be read or is invalid
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    /** @type {Baseline | undefined} */
+    this.baseline = this._loadBaseline();
+    /** @type {Map<string, BaselineTest>} */
+    this.tests = new Map();
+    /** @type {string | undefined} */
+    this.currentFile = undefined;
+    /** @type {string[]} */
+    this.currentDescribeStack = [];
+  }
+
+  /**
+   * Determine the path of the baseline file.
+   *
+   * Checks the `baseline` option, which the TSTYCHE_REPORTERS_BASELINE environment
+   * variable overrides, and falls back to `tstyche-baseline.json`. Relative paths are
+   * resolved against the root path.
+   *
+   * Subclasses can override this method to customize the baseline path.
+   *
+   * @protected
+   * @returns {string} Absolute path to the baseline file
+   */
+  _getBaselinePath () {
+    const baselinePath = this.config.baseline ?? 'tstyche-baseline.json';
+    return path.resolve(this.resolvedConfig.rootPath ?? process.cwd(), baselinePath);
+  }
+
+  /**
+   * Determine whether regressions should fail the run.
+   *
+   * Returns the `failOnRegressions` option, which the TSTYCHE_REPORTERS_BASELINE_FAIL_ON_REGRESSIONS
+   * environment variable overrides.
+   *
+   * Subclasses can override this method to customize when to fail on regressions.
+   *
+   * @protected
+   * @returns {boolean}
+   */
+  _shouldFailOnRegressions () {
+    return this.config.failOnRegressions;
+  }
+
+  /**
+   * Read the baseline file of an earlier run.
+   *
+   * @protected
+   * @returns {Baseline | undefined} The baseline, or `undefined` when there is no baseline file
+   * @throws {Error} When the baseline file can't be read or is invalid
+   */
+  _loadBaseline () {
+    const baselinePath = this._getBaselinePath();
+
+    /* eslint-disable n/no-sync, security/detect-non-literal-fs-filename -- Reporters are created synchronously */
+    if (!existsSync(baselinePath)) {
+      return;
+    }
+
+    /** @type {string} */
+    let content;
+    try {
+      content = readFileSync(baselinePath, 'utf8');
+    } catch (err) {
+      throw new Error(`Could not read baseline file ${baselinePath}`, { cause: err });
+    }
+    /* eslint-enable n/no-sync, security/detect-non-literal-fs-filename */
+
+    /** @type {unknown} */
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Could not parse baseline file ${baselinePath}: ${err instanceof Error ? err.message : String(err)}`, { cause: err });
+    }
+
+    const invalid = validateBaseline(value);
+    if (invalid) {
+      throw new Error(`Invalid baseline file ${baselinePath}: ${invalid}`);
+    }
+
+    return /** @type {Baseline} */ (value);
+  }
+
+  /**
+   * Never print the built-in summary - only changes compared with the baseline are printed.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldPrintSummary () {
+    return false;
+  }
+
+  /**
+   * Never render watch mode - every run is compared with the baseline instead.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldRenderWatchMode () {
+    return false;
+  }
+
+  /**
+   * Skip the compiler version header - versions are printed per test instead.
+   *
+   * @protected
+   * @override
+   */
+  _printCompilerVersion () {
+    // Nothing is printed until run:end
+  }
+
+  /**
+   * Handle run:start event - reset collected tests.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload
+   */
+  _onRunStart (payload) {
+    super._onRunStart(payload);
+    this.tests = new Map();
+    this.currentFile = undefined;
+    this.currentDescribeStack = [];
+  }
+
+  /**
+   * Handle file:start event - track the file of the tests.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'file:start'>} payload - Event payload
+   */
+  _onFileStart (payload) {
+    const filePath = payload.result?.file?.path;
+
+    this.currentFile = filePath ? this._getRelativeFilePath(filePath) : undefined;
+    this.currentDescribeStack = [];
+  }
+
+  /**
+   * Handle describe:start event - track describe breadcrumbs.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'describe:start'>} payload - Event payload
+   */
+  _onDescribeStart (payload) {
+    this.currentDescribeStack.push(payload.result?.describe?.name ?? 'describe');
+  }
+
+  /**
+   * Handle describe:end event - pop describe from stack.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onDescribeEnd (_payload) {
+    this.currentDescribeStack.pop();
+  }
+
+  /**
+   * Handle test:pass event - record passing test.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:pass'>} payload - Event payload
+   */
+  _onTestPass (payload) {
+    this.#recordTest(payload.result, 'passed');
+  }
+
+  /**
+   * Handle test:fail event - record failing test.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   */
+  _onTestFail (payload) {
+    this.#recordTest(payload.result, 'failed');
+  }
+
+  /**
+   * Handle test:fail event of a known failure - record it as an expected failure, which isn't a regression.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   * @param {KnownFailure} _knownFailure - The entry of the known failures file matching the test
+   */
+  _onTestExpectedFail (payload, _knownFailure) {
+    this.#recordTest(payload.result, 'expected');
+  }
+
+  /**
+   * Handle test:skip event - record skipped test.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:skip'>} payload - Event payload
+   */
+  _onTestSkip (payload) {
+    this.#recordTest(payload.result, 'skipped');
+  }
+
+  /**
+   * Handle test:todo event - record todo test.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:todo'>} payload - Event payload
+   */
+  _onTestTodo (payload) {
+    this.#recordTest(payload.result, 'todo');
+  }
+
+  /**
+   * Handle test:fixme event - record fixme test.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fixme'>} payload - Event payload
+   */
+  _onTestFixme (payload) {
+    this.#recordTest(payload.result, 'fixme');
+  }
+
+  /**
+   * Handle error event - record test errors as failing tests instead of printing them.
+   *
+   * Errors are left to the reporters this one is paired with.
+   *
+   * @protected
+   * @override
+   * @param {TstycheErrorEvents} reporterEvent
+   */
+  _onError (reporterEvent) {
+    if (reporterEvent[0] === 'test:error') {
+      // A test error is final, no test:fail event follows it
+      this.#recordTest(reporterEvent[1].result, 'failed');
+    }
+  }
+
+  /**
+   * Skip warnings about the known failures file - left to the reporters this one is paired with.
+   *
+   * @protected
+   * @override
+   * @param {KnownFailureWarning[]} _warnings - The entries and why they should be revisited
+   */
+  _printKnownFailureWarnings (_warnings) {
+    // Warnings are printed by the paired reporters
+  }
+
+  /**
+   * Handle run:end event - print the changes compared with the baseline, then update it.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onRunEnd (_payload) {
+    const baselinePath = this._getBaselinePath();
+    const relativePath = this._getRelativeFilePath(baselinePath);
+    /** @type {Baseline} */
+    const baseline = {
+      schemaVersion: BASELINE_SCHEMA_VERSION,
+      tests: [...this.tests.values()].sort(compareTests),
+    };
+
+    if (!this.baseline) {
+      this._writeLine(this.format.header('Baseline', 1));
+      this._writeLine(`No baseline found, wrote ${baseline.tests.length} ${baseline.tests.length === 1 ? 'test' : 'tests'} to ${relativePath}`);
+      this._writeLine();
+      this.#writeBaseline(baselinePath, baseline);
+      return;
+    }
+
+    const comparison = this._compareWithBaseline(this.baseline, baseline);
+    const regressions = countRegressions(comparison);
+
+    this._printComparison(comparison, relativePath);
+
+    if (!this._shouldFailOnRegressions()) {
+      this.#writeBaseline(baselinePath, baseline);
+      return;
+    }
+
+    if (regressions > 0) {
+      const errorLine = `Error: ${regressions} ${regressions === 1 ? 'regression' : 'regressions'} compared with the baseline, ${relativePath} was not updated`;
+      this._writeErrorLine(this.format.chalk ? this.format.chalk.red(errorLine) : errorLine);
+      process.exitCode = 1;
+    } else {
+      this.#writeBaseline(baselinePath, baseline);
+    }
+  }
+
+  /**
+   * Compare the tests of a run with the tests of the baseline.
+   *
+   * Subclasses can override this method to customize what counts as a change.
+   *
+   * @protected
+   * @param {Baseline} previous - The baseline of an earlier run
+   * @param {Baseline} current - The baseline of this run
+   * @returns {BaselineComparison}
+   */
+  _compareWithBaseline (previous, current) {
+    const previousTests = new Map(previous.tests.map(test => [getTestKey(test), test]));
+    const currentKeys = new Set(current.tests.map(test => getTestKey(test)));
+
+    /** @type {BaselineComparison} */
+    const comparison = { newlyFailing: [], newlyPassing: [], added: [], removed: [] };
+
+    for (const test of current.tests) {
+      const previousStatus = previousTests.get(getTestKey(test))?.status;
+
+      if (!previousStatus) {
+        comparison.added.push(test);
+      } else if (test.status === 'failed' && previousStatus !== 'failed') {
+        comparison.newlyFailing.push(test);
+      } else if (test.status === 'passed' && previousStatus !== 'passed') {
+        comparison.newlyPassing.push(test);
+      }
+    }
+
+    comparison.removed = previous.tests.filter(test => !currentKeys.has(getTestKey(test)));
+
+    return comparison;
+  }
+
+  /**
+   * Print the tests whose outcome changed compared with the baseline.
+   *
+   * @protected
+   * @param {BaselineComparison} comparison - Tests whose outcome changed
+   * @param {string} baselinePath - Path of the baseline file, relative to the root path
+   * @returns {void}
+   */
+  _printComparison (comparison, baselinePath) {
+    const { added, newlyFailing, newlyPassing, removed } = comparison;
+
+    this._writeLine(this.format.header('Baseline', 1));
+
+    if (newlyFailing.length + newlyPassing.length + added.length + removed.length === 0) {
+      this._writeLine(`No changes compared with ${baselinePath}`);
+      this._writeLine();
+      return;
+    }
+
+    this._writeLine(`Compared with ${baselinePath}: ${[
+      `${newlyFailing.length} newly failing`,
+      `${newlyPassing.length} newly passing`,
+      `${added.length} added`,
+      `${removed.length} removed`,
+    ].join(', ')}`);
+
+    /**
+     * @param {string} heading
+     * @param {BaselineTest[]} tests
+     */
+    const printTests = (heading, tests) => {
+      if (tests.length === 0) {
+        return;
+      }
+
+      const items = tests.map(test => `${this._getStatusSymbol(test.status)} ${this._formatBaselineTest(test)}`);
+
+      this._writeLine(this.format.header(heading, 2));
+      this._writeLine(this.format.chalk
+        ? items.map(item => this._indent(item)).join('\n')
+        : this.format.list(items).trimEnd());
+    };
+
+    printTests('Newly failing', newlyFailing);
+    printTests('Newly passing', newlyPassing);
+    printTests('Added', added);
+    printTests('Removed', removed);
+
+    this._writeLine();
+  }
+
+  /**
+   * Format a test of a baseline as its full name, TypeScript version and file.
+   *
+   * @protected
+   * @param {BaselineTest} test - The test
+   * @returns {string}
+   */
+  _formatBaselineTest (test) {
+    return `${[...test.describe, test.test].join(BREADCRUMB_SEPARATOR)} (TypeScript ${test.compilerVersion}, ${test.file})`;
+  }
+
+  /**
+   * @param {TestResult | undefined} result
+   * @param {TestStatus} status
+   */
+  #recordTest (result, status) {
+    /** @type {BaselineTest} */
+    const test = {
+      file: this.currentFile ?? 'unknown',
+      describe: [...this.currentDescribeStack],
+      test: result?.test?.name ?? 'test',
+      compilerVersion: this.currentCompilerVersion ?? 'unknown',
+      status,
+    };
+
+    this.tests.set(getTestKey(test), test);
+  }
+
+  /**
+   * Write a baseline and use it for the next run, eg. in watch mode.
+   *
+   * @param {string} baselinePath
+   * @param {Baseline} baseline
+   */
+  #writeBaseline (baselinePath, baseline) {
+    // eslint-disable-next-line n/no-sync, security/detect-non-literal-fs-filename -- Reporter events are handled synchronously
+    mkdirSync(path.dirname(baselinePath), { recursive: true });
+    // eslint-disable-next-line n/no-sync, security/detect-non-literal-fs-filename -- Reporter events are handled synchronously
+    writeFileSync(baselinePath, JSON.stringify(baseline, undefined, 2) + '\n');
+
+    this.baseline = baseline;
+  }
+}
+
+/**
+ * @param {BaselineTest} test
+ * @returns {string}
+ */
+function getTestKey (test) {
+  return JSON.stringify([test.file, test.compilerVersion, test.describe, test.test]);
+}
+
+/**
+ * @param {BaselineTest} a
+ * @param {BaselineTest} b
+ * @returns {number}
+ */
+function compareTests (a, b) {
+  const keyA = getTestKey(a);
+  const keyB = getTestKey(b);
+
+  return keyA < keyB ? -1 : (keyA > keyB ? 1 : 0);
+}
+
+/**
+ * @param {BaselineComparison} comparison
+ * @returns {number} Tests that are newly failing, and added tests that fail
+ */
+function countRegressions (comparison) {
+  return comparison.newlyFailing.length + comparison.added.filter(test => test.status === 'failed').length;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string | undefined} A description of what was expected, when the baseline is invalid
+ */
+function validateBaseline (value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return 'Expected an object';
+  }
+
+  const { schemaVersion, tests } = /** @type {Record<string, unknown>} */ (value);
+
+  if (schemaVersion !== BASELINE_SCHEMA_VERSION) {
+    return `Unsupported schema version ${JSON.stringify(schemaVersion)}, expected ${BASELINE_SCHEMA_VERSION}`;
+  }
+  if (!Array.isArray(tests)) {
+    return 'Expected a \'tests\' array';
+  }
+
+  const index = tests.findIndex(test => !isBaselineTest(test));
+
+  return index === -1 ? undefined : `Invalid test at index ${index}`;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is BaselineTest}
+ */
+function isBaselineTest (value) {
+  if (typeof value !== 'object' || value === null) {
+    return false;
+  }
+
+  const { compilerVersion, describe, file, status, test } = /** @type {Record<string, unknown>} */ (value);
+
+  return typeof file === 'string' &&
+    Array.isArray(describe) && describe.every(name => typeof name === 'string') &&
+    typeof test === 'string' &&
+    typeof compilerVersion === 'string' &&
+    typeof status === 'string' && TEST_STATUSES.has(status);
+}
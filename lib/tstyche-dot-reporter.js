@@ -1,8 +1,16 @@
-/* eslint-disable no-console */
-
 import { TstycheBaseReporter } from './tstyche-base-reporter.js';
 
-/** @import { TstycheEventPayload, TstycheErrorEvents } from './tstyche-base-reporter.js' */
+/** @import { KnownFailure, TestStatus, TstycheEventPayload, TstycheErrorEvents, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+/** @type {Record<TestStatus, string>} */
+const DOT_CHARS = {
+  passed: '.',
+  failed: 'F',
+  expected: 'f',
+  skipped: '*',
+  todo: '-',
+  fixme: 'x',
+};
 
 /**
  * TSTyche dot reporter with compiler version headers.
@@ -12,10 +20,10 @@ import { TstycheBaseReporter } from './tstyche-base-reporter.js';
  *
  * ## Features
  *
- * - **Dot notation**: Pass = `.`, Fail = `F`, Pending = `*`
+ * - **Dot notation**: Pass = `.`, Fail = `F`, Expected failure = `f`, Skip = `*`, Todo = `-`, Fixme = `x`, replaced by the `symbols` option
  * - **Compiler version header**: Prints TypeScript version when it changes
  * - **Compact output**: Minimal verbosity, ideal for multi-version runs
- * - **GitHub CI support**: Detects CI environment and outputs Markdown
+ * - **GitHub CI support**: Detects GitHub Actions and outputs Markdown, plain text in other CI environments
  * - **Streaming output**: Tests rendered in real-time
  * - **Error handling**: Surfaces all error events with formatted diagnostics
  *
@@ -44,9 +52,10 @@ export default class TstycheDotReporter extends TstycheBaseReporter {
    * Initialize the reporter with resolved TSTyche configuration.
    *
    * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
    */
-  constructor (resolvedConfig) {
-    super(resolvedConfig);
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
     /** @type {number} */
     this.dotsOnCurrentLine = 0;
   }
@@ -74,16 +83,19 @@ export default class TstycheDotReporter extends TstycheBaseReporter {
   }
 
   /**
-   * Write a single character to the dot line with wrapping.
+   * Write the character of a test outcome to the dot line with wrapping.
+   *
+   * The character comes from the `symbols` option, falling back to '.' for pass, 'F' for fail,
+   * 'f' for expected failure, '*' for skip, '-' for todo and 'x' for fixme.
    *
-   * @param {string} char - Character to write ('.' for pass, 'F' for fail)
+   * @param {TestStatus} status - Outcome of the test
    */
-  #writeDotChar (char) {
-    process.stdout.write(char);
+  #writeDotChar (status) {
+    this._write(this.config.symbols[status] ?? DOT_CHARS[status]);
     this.dotsOnCurrentLine++;
-    // Wrap at 80 characters
-    if (this.dotsOnCurrentLine >= 80) {
-      console.log('');
+    // Wrap at the configured width, 80 characters by default
+    if (this.config.wrapWidth > 0 && this.dotsOnCurrentLine >= this.config.wrapWidth) {
+      this._writeLine();
       this.dotsOnCurrentLine = 0;
     }
   }
@@ -93,7 +105,7 @@ export default class TstycheDotReporter extends TstycheBaseReporter {
    */
   #flushDots () {
     if (this.dotsOnCurrentLine > 0) {
-      console.log('');
+      this._writeLine();
       this.dotsOnCurrentLine = 0;
     }
   }
@@ -106,7 +118,7 @@ export default class TstycheDotReporter extends TstycheBaseReporter {
    * @param {unknown} _payload - Event payload
    */
   _onTestPass (_payload) {
-    this.#writeDotChar('.');
+    this.#writeDotChar('passed');
   }
 
   /**
@@ -117,7 +129,52 @@ export default class TstycheDotReporter extends TstycheBaseReporter {
    * @param {unknown} _payload - Event payload
    */
   _onTestFail (_payload) {
-    this.#writeDotChar('F');
+    this.#writeDotChar('failed');
+  }
+
+  /**
+   * Handle test:fail event of a known failure - print f.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   * @param {KnownFailure} _knownFailure - The entry of the known failures file matching the test
+   */
+  _onTestExpectedFail (_payload, _knownFailure) {
+    this.#writeDotChar('expected');
+  }
+
+  /**
+   * Handle test:skip event - print *.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestSkip (_payload) {
+    this.#writeDotChar('skipped');
+  }
+
+  /**
+   * Handle test:todo event - print -.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestTodo (_payload) {
+    this.#writeDotChar('todo');
+  }
+
+  /**
+   * Handle test:fixme event - print x.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestFixme (_payload) {
+    this.#writeDotChar('fixme');
   }
 
   /**
@@ -129,18 +186,23 @@ export default class TstycheDotReporter extends TstycheBaseReporter {
    */
   _onRunEnd (_payload) {
     this.#flushDots();
-    console.log('');
-    console.log('');
+    this._writeLine();
+    this._writeLine();
   }
 
   /**
    * Handle error event - flush dots before printing errors.
    *
+   * Errors of assertions in tests that are known failures aren't printed.
+   *
    * @protected
    * @override
    * @param {TstycheErrorEvents} reporterEvent
    */
   _onError (reporterEvent) {
+    if (reporterEvent[0] === 'expect:error' && this._getKnownFailure(reporterEvent[1].result?.parent)) {
+      return;
+    }
     this.#flushDots();
     super._onError(reporterEvent);
   }
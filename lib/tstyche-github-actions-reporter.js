@@ -0,0 +1,367 @@
+import path from 'node:path';
+
+import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+import { BREADCRUMB_SEPARATOR } from './utils.js';
+
+/** @import { Diagnostic } from 'tstyche/tstyche' */
+/** @import { KnownFailure, KnownFailureWarning, TstycheEventPayload, TstycheErrorEvents, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+/** @typedef {TstycheEventPayload<'test:start'>['result']} TestResult */
+
+/**
+ * @typedef AnnotationProperties
+ * @property {string} [file] - File path relative to the repository, see `_getAnnotationFilePath()`
+ * @property {number} [line]
+ * @property {number} [endLine]
+ * @property {number} [col]
+ * @property {number} [endColumn]
+ * @property {string} title
+ */
+
+/**
+ * TSTyche reporter that outputs GitHub Actions workflow command annotations.
+ *
+ * Failing assertions and error events are turned into `::error` workflow
+ * commands, which GitHub shows inline on the offending lines of a pull request.
+ * Designed to be paired with a console reporter, as it prints nothing else.
+ *
+ * ## Features
+ *
+ * - **Inline annotations**: Uses the location of each diagnostic, with paths relative to `GITHUB_WORKSPACE`
+ * - **Per-version titles**: Titles include the TypeScript version, so multi-target failures are distinguishable
+ * - **Full breadcrumbs**: Titles include the describe and test names
+ * - **Warnings**: Diagnostics with the warning category become `::warning` commands
+ * - **Known failures**: Diagnostics of expected failures become `::notice` commands, stale entries of the known failures file `::warning` commands
+ *
+ * @see {@link https://docs.github.com/en/actions/reference/workflow-commands-for-github-actions#setting-an-error-message} - Workflow commands
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * npx tstyche --target '5.4 || 5.8 || next' --reporters ./tstyche-github-actions-reporter.js,./tstyche-dot-reporter.js,summary
+ * ```
+ *
+ * Output:
+ * ```
+ * ::error file=typetests/a.test.ts,line=8,endLine=8,col=12,endColumn=18,title=TypeScript 5.8.3%3A Math › fails::Type 'string' is not the same as type 'number'. [error]
+ * ```
+ */
+export default class TstycheGithubActionsReporter extends TstycheBaseReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    /** @type {string | undefined} */
+    this.currentFile = undefined;
+    /** @type {string[]} */
+    this.currentDescribeStack = [];
+    /** @type {WeakSet<TestResult>} */
+    this.annotatedTests = new WeakSet();
+  }
+
+  /**
+   * Handle run:start event - reset file/describe tracking.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload
+   */
+  _onRunStart (payload) {
+    super._onRunStart(payload);
+    this.currentFile = undefined;
+    this.currentDescribeStack = [];
+    this.annotatedTests = new WeakSet();
+  }
+
+  /**
+   * Never print the built-in summary - only annotations are printed.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldPrintSummary () {
+    return false;
+  }
+
+  /**
+   * Never render watch mode - only annotations are printed.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldRenderWatchMode () {
+    return false;
+  }
+
+  /**
+   * Skip the compiler version header - versions are included in annotation titles instead.
+   *
+   * @protected
+   * @override
+   */
+  _printCompilerVersion () {
+    // Nothing is printed
+  }
+
+  /**
+   * Handle file:start event - track file and reset describe stack.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'file:start'>} payload - Event payload
+   */
+  _onFileStart (payload) {
+    const filePath = payload.result?.file?.path;
+    this.currentFile = filePath ? this._getAnnotationFilePath(filePath) : undefined;
+    this.currentDescribeStack = [];
+  }
+
+  /**
+   * Get the path of a file as GitHub expects it in annotations.
+   *
+   * Annotations are matched against files relative to the root of the repository,
+   * which is the `GITHUB_WORKSPACE` of the workflow. Paths are relative to the root
+   * path when that variable is not set, eg. outside of GitHub Actions.
+   *
+   * @protected
+   * @param {string} filePath - Absolute file path, as found in TSTyche results and diagnostics
+   * @returns {string} Relative file path
+   */
+  _getAnnotationFilePath (filePath) {
+    // eslint-disable-next-line n/no-process-env -- Set by GitHub Actions
+    const workspace = process.env['GITHUB_WORKSPACE'];
+
+    return workspace
+      ? path.relative(workspace, filePath)
+      : this._getRelativeFilePath(filePath);
+  }
+
+  /**
+   * Handle describe:start event - track describe breadcrumbs.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'describe:start'>} payload - Event payload
+   */
+  _onDescribeStart (payload) {
+    this.currentDescribeStack.push(payload.result?.describe?.name ?? 'describe');
+  }
+
+  /**
+   * Handle describe:end event - pop describe from stack.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onDescribeEnd (_payload) {
+    this.currentDescribeStack.pop();
+  }
+
+  /**
+   * Handle test:pass event - nothing to annotate.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestPass (_payload) {
+    // Only failures are annotated
+  }
+
+  /**
+   * Handle test:fail event - annotate the test if none of its assertions were.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   */
+  _onTestFail (payload) {
+    if (payload.result && this.annotatedTests.has(payload.result)) {
+      return;
+    }
+
+    this.#printAnnotation('error', 'Test failed', {
+      ...this.currentFile ? { file: this.currentFile } : {},
+      title: this.#getTitle(payload.result?.test?.name),
+    });
+  }
+
+  /**
+   * Handle test:fail event of a known failure - annotate it as a notice if none of its assertions were.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   * @param {KnownFailure} knownFailure - The entry of the known failures file matching the test
+   */
+  _onTestExpectedFail (payload, knownFailure) {
+    if (payload.result && this.annotatedTests.has(payload.result)) {
+      return;
+    }
+
+    this.#printAnnotation('notice', `Expected failure${knownFailure.entry.reason ? `: ${knownFailure.entry.reason}` : ''}`, {
+      ...this.currentFile ? { file: this.currentFile } : {},
+      title: this.#getTitle(payload.result?.test?.name),
+    });
+  }
+
+  /**
+   * Handle expect:fail event - annotate each diagnostic of the failed assertion.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'expect:fail'>} payload - Event payload
+   */
+  _onExpectFail (payload) {
+    this.#annotateDiagnostics(payload.diagnostics, payload.result?.parent, undefined, this.#isKnownFailure(payload.result?.parent));
+  }
+
+  /**
+   * Handle error event - annotate each diagnostic instead of printing it.
+   *
+   * @protected
+   * @override
+   * @param {TstycheErrorEvents} reporterEvent
+   */
+  _onError (reporterEvent) {
+    switch (reporterEvent[0]) {
+      case 'test:error':
+        this.#annotateDiagnostics(reporterEvent[1].diagnostics, reporterEvent[1].result);
+        break;
+      case 'expect:error':
+        this.#annotateDiagnostics(reporterEvent[1].diagnostics, reporterEvent[1].result?.parent, undefined, this.#isKnownFailure(reporterEvent[1].result?.parent));
+        break;
+      default:
+        this.#annotateDiagnostics(reporterEvent[1].diagnostics, undefined, reporterEvent[0]);
+    }
+  }
+
+  /**
+   * Annotate the entries of the known failures file that should be revisited as warnings.
+   *
+   * @protected
+   * @override
+   * @param {KnownFailureWarning[]} warnings - The entries and why they should be revisited
+   */
+  _printKnownFailureWarnings (warnings) {
+    for (const warning of warnings) {
+      this.#printAnnotation('warning', this._formatKnownFailureWarning(warning), { title: 'Known failures' });
+    }
+  }
+
+  /**
+   * Handle run:end event - nothing to flush.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onRunEnd (_payload) {
+    // Annotations are printed as they happen
+  }
+
+  /**
+   * Annotate diagnostics, marking the test they belong to as annotated.
+   *
+   * @param {Diagnostic[]} diagnostics
+   * @param {TestResult | undefined} testResult - The test the diagnostics belong to, if any
+   * @param {string} [fallbackName] - Name to use in the title when there is no test
+   * @param {boolean} [expected] - Whether the test is a known failure, annotated with notices rather than errors
+   */
+  #annotateDiagnostics (diagnostics, testResult, fallbackName, expected = false) {
+    if (testResult) {
+      this.annotatedTests.add(testResult);
+    }
+
+    const title = this.#getTitle(testResult?.test?.name ?? fallbackName);
+
+    for (const diagnostic of diagnostics) {
+      const location = this._getDiagnosticLocation(diagnostic);
+      const file = location ? this._getAnnotationFilePath(location.filePath) : this.currentFile;
+
+      this.#printAnnotation(
+        (expected && 'notice') || (diagnostic.category === 'warning' ? 'warning' : 'error'),
+        this._formatDiagnostic(diagnostic),
+        {
+          ...file ? { file } : {},
+          ...location && {
+            line: location.line,
+            endLine: location.endLine,
+            col: location.column,
+            endColumn: location.endColumn,
+          },
+          title,
+        }
+      );
+    }
+  }
+
+  /**
+   * @param {TestResult | undefined} testResult
+   * @returns {boolean}
+   */
+  #isKnownFailure (testResult) {
+    return this._getKnownFailure(testResult) !== undefined;
+  }
+
+  /**
+   * Build an annotation title with TypeScript version and breadcrumbs.
+   *
+   * @param {string} [name] - Test name or other name to append to the describe breadcrumbs
+   * @returns {string}
+   */
+  #getTitle (name) {
+    const breadcrumbs = [...this.currentDescribeStack, ...name ? [name] : []].join(BREADCRUMB_SEPARATOR);
+    const version = this.currentCompilerVersion ? `TypeScript ${this.currentCompilerVersion}` : '';
+
+    return [version, breadcrumbs].filter(Boolean).join(': ') || 'TSTyche';
+  }
+
+  /**
+   * Print a single workflow command annotation.
+   *
+   * @param {'error' | 'warning' | 'notice'} command
+   * @param {string} message
+   * @param {AnnotationProperties} properties
+   */
+  #printAnnotation (command, message, properties) {
+    const renderedProperties = Object.entries(properties)
+      .map(([key, value]) => `${key}=${escapeProperty(String(value))}`)
+      .join(',');
+
+    this._writeLine(`::${command} ${renderedProperties}::${escapeData(message)}`);
+  }
+}
+
+/**
+ * Escape the message part of a workflow command.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeData (value) {
+  return value
+    .replaceAll('%', '%25')
+    .replaceAll('\r', '%0D')
+    .replaceAll('\n', '%0A');
+}
+
+/**
+ * Escape a property value of a workflow command.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeProperty (value) {
+  return escapeData(value)
+    .replaceAll(':', '%3A')
+    .replaceAll(',', '%2C');
+}
@@ -0,0 +1,124 @@
+/**
+ * Schema of the output of `TstycheJsonReporter`.
+ *
+ * The schema is versioned through `schemaVersion`. Adding optional properties
+ * is not considered a breaking change, anything else bumps the version.
+ */
+
+/** Version of the schema described by these types */
+export type JsonReporterSchemaVersion = 1;
+
+/** Outcome of a test or assertion, where `expected` is a failing test that is listed in the known failures file */
+export type JsonReporterTestStatus = 'passed' | 'failed' | 'skipped' | 'todo' | 'fixme' | 'expected';
+
+export interface JsonReporterLocation {
+  /** File path, relative to the TSTyche root path */
+  file: string;
+  /** Start line, 1-based */
+  line: number;
+  /** Start column, 1-based */
+  column: number;
+  /** End line, 1-based */
+  endLine: number;
+  /** End column, 1-based */
+  endColumn: number;
+}
+
+export interface JsonReporterDiagnostic {
+  /** Message text, with lines of multi-line messages joined by newlines */
+  message: string;
+  /** Message formatted the same way as in the console reporters */
+  formatted: string;
+  category: string;
+  code?: string;
+  location?: JsonReporterLocation;
+  related?: JsonReporterDiagnostic[];
+}
+
+/**
+ * A single line of NDJSON output, one per TSTyche event.
+ */
+export interface JsonReporterEventRecord {
+  schemaVersion: JsonReporterSchemaVersion;
+  /** TSTyche event name, eg. `test:pass` */
+  event: string;
+  /** TypeScript version in use when the event was emitted */
+  compilerVersion?: string;
+  /** File path, relative to the TSTyche root path */
+  file?: string;
+  /** Names of the describe blocks enclosing the subject of the event */
+  describes?: string[];
+  /** Name of the describe block or test the event is about */
+  name?: string;
+  /** Outcome, set on events that end a test or assertion */
+  status?: JsonReporterTestStatus;
+  /** Duration in milliseconds, set on events that end a timed result */
+  duration?: number;
+  diagnostics?: JsonReporterDiagnostic[];
+}
+
+export interface JsonReporterCounts {
+  passed: number;
+  /** Failed tests, including tests that errored */
+  failed: number;
+  skipped: number;
+  todo: number;
+  fixme: number;
+  /** Failed tests that are listed in the known failures file */
+  expected: number;
+  /** Error events outside of tests, eg. project or file errors */
+  errors: number;
+}
+
+export interface JsonReporterTestResult {
+  compilerVersion: string;
+  status: JsonReporterTestStatus;
+  /** Duration in milliseconds, when known */
+  duration?: number;
+  /** Diagnostics of failed assertions and test errors */
+  diagnostics: JsonReporterDiagnostic[];
+}
+
+export interface JsonReporterTest {
+  name: string;
+  /** One result per TypeScript version the test ran with */
+  results: JsonReporterTestResult[];
+}
+
+export interface JsonReporterDescribe {
+  name: string;
+  describes: JsonReporterDescribe[];
+  tests: JsonReporterTest[];
+}
+
+export interface JsonReporterFile {
+  /** File path, relative to the TSTyche root path */
+  path: string;
+  describes: JsonReporterDescribe[];
+  tests: JsonReporterTest[];
+}
+
+export interface JsonReporterError {
+  /** TSTyche event name, eg. `project:error` */
+  event: string;
+  compilerVersion?: string;
+  /** File path, relative to the TSTyche root path */
+  file?: string;
+  diagnostics: JsonReporterDiagnostic[];
+}
+
+/**
+ * The single JSON document written in aggregate mode.
+ */
+export interface JsonReporterReport {
+  schemaVersion: JsonReporterSchemaVersion;
+  /** TypeScript versions, in the order they ran */
+  compilerVersions: string[];
+  summary: {
+    total: JsonReporterCounts;
+    versions: Record<string, JsonReporterCounts>;
+  };
+  files: JsonReporterFile[];
+  /** Errors that are not part of a test, eg. project or file errors */
+  errors: JsonReporterError[];
+}
@@ -0,0 +1,492 @@
+import path from 'node:path';
+
+import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+import { getDuration } from './utils.js';
+
+/** @import { Diagnostic, ReporterEvent } from 'tstyche/tstyche' */
+/** @import { KnownFailureWarning, TstycheEventPayload, TstycheNonImplementedEvents, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+/** @import { JsonReporterDescribe, JsonReporterDiagnostic, JsonReporterError, JsonReporterEventRecord, JsonReporterFile, JsonReporterReport, JsonReporterSchemaVersion, JsonReporterTest, JsonReporterTestStatus } from './tstyche-json-reporter-types.js' */
+
+/** @typedef {'ndjson' | 'aggregate'} JsonReporterMode */
+
+/**
+ * The parts of event payloads that records are built from.
+ *
+ * @typedef NormalizablePayload
+ * @property {string} [compilerVersion]
+ * @property {Diagnostic[]} [diagnostics]
+ * @property {{ timing?: { start: number, end: number }, file?: { path: string }, describe?: { name: string }, test?: { name: string }, parent?: { test?: { name: string } } }} [result]
+ */
+
+/**
+ * Version of the schema of the JSON output, see `JsonReporterSchemaVersion`.
+ *
+ * @type {JsonReporterSchemaVersion}
+ */
+export const JSON_REPORTER_SCHEMA_VERSION = 1;
+
+/** @type {Partial<Record<ReporterEvent[0], JsonReporterTestStatus>>} */
+const EVENT_STATUSES = {
+  'test:pass': 'passed',
+  'test:fail': 'failed',
+  'test:error': 'failed',
+  'test:skip': 'skipped',
+  'test:todo': 'todo',
+  'test:fixme': 'fixme',
+  'expect:pass': 'passed',
+  'expect:fail': 'failed',
+  'expect:error': 'failed',
+  'expect:skip': 'skipped',
+  'expect:fixme': 'fixme',
+};
+
+/**
+ * TSTyche reporter that outputs machine-readable JSON.
+ *
+ * Serializes the TSTyche event stream into a stable, versioned schema, for
+ * post-processing of type test runs with other tooling. The schema is exported
+ * as TypeScript types, eg. `JsonReporterReport` and `JsonReporterEventRecord`.
+ *
+ * ## Features
+ *
+ * - **Aggregate mode** (default): A single JSON document when the run ends, with a
+ *   files → describes → tests tree, per-version results and formatted diagnostics
+ * - **NDJSON mode**: One JSON line per event as it arrives, enabled with `TSTYCHE_REPORTERS_JSON_MODE=ndjson`
+ * - **Output file**: Set the `jsonOutput` option to write to a file instead of `stdout`
+ * - **Known failures**: Tests listed in the known failures file are reported as `expected` rather than `failed`
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * TSTYCHE_REPORTERS_JSON_OUTPUT=reports/types.json npx tstyche --reporters ./tstyche-json-reporter.js,list,summary
+ * ```
+ */
+export default class TstycheJsonReporter extends TstycheBaseReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    /** @type {JsonReporterMode} */
+    this.mode = this._getMode();
+    /** @type {string | undefined} */
+    this.currentFile = undefined;
+    /** @type {string[]} */
+    this.currentDescribeStack = [];
+    /** @type {string[]} */
+    this.compilerVersions = [];
+    /** @type {JsonReporterFile[]} */
+    this.files = [];
+    /** @type {JsonReporterError[]} */
+    this.errors = [];
+    /** @type {WeakMap<object, JsonReporterDiagnostic[]>} */
+    this.pendingDiagnostics = new WeakMap();
+  }
+
+  /**
+   * Determine the output mode.
+   *
+   * Checks the `jsonMode` option, which the TSTYCHE_REPORTERS_JSON_MODE environment
+   * variable overrides, set it to `ndjson` to emit one line per event. Defaults to `aggregate`.
+   *
+   * Subclasses can override this method to customize the mode.
+   *
+   * @protected
+   * @returns {JsonReporterMode}
+   */
+  _getMode () {
+    return this.config.jsonMode;
+  }
+
+  /**
+   * Determine the file that the JSON is written to.
+   *
+   * Checks the `jsonOutput` option, which the TSTYCHE_REPORTERS_JSON_OUTPUT environment
+   * variable overrides. Relative paths are resolved against the root path.
+   *
+   * Subclasses can override this method to customize the output path.
+   *
+   * @protected
+   * @returns {string | undefined} Absolute path to the output file, or `undefined` to write to `stdout`
+   */
+  _getOutputPath () {
+    const outputPath = this.config.jsonOutput;
+    return outputPath ? path.resolve(this.resolvedConfig.rootPath ?? process.cwd(), outputPath) : undefined;
+  }
+
+  /**
+   * Write the JSON to the file of the `jsonOutput` option, rather than the `output` option.
+   *
+   * @protected
+   * @override
+   * @returns {string | undefined}
+   */
+  _getOutputFilePath () {
+    return this._getOutputPath();
+  }
+
+  /**
+   * Never print the built-in summary - it would corrupt the JSON output.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldPrintSummary () {
+    return false;
+  }
+
+  /**
+   * Never render watch mode - it would corrupt the JSON output.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldRenderWatchMode () {
+    return false;
+  }
+
+  /**
+   * Skip the compiler version header - versions are part of the JSON instead.
+   *
+   * @protected
+   * @override
+   */
+  _printCompilerVersion () {
+    // Nothing is printed
+  }
+
+  /**
+   * Record every event, then dispatch it to the regular handlers.
+   *
+   * @override
+   * @param {ReporterEvent} reporterEvent - The event
+   * @returns {void}
+   */
+  on (reporterEvent) {
+    // Created before dispatching, so that describe blocks are not yet entered or left
+    const record = this.#createRecord(reporterEvent);
+
+    super.on(reporterEvent);
+
+    if (this.mode === 'ndjson') {
+      this._writeLine(JSON.stringify(record));
+    } else {
+      this.#aggregate(reporterEvent, record);
+    }
+  }
+
+  /**
+   * Handle run:start event - reset collected results.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload
+   */
+  _onRunStart (payload) {
+    super._onRunStart(payload);
+    this.currentFile = undefined;
+    this.currentDescribeStack = [];
+    this.compilerVersions = [];
+    this.files = [];
+    this.errors = [];
+    this.pendingDiagnostics = new WeakMap();
+  }
+
+  /**
+   * Handle project:uses event - track the versions in use.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'project:uses'>} payload - Event payload
+   */
+  _onProjectUses (payload) {
+    super._onProjectUses(payload);
+
+    if (this.currentCompilerVersion && !this.compilerVersions.includes(this.currentCompilerVersion)) {
+      this.compilerVersions.push(this.currentCompilerVersion);
+    }
+  }
+
+  /**
+   * Handle file:start event - track file and reset describe stack.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'file:start'>} payload - Event payload
+   */
+  _onFileStart (payload) {
+    const filePath = payload.result?.file?.path;
+    this.currentFile = filePath ? this._getRelativeFilePath(filePath) : undefined;
+    this.currentDescribeStack = [];
+  }
+
+  /**
+   * Handle describe:start event - track describe breadcrumbs.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'describe:start'>} payload - Event payload
+   */
+  _onDescribeStart (payload) {
+    this.currentDescribeStack.push(payload.result?.describe?.name ?? 'describe');
+  }
+
+  /**
+   * Handle describe:end event - pop describe from stack.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onDescribeEnd (_payload) {
+    this.currentDescribeStack.pop();
+  }
+
+  /**
+   * Handle file:end event - stop tracking the file.
+   *
+   * @protected
+   * @override
+   * @param {TstycheNonImplementedEvents} reporterEvent - The event
+   */
+  _onNonImplementedEvent (reporterEvent) {
+    if (reporterEvent[0] === 'file:end') {
+      this.currentFile = undefined;
+      this.currentDescribeStack = [];
+    }
+  }
+
+  /**
+   * Handle test:pass event - recorded by `on()`.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestPass (_payload) {
+    // Every event is recorded by on()
+  }
+
+  /**
+   * Handle test:fail event - recorded by `on()`.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestFail (_payload) {
+    // Every event is recorded by on()
+  }
+
+  /**
+   * Handle error event - recorded by `on()` instead of being printed.
+   *
+   * @protected
+   * @override
+   */
+  _onError () {
+    // Every event is recorded by on()
+  }
+
+  /**
+   * Skip warnings about the known failures file - left to the console reporter this one is paired with.
+   *
+   * @protected
+   * @override
+   * @param {KnownFailureWarning[]} _warnings - The entries and why they should be revisited
+   */
+  _printKnownFailureWarnings (_warnings) {
+    // Nothing is printed
+  }
+
+  /**
+   * Handle run:end event - write the report in aggregate mode.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onRunEnd (_payload) {
+    if (this.mode === 'aggregate') {
+      this._writeLine(JSON.stringify(this._createReport(), undefined, 2));
+    }
+  }
+
+  /**
+   * Create the aggregate report of the run.
+   *
+   * @protected
+   * @returns {JsonReporterReport}
+   */
+  _createReport () {
+    return {
+      schemaVersion: JSON_REPORTER_SCHEMA_VERSION,
+      compilerVersions: this.compilerVersions,
+      summary: {
+        total: { ...this.summary.total },
+        versions: Object.fromEntries([...this.summary.versions].map(([version, counts]) => [version, { ...counts }])),
+      },
+      files: this.files,
+      errors: this.errors,
+    };
+  }
+
+  /**
+   * Normalize a diagnostic into its JSON representation.
+   *
+   * @protected
+   * @param {Diagnostic} diagnostic - The diagnostic object
+   * @returns {JsonReporterDiagnostic}
+   */
+  _normalizeDiagnostic (diagnostic) {
+    const location = this._getDiagnosticLocation(diagnostic);
+
+    return {
+      message: Array.isArray(diagnostic.text) ? diagnostic.text.join('\n') : diagnostic.text,
+      formatted: this._formatDiagnostic(diagnostic),
+      category: diagnostic.category,
+      ...diagnostic.code && { code: diagnostic.code },
+      ...location && {
+        location: {
+          file: this._getRelativeFilePath(location.filePath),
+          line: location.line,
+          column: location.column,
+          endLine: location.endLine,
+          endColumn: location.endColumn,
+        },
+      },
+      ...diagnostic.related?.length && {
+        related: diagnostic.related.map(related => this._normalizeDiagnostic(related)),
+      },
+    };
+  }
+
+  /**
+   * @param {ReporterEvent} reporterEvent
+   * @returns {JsonReporterEventRecord}
+   */
+  #createRecord (reporterEvent) {
+    const [event] = reporterEvent;
+    const payload = /** @type {NormalizablePayload} */ (reporterEvent[1]);
+    const { result } = payload;
+
+    const filePath = result?.file?.path;
+    const file = filePath ? this._getRelativeFilePath(filePath) : this.currentFile;
+    const compilerVersion = payload.compilerVersion ?? this.currentCompilerVersion;
+    const name = result?.describe?.name ?? result?.test?.name ?? result?.parent?.test?.name;
+    const status = reporterEvent[0] === 'test:fail' && this._getKnownFailure(reporterEvent[1].result) ? 'expected' : EVENT_STATUSES[event];
+    const duration = event.endsWith(':start') ? undefined : getDuration(result?.timing);
+    // The describe block that ends is still on the stack, but is the subject rather than an enclosing block
+    const describes = event === 'describe:end' ? this.currentDescribeStack.slice(0, -1) : [...this.currentDescribeStack];
+
+    return {
+      schemaVersion: JSON_REPORTER_SCHEMA_VERSION,
+      event,
+      ...compilerVersion && { compilerVersion },
+      ...file && { file },
+      ...describes.length > 0 && { describes },
+      ...name !== undefined && { name },
+      ...status && { status },
+      ...duration !== undefined && { duration },
+      ...payload.diagnostics && { diagnostics: payload.diagnostics.map(diagnostic => this._normalizeDiagnostic(diagnostic)) },
+    };
+  }
+
+  /**
+   * Add an event to the aggregate report.
+   *
+   * @param {ReporterEvent} reporterEvent
+   * @param {JsonReporterEventRecord} record
+   */
+  #aggregate (reporterEvent, record) {
+    const [event] = reporterEvent;
+    const { result } = /** @type {NormalizablePayload} */ (reporterEvent[1]);
+    const diagnostics = record.diagnostics ?? [];
+
+    switch (event) {
+      case 'expect:fail':
+      case 'expect:error':
+        if (result?.parent) {
+          this.pendingDiagnostics.set(result.parent, [...this.pendingDiagnostics.get(result.parent) ?? [], ...diagnostics]);
+        }
+        break;
+      case 'test:pass':
+      case 'test:fail':
+      case 'test:error':
+      case 'test:skip':
+      case 'test:todo':
+      case 'test:fixme': {
+        const pending = (result && this.pendingDiagnostics.get(result)) ?? [];
+
+        this.#getTest(record).results.push({
+          compilerVersion: record.compilerVersion ?? 'unknown',
+          status: record.status ?? 'failed',
+          ...record.duration !== undefined && { duration: record.duration },
+          diagnostics: [...pending, ...diagnostics],
+        });
+        break;
+      }
+      case 'store:error':
+      case 'project:error':
+      case 'file:error':
+      case 'directive:error':
+      case 'collect:error':
+      case 'suppressed:error':
+      case 'watch:error':
+        this.errors.push({
+          event,
+          ...record.compilerVersion && { compilerVersion: record.compilerVersion },
+          ...record.file && { file: record.file },
+          diagnostics,
+        });
+        break;
+      default:
+        // Not part of the report
+    }
+  }
+
+  /**
+   * Find or create the test of a record in the files → describes → tests tree.
+   *
+   * @param {JsonReporterEventRecord} record
+   * @returns {JsonReporterTest}
+   */
+  #getTest (record) {
+    const filePath = record.file ?? '';
+
+    let file = this.files.find(item => item.path === filePath);
+    if (!file) {
+      file = { path: filePath, describes: [], tests: [] };
+      this.files.push(file);
+    }
+
+    /** @type {JsonReporterFile | JsonReporterDescribe} */
+    let parent = file;
+
+    for (const describeName of record.describes ?? []) {
+      /** @type {JsonReporterDescribe | undefined} */
+      let describe = parent.describes.find(item => item.name === describeName);
+      if (!describe) {
+        describe = { name: describeName, describes: [], tests: [] };
+        parent.describes.push(describe);
+      }
+      parent = describe;
+    }
+
+    const testName = record.name ?? 'test';
+
+    let test = parent.tests.find(item => item.name === testName);
+    if (!test) {
+      test = { name: testName, results: [] };
+      parent.tests.push(test);
+    }
+
+    return test;
+  }
+}
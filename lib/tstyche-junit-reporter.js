@@ -0,0 +1,627 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+import { BREADCRUMB_SEPARATOR, escapeXml, getDuration } from './utils.js';
+
+/** @import { Diagnostic } from 'tstyche/tstyche' */
+/** @import { KnownFailure, KnownFailureWarning, TstycheEventPayload, TstycheErrorEvents, TstycheNonImplementedEvents, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+/**
+ * @typedef JunitMessage
+ * @property {string} message - Short, single line message
+ * @property {string} details - Full message
+ */
+
+/**
+ * @typedef JunitTestCase
+ * @property {string} name - Full test name, including describe breadcrumbs
+ * @property {number} time - Duration in milliseconds
+ * @property {'passed' | 'failed' | 'skipped' | 'todo' | 'fixme' | 'expected' | 'error'} status
+ * @property {string} [reason] - Reason of an expected failure, from the known failures file
+ * @property {JunitMessage[]} failures
+ * @property {JunitMessage[]} errors
+ */
+
+/**
+ * @typedef JunitTestSuite
+ * @property {string} name - Suite name, file path and TypeScript version
+ * @property {string | undefined} file - File path relative to the root path
+ * @property {string | undefined} compilerVersion
+ * @property {string} timestamp - ISO timestamp of when the suite started
+ * @property {number | undefined} time - Duration in milliseconds, when known
+ * @property {JunitTestCase[]} testCases
+ */
+
+/** @typedef {TstycheEventPayload<'test:start'>['result']} TestResult */
+
+/** Error events that don't belong to a file, which get a suite of their own */
+const FILELESS_ERROR_EVENTS = new Set(['store:error', 'project:error', 'watch:error']);
+
+/**
+ * TSTyche reporter that writes a JUnit XML report.
+ *
+ * Collects test results into a `<testsuites>` document and writes it to disk
+ * when the run ends. Designed to be paired with a console reporter, as it
+ * prints nothing itself.
+ *
+ * ## Features
+ *
+ * - **One suite per file per TypeScript version**: Multi-target runs stay distinguishable
+ * - **Full test names**: Describe breadcrumbs are included in each test case name
+ * - **Failure messages**: Assertion diagnostics formatted through `_formatDiagnostic`
+ * - **Skip, todo and fixme**: Reported as `<skipped>` test cases
+ * - **Known failures**: Reported as `<skipped>` test cases with the reason of their entry, rather than as failures
+ * - **Error handling**: Error events are recorded as `<error>` elements, those outside of files in a `tstyche` suite of their own
+ *
+ * ## Output Path
+ *
+ * Defaults to `tstyche-junit.xml` in the TSTyche root path. Set the `junitOutput`
+ * option to change it, relative paths are resolved against the root path.
+ *
+ * @see {@link https://github.com/testmoapp/junitxml} - JUnit XML format
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * TSTYCHE_REPORTERS_JUNIT_OUTPUT=reports/types.xml npx tstyche --reporters ./tstyche-junit-reporter.js,list,summary
+ * ```
+ */
+export default class TstycheJunitReporter extends TstycheBaseReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    /** @type {JunitTestSuite[]} */
+    this.testSuites = [];
+    /** @type {JunitTestSuite | undefined} */
+    this.currentTestSuite = undefined;
+    /** @type {JunitTestSuite | undefined} */
+    this.errorTestSuite = undefined;
+    /** @type {string[]} */
+    this.currentDescribeStack = [];
+    /** @type {Map<TestResult, JunitTestCase>} */
+    this.pendingTestCases = new Map();
+  }
+
+  /**
+   * Determine the path that the report is written to.
+   *
+   * Checks the `junitOutput` option, which the TSTYCHE_REPORTERS_JUNIT_OUTPUT
+   * environment variable overrides, and falls back to `tstyche-junit.xml`.
+   * Relative paths are resolved against the root path.
+   *
+   * Subclasses can override this method to customize the output path.
+   *
+   * @protected
+   * @returns {string} Absolute path to the report file
+   */
+  _getOutputPath () {
+    const outputPath = this.config.junitOutput ?? 'tstyche-junit.xml';
+    return path.resolve(this.resolvedConfig.rootPath ?? process.cwd(), outputPath);
+  }
+
+  /**
+   * Never redirect output - the report is written to its own file instead.
+   *
+   * @protected
+   * @override
+   * @returns {undefined}
+   */
+  _getOutputFilePath () {
+    // The report is written when the run ends, nothing else is printed
+  }
+
+  /**
+   * Handle run:start event - reset collected suites.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload
+   */
+  _onRunStart (payload) {
+    super._onRunStart(payload);
+    this.testSuites = [];
+    this.currentTestSuite = undefined;
+    this.errorTestSuite = undefined;
+    this.currentDescribeStack = [];
+    this.pendingTestCases = new Map();
+  }
+
+  /**
+   * Never print the built-in summary - the report holds all counts.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldPrintSummary () {
+    return false;
+  }
+
+  /**
+   * Never render watch mode - the report is written to a file.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldRenderWatchMode () {
+    return false;
+  }
+
+  /**
+   * Skip the compiler version header - versions are recorded per suite instead.
+   *
+   * @protected
+   * @override
+   */
+  _printCompilerVersion () {
+    // Nothing is printed, the report is written on run:end
+  }
+
+  /**
+   * Handle file:start event - start a new test suite.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'file:start'>} payload - Event payload
+   */
+  _onFileStart (payload) {
+    const filePath = payload.result?.file?.path;
+    const file = filePath ? this._getRelativeFilePath(filePath) : undefined;
+
+    this.currentDescribeStack = [];
+    this.currentTestSuite = this.#addTestSuite(file ?? 'file');
+    this.currentTestSuite.file = file;
+  }
+
+  /**
+   * Handle describe:start event - track describe breadcrumbs.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'describe:start'>} payload - Event payload
+   */
+  _onDescribeStart (payload) {
+    this.currentDescribeStack.push(payload.result?.describe?.name ?? 'describe');
+  }
+
+  /**
+   * Handle describe:end event - pop describe from stack.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onDescribeEnd (_payload) {
+    this.currentDescribeStack.pop();
+  }
+
+  /**
+   * Handle test:pass event - record passing test case.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:pass'>} payload - Event payload
+   */
+  _onTestPass (payload) {
+    this.#completeTestCase(payload.result, 'passed');
+  }
+
+  /**
+   * Handle test:fail event - record failing test case.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   */
+  _onTestFail (payload) {
+    this.#completeTestCase(payload.result, 'failed');
+  }
+
+  /**
+   * Handle test:fail event of a known failure - record it as a skipped test case, without its failures.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   * @param {KnownFailure} knownFailure - The entry of the known failures file matching the test
+   */
+  _onTestExpectedFail (payload, knownFailure) {
+    const testCase = this.#completeTestCase(payload.result, 'expected');
+
+    testCase.failures = [];
+    testCase.errors = [];
+    if (knownFailure.entry.reason) {
+      testCase.reason = knownFailure.entry.reason;
+    }
+  }
+
+  /**
+   * Handle test:skip event - record skipped test case.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:skip'>} payload - Event payload
+   */
+  _onTestSkip (payload) {
+    this.#completeTestCase(payload.result, 'skipped');
+  }
+
+  /**
+   * Handle test:todo event - record todo test case.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:todo'>} payload - Event payload
+   */
+  _onTestTodo (payload) {
+    this.#completeTestCase(payload.result, 'todo');
+  }
+
+  /**
+   * Handle test:fixme event - record fixme test case.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fixme'>} payload - Event payload
+   */
+  _onTestFixme (payload) {
+    this.#completeTestCase(payload.result, 'fixme');
+  }
+
+  /**
+   * Handle expect:fail event - add the diagnostics to the test case of the assertion.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'expect:fail'>} payload - Event payload
+   */
+  _onExpectFail (payload) {
+    const { diagnostics, result } = payload;
+    const failures = diagnostics.map(diagnostic => this.#toMessage(diagnostic));
+    if (result?.parent) {
+      this.#getTestCase(result.parent).failures.push(...failures);
+    } else {
+      // An assertion outside of any test, record it as a test case of its own
+      this.#getCurrentTestSuite().testCases.push({
+        ...this.#createTestCase('expect'),
+        status: 'failed',
+        failures,
+      });
+    }
+  }
+
+  /**
+   * Handle events not handled by the base class that affect the report.
+   *
+   * @protected
+   * @override
+   * @param {TstycheNonImplementedEvents} reporterEvent - The event
+   */
+  _onNonImplementedEvent (reporterEvent) {
+    switch (reporterEvent[0]) {
+      case 'file:end':
+        if (this.currentTestSuite) {
+          this.currentTestSuite.time = getDuration(reporterEvent[1].result?.timing) ?? 0;
+        }
+        this.currentTestSuite = undefined;
+        break;
+      default:
+        // Not part of the report
+    }
+  }
+
+  /**
+   * Handle error event - record errors instead of printing them.
+   *
+   * Errors tied to a test or an assertion are added to that test case, all
+   * other errors are added as test cases of their own: to the current suite,
+   * or a separate `tstyche` suite for errors outside of files, eg. `project:error`.
+   *
+   * @protected
+   * @override
+   * @param {TstycheErrorEvents} reporterEvent
+   */
+  _onError (reporterEvent) {
+    const errors = reporterEvent[1].diagnostics.map(diagnostic => this.#toMessage(diagnostic));
+
+    switch (reporterEvent[0]) {
+      case 'test:error': {
+        // A test error is final, no test:fail event follows it
+        const testCase = this.#completeTestCase(reporterEvent[1].result, 'error');
+        testCase.errors.push(...errors);
+        return;
+      }
+      case 'expect:error': {
+        const parent = reporterEvent[1].result?.parent;
+        if (parent) {
+          this.#getTestCase(parent).errors.push(...errors);
+          return;
+        }
+        break;
+      }
+      default:
+    }
+
+    const testSuite = FILELESS_ERROR_EVENTS.has(reporterEvent[0]) ? this.#getErrorTestSuite() : this.#getCurrentTestSuite();
+
+    testSuite.testCases.push({
+      ...this.#createTestCase(reporterEvent[0]),
+      status: 'error',
+      errors,
+    });
+  }
+
+  /**
+   * Skip warnings about the known failures file - left to the console reporter this one is paired with.
+   *
+   * @protected
+   * @override
+   * @param {KnownFailureWarning[]} _warnings - The entries and why they should be revisited
+   */
+  _printKnownFailureWarnings (_warnings) {
+    // Nothing is printed
+  }
+
+  /**
+   * Handle run:end event - write the report to disk.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onRunEnd (_payload) {
+    const outputPath = this._getOutputPath();
+
+    // eslint-disable-next-line n/no-sync, security/detect-non-literal-fs-filename -- Reporter events are handled synchronously
+    mkdirSync(path.dirname(outputPath), { recursive: true });
+    // eslint-disable-next-line n/no-sync, security/detect-non-literal-fs-filename -- Reporter events are handled synchronously
+    writeFileSync(outputPath, this._renderReport());
+  }
+
+  /**
+   * Render the collected results as a JUnit XML document.
+   *
+   * @protected
+   * @returns {string} The XML document
+   */
+  _renderReport () {
+    const totals = this.#countTestCases(this.testSuites.flatMap(suite => suite.testCases));
+    const totalTime = this.testSuites.reduce((sum, suite) => sum + this.#getSuiteTime(suite), 0);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="tstyche"${this.#renderCounts(totals)} time="${formatSeconds(totalTime)}">`,
+    ];
+
+    for (const suite of this.testSuites) {
+      const counts = this.#countTestCases(suite.testCases);
+      const attributes = [
+        `name="${escapeXml(suite.name)}"`,
+        ...suite.file ? [`file="${escapeXml(suite.file)}"`] : [],
+      ];
+
+      lines.push(`  <testsuite ${attributes.join(' ')}${this.#renderCounts(counts)} time="${formatSeconds(this.#getSuiteTime(suite))}" timestamp="${suite.timestamp}">`);
+
+      if (suite.compilerVersion) {
+        lines.push(
+          '    <properties>',
+          `      <property name="typescript" value="${escapeXml(suite.compilerVersion)}"/>`,
+          '    </properties>'
+        );
+      }
+
+      for (const testCase of suite.testCases) {
+        lines.push(...this.#renderTestCase(testCase, suite.name));
+      }
+
+      lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render a single test case element.
+   *
+   * @param {JunitTestCase} testCase
+   * @param {string} classname
+   * @returns {string[]} The lines of the element
+   */
+  #renderTestCase (testCase, classname) {
+    const opening = `    <testcase name="${escapeXml(testCase.name)}" classname="${escapeXml(classname)}" time="${formatSeconds(testCase.time)}"`;
+
+    /** @type {string[]} */
+    const children = [];
+
+    switch (testCase.status) {
+      case 'skipped':
+        children.push('<skipped/>');
+        break;
+      case 'todo':
+        children.push('<skipped message="todo"/>');
+        break;
+      case 'fixme':
+        children.push('<skipped message="fixme"/>');
+        break;
+      case 'expected':
+        children.push(`<skipped message="${escapeXml(`expected failure${testCase.reason ? `: ${testCase.reason}` : ''}`)}"/>`);
+        break;
+      default:
+    }
+
+    for (const { details, message } of testCase.failures) {
+      children.push(`<failure message="${escapeXml(message)}" type="AssertionError">${escapeXml(details)}</failure>`);
+    }
+    for (const { details, message } of testCase.errors) {
+      children.push(`<error message="${escapeXml(message)}" type="Error">${escapeXml(details)}</error>`);
+    }
+
+    if (children.length === 0) {
+      return [opening + '/>'];
+    }
+
+    return [
+      opening + '>',
+      ...children.map(child => '      ' + child),
+      '    </testcase>',
+    ];
+  }
+
+  /**
+   * @param {{ tests: number, failures: number, errors: number, skipped: number }} counts
+   * @returns {string}
+   */
+  #renderCounts ({ errors, failures, skipped, tests }) {
+    return ` tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped}"`;
+  }
+
+  /**
+   * @param {JunitTestCase[]} testCases
+   * @returns {{ tests: number, failures: number, errors: number, skipped: number }}
+   */
+  #countTestCases (testCases) {
+    const counts = { tests: testCases.length, failures: 0, errors: 0, skipped: 0 };
+
+    for (const testCase of testCases) {
+      if (testCase.status === 'error') {
+        counts.errors++;
+      } else if (testCase.status === 'failed') {
+        counts.failures++;
+      } else if (testCase.status !== 'passed') {
+        counts.skipped++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * @param {JunitTestSuite} suite
+   * @returns {number}
+   */
+  #getSuiteTime (suite) {
+    return suite.time ?? suite.testCases.reduce((sum, testCase) => sum + testCase.time, 0);
+  }
+
+  /**
+   * @param {string} file
+   * @returns {JunitTestSuite}
+   */
+  #addTestSuite (file) {
+    /** @type {JunitTestSuite} */
+    const suite = {
+      name: this.currentCompilerVersion ? `${file} (TypeScript ${this.currentCompilerVersion})` : file,
+      file: undefined,
+      compilerVersion: this.currentCompilerVersion,
+      timestamp: new Date().toISOString(),
+      time: undefined,
+      testCases: [],
+    };
+
+    this.testSuites.push(suite);
+
+    return suite;
+  }
+
+  /**
+   * Get the current suite, falling back to the suite of errors for events that happen outside of any file.
+   *
+   * @returns {JunitTestSuite}
+   */
+  #getCurrentTestSuite () {
+    return this.currentTestSuite ?? this.#getErrorTestSuite();
+  }
+
+  /**
+   * Get the suite of errors outside of files, creating one per TypeScript version.
+   *
+   * @returns {JunitTestSuite}
+   */
+  #getErrorTestSuite () {
+    if (!this.errorTestSuite || this.errorTestSuite.compilerVersion !== this.currentCompilerVersion) {
+      this.errorTestSuite = this.#addTestSuite('tstyche');
+    }
+    return this.errorTestSuite;
+  }
+
+  /**
+   * @param {string} testName
+   * @returns {JunitTestCase}
+   */
+  #createTestCase (testName) {
+    return {
+      name: [...this.currentDescribeStack, testName].join(BREADCRUMB_SEPARATOR),
+      time: 0,
+      status: 'passed',
+      failures: [],
+      errors: [],
+    };
+  }
+
+  /**
+   * Get the pending test case for a test, creating it if needed.
+   *
+   * @param {TestResult} result
+   * @returns {JunitTestCase}
+   */
+  #getTestCase (result) {
+    let testCase = this.pendingTestCases.get(result);
+
+    if (!testCase) {
+      testCase = this.#createTestCase(result.test?.name ?? 'test');
+      this.pendingTestCases.set(result, testCase);
+    }
+
+    return testCase;
+  }
+
+  /**
+   * Finalize a test case and add it to the current suite.
+   *
+   * @param {TestResult} result
+   * @param {JunitTestCase['status']} status
+   * @returns {JunitTestCase}
+   */
+  #completeTestCase (result, status) {
+    const testCase = this.#getTestCase(result);
+
+    this.pendingTestCases.delete(result);
+
+    testCase.status = status;
+    testCase.time = getDuration(result?.timing) ?? 0;
+
+    this.#getCurrentTestSuite().testCases.push(testCase);
+
+    return testCase;
+  }
+
+  /**
+   * @param {Diagnostic} diagnostic
+   * @returns {JunitMessage}
+   */
+  #toMessage (diagnostic) {
+    const details = this._formatDiagnostic(diagnostic);
+    return {
+      message: details.split('\n')[0] ?? details,
+      details,
+    };
+  }
+}
+
+/**
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+function formatSeconds (milliseconds) {
+  return (milliseconds / 1000).toFixed(3);
+}
@@ -0,0 +1,349 @@
+import { stripVTControlCharacters } from 'node:util';
+
+import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+import { BREADCRUMB_SEPARATOR } from './utils.js';
+
+/** @import { KnownFailure, KnownFailureWarning, TestStatus, TstycheEventPayload, TstycheErrorEvents, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+/**
+ * TSTyche reporter that prints a matrix of test outcomes per TypeScript version.
+ *
+ * Records the outcome of every test for every TypeScript version it runs with and,
+ * when the run ends, prints a matrix with one row per test and one column per version.
+ * Designed for multi-target runs, where it makes differences between versions stand out.
+ *
+ * ## Features
+ *
+ * - **Matrix**: Rows are tests (file › describe › test), columns are TypeScript versions
+ * - **Symbols**: Same symbols as `TstycheMochaReporter`, with `–` for tests that did not run with a version
+ * - **Differences only**: Set `TSTYCHE_REPORTERS_MATRIX_DIFF=true` to only show tests whose outcome differs between versions
+ * - **Dual-mode output**: Aligned columns in CLI mode, a table in Markdown mode
+ * - **Paired output**: Errors and known failure warnings are left to the console reporter it's paired with
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * npx tstyche --target '5.4 || 5.8 || next' --reporters ./tstyche-dot-reporter.js,./tstyche-matrix-reporter.js,summary
+ * ```
+ *
+ * Output:
+ * ```
+ * Test                                 5.4.5  5.8.3  5.9.3
+ * typetests/a.test.ts › Math › adds    ✔      ✔      ✔
+ * typetests/a.test.ts › Math › fails   ✔      ✖      ✖
+ * ```
+ */
+export default class TstycheMatrixReporter extends TstycheBaseReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    /** @type {string | undefined} */
+    this.currentFile = undefined;
+    /** @type {string[]} */
+    this.currentDescribeStack = [];
+    /** @type {string[]} */
+    this.versions = [];
+    /** @type {Map<string, Map<string, TestStatus>>} */
+    this.outcomes = new Map();
+  }
+
+  /**
+   * Determine if only tests whose outcome differs between versions should be shown.
+   *
+   * Checks the `matrixDiff` option, which the TSTYCHE_REPORTERS_MATRIX_DIFF
+   * environment variable overrides.
+   *
+   * Subclasses can override this method to customize the logic.
+   *
+   * @protected
+   * @returns {boolean} True if only differing tests should be shown
+   */
+  _shouldShowOnlyDifferences () {
+    return this.config.matrixDiff;
+  }
+
+  /**
+   * Never render watch mode - the reporter paired with the matrix renders it.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldRenderWatchMode () {
+    return false;
+  }
+
+  /**
+   * Handle run:start event - reset recorded outcomes.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload
+   */
+  _onRunStart (payload) {
+    super._onRunStart(payload);
+    this.currentFile = undefined;
+    this.currentDescribeStack = [];
+    this.versions = [];
+    this.outcomes = new Map();
+  }
+
+  /**
+   * Skip the compiler version header - versions are columns of the matrix instead.
+   *
+   * @protected
+   * @override
+   */
+  _printCompilerVersion () {
+    // Nothing is printed
+  }
+
+  /**
+   * Handle project:uses event - add the version as a column.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'project:uses'>} payload - Event payload
+   */
+  _onProjectUses (payload) {
+    super._onProjectUses(payload);
+
+    if (this.currentCompilerVersion && !this.versions.includes(this.currentCompilerVersion)) {
+      this.versions.push(this.currentCompilerVersion);
+    }
+  }
+
+  /**
+   * Handle file:start event - track file and reset describe stack.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'file:start'>} payload - Event payload
+   */
+  _onFileStart (payload) {
+    const filePath = payload.result?.file?.path;
+    this.currentFile = filePath ? this._getRelativeFilePath(filePath) : undefined;
+    this.currentDescribeStack = [];
+  }
+
+  /**
+   * Handle describe:start event - track describe breadcrumbs.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'describe:start'>} payload - Event payload
+   */
+  _onDescribeStart (payload) {
+    this.currentDescribeStack.push(payload.result?.describe?.name ?? 'describe');
+  }
+
+  /**
+   * Handle describe:end event - pop describe from stack.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onDescribeEnd (_payload) {
+    this.currentDescribeStack.pop();
+  }
+
+  /**
+   * Handle test:pass event - record the outcome.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:pass'>} payload - Event payload
+   */
+  _onTestPass (payload) {
+    this.#recordOutcome(payload.result?.test?.name, 'passed');
+  }
+
+  /**
+   * Handle test:fail event - record the outcome.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   */
+  _onTestFail (payload) {
+    this.#recordOutcome(payload.result?.test?.name, 'failed');
+  }
+
+  /**
+   * Handle test:fail event of a known failure - record the outcome as an expected failure.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   * @param {KnownFailure} _knownFailure - The entry of the known failures file matching the test
+   */
+  _onTestExpectedFail (payload, _knownFailure) {
+    this.#recordOutcome(payload.result?.test?.name, 'expected');
+  }
+
+  /**
+   * Handle test:skip event - record the outcome.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:skip'>} payload - Event payload
+   */
+  _onTestSkip (payload) {
+    this.#recordOutcome(payload.result?.test?.name, 'skipped');
+  }
+
+  /**
+   * Handle test:todo event - record the outcome.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:todo'>} payload - Event payload
+   */
+  _onTestTodo (payload) {
+    this.#recordOutcome(payload.result?.test?.name, 'todo');
+  }
+
+  /**
+   * Handle test:fixme event - record the outcome.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fixme'>} payload - Event payload
+   */
+  _onTestFixme (payload) {
+    this.#recordOutcome(payload.result?.test?.name, 'fixme');
+  }
+
+  /**
+   * Handle error event - record test errors as failures instead of printing them.
+   *
+   * Errors are left to the reporters this one is paired with.
+   *
+   * @protected
+   * @override
+   * @param {TstycheErrorEvents} reporterEvent
+   */
+  _onError (reporterEvent) {
+    if (reporterEvent[0] === 'test:error') {
+      // A test error is final, no test:fail event follows it
+      this.#recordOutcome(reporterEvent[1].result?.test?.name, 'failed');
+    }
+  }
+
+  /**
+   * Skip warnings about the known failures file - left to the reporters this one is paired with.
+   *
+   * @protected
+   * @override
+   * @param {KnownFailureWarning[]} _warnings - The entries and why they should be revisited
+   */
+  _printKnownFailureWarnings (_warnings) {
+    // Warnings are printed by the paired reporters
+  }
+
+  /**
+   * Handle run:end event - print the matrix.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onRunEnd (_payload) {
+    this._printMatrix();
+  }
+
+  /**
+   * Print the matrix of test outcomes per TypeScript version.
+   *
+   * @protected
+   * @returns {void}
+   */
+  _printMatrix () {
+    const onlyDifferences = this._shouldShowOnlyDifferences();
+
+    const rows = [...this.outcomes]
+      .map(([name, outcomes]) => ({
+        name,
+        cells: this.versions.map(version => outcomes.get(version)),
+      }))
+      .filter(({ cells }) => !onlyDifferences || new Set(cells).size > 1);
+
+    this._writeLine(this.format.header(onlyDifferences ? 'TypeScript version differences' : 'TypeScript version matrix', 2));
+
+    if (rows.length === 0) {
+      this._writeLine(onlyDifferences ? 'All tests have the same outcome with every TypeScript version.' : 'No tests were run.');
+      this._writeLine();
+      return;
+    }
+
+    const table = [
+      ['Test', ...this.versions],
+      ...rows.map(({ cells, name }) => [
+        name,
+        ...cells.map(status => status ? this._getStatusSymbol(status) : '–'),
+      ]),
+    ];
+
+    this._writeLine(this.format.chalk ? this.#renderColumns(table) : this.format.table(table).trimEnd());
+    this._writeLine();
+  }
+
+  /**
+   * Render rows as aligned columns, ignoring ANSI escape codes when measuring widths.
+   *
+   * @param {string[][]} table - Rows of cells, the first row being the header
+   * @returns {string}
+   */
+  #renderColumns (table) {
+    /** @type {number[]} */
+    const widths = [];
+
+    for (const row of table) {
+      for (const [index, cell] of row.entries()) {
+        widths[index] = Math.max(widths[index] ?? 0, stripVTControlCharacters(cell).length);
+      }
+    }
+
+    return table
+      .map((row, rowIndex) => {
+        const line = row
+          .map((cell, index) => cell + ' '.repeat((widths[index] ?? 0) - stripVTControlCharacters(cell).length))
+          .join('  ')
+          .trimEnd();
+        return rowIndex === 0 ? this.format.bold(line) : line;
+      })
+      .join('\n');
+  }
+
+  /**
+   * @param {string | undefined} testName
+   * @param {TestStatus} status
+   */
+  #recordOutcome (testName, status) {
+    const name = [
+      ...this.currentFile ? [this.currentFile] : [],
+      ...this.currentDescribeStack,
+      testName ?? 'test',
+    ].join(BREADCRUMB_SEPARATOR);
+
+    let outcomes = this.outcomes.get(name);
+
+    if (!outcomes) {
+      outcomes = new Map();
+      this.outcomes.set(name, outcomes);
+    }
+
+    outcomes.set(this.currentCompilerVersion ?? 'unknown', status);
+
+    if (!this.currentCompilerVersion && !this.versions.includes('unknown')) {
+      this.versions.push('unknown');
+    }
+  }
+}
@@ -1,12 +1,42 @@
-/* eslint-disable no-console */
-
 import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+import { BREADCRUMB_SEPARATOR, formatDuration, getDuration } from './utils.js';
+
+/** @import { Diagnostic } from 'tstyche/tstyche' */
+/** @import { KnownFailure, SuppressedError, TestStatus, TstycheEventPayload, TstycheErrorEvents, TstycheNonImplementedEvents, TstycheReporterOptions } from './tstyche-base-reporter.js' */
 
-/** @import { TstycheEventPayload, TstycheErrorEvents } from './tstyche-base-reporter.js' */
+/** @typedef {TstycheEventPayload<'test:start'>['result']} TestResult */
+/** @typedef {TstycheEventPayload<'expect:start'>['result']} ExpectResult */
+
+const MAX_SNIPPET_LENGTH = 60;
 
 /**
  * @typedef Describe
  * @property {string} name
+ * @property {boolean} printed - Whether the header has been printed, which quiet mode delays until a nested test fails
+ */
+
+/**
+ * @typedef Assertion
+ * @property {string} matcher - Name of the matcher, eg. `toBe`
+ * @property {string} snippet - Source of the assertion, on a single line
+ * @property {string} location - Location of the assertion, relative to the root path
+ * @property {TestStatus} status - Outcome of the assertion
+ * @property {Diagnostic[]} diagnostics - Diagnostics of a failed assertion
+ */
+
+/**
+ * @typedef TestFailure
+ * @property {string} name - Full test name, including describe breadcrumbs
+ * @property {string | undefined} compilerVersion - TypeScript version the test failed with
+ * @property {string | undefined} filePath - Test file path, relative to the root path
+ * @property {Diagnostic[]} diagnostics - Diagnostics of the failed assertions
+ */
+
+/**
+ * @typedef TimedResult
+ * @property {string} name - Test name with breadcrumbs, file path or TypeScript version
+ * @property {string | undefined} details - Where the result comes from, eg. TypeScript version and file
+ * @property {number} duration - Duration in milliseconds
  */
 
 /**
@@ -18,19 +48,29 @@ import { TstycheBaseReporter } from './tstyche-base-reporter.js';
  *
  * ## Features
  *
- * - **Hierarchical output**: Properly indented nested describe blocks
+ * - **Hierarchical output**: TypeScript version, file, describe blocks and tests, as heading levels and indentation
  * - **Compiler version header**: Prints TypeScript version when it changes (useful for multi-version runs)
+ * - **File headers**: Prints the path of each test file, relative to the root path
  * - **Symbol handling**: Uses `format.logSymbols` for automatic CLI/Markdown conversion
- *   - CLI: ✔ (checkmark), ✖ (cross) with colors
- *   - Markdown: :white_check_mark:, :stop_sign: emoji
+ *   - CLI: ✔ (checkmark), ✖ (cross), - (skip), ✎ (todo), ⚠ (fixme), ✗ (expected failure) with colors
+ *   - Markdown: :white_check_mark:, :stop_sign:, :heavy_minus_sign:, :pencil2:, :warning:, :heavy_multiplication_x: emoji
  * - **Intelligent coloring**: Only applies colors when `format.chalk` is available
- * - **GitHub CI support**: Detects CI environment and outputs Markdown automatically
+ * - **GitHub CI support**: Detects GitHub Actions and outputs Markdown automatically, plain text in other CI environments
  * - **Streaming output**: Tests are printed as they execute, not buffered
+ * - **Durations**: Tests slower than half the slow threshold show their duration, yellow or red in CLI mode
+ * - **Slowest tests**: Opt-in list of the slowest tests, files and the duration of each TypeScript version, printed when the run ends
+ * - **Failure epilogue**: Numbered list of failures with their diagnostics and code frames, printed when the run ends
+ * - **Quiet mode**: Enable the `quiet` option to only print failing tests, along with the files and describe blocks they are in
+ * - **Verbose mode**: Enable the `verbose` option to list the assertions of each test, with diagnostics of failed ones inline
+ * - **Known failures**: Failing tests listed in the known failures file are printed as expected failures, along with the reason of their entry, and left out of the failure epilogue
+ * - **Suppressed errors**: `// @ts-expect-error` directives are listed as passing, skipped (when ignored) or failing checks, with counts when the run ends
  *
  * ## Summary
  *
- * This reporter focuses on test output formatting and delegates summary reporting
- * to the built-in `summary` reporter. Pair with the `summary` reporter in configuration.
+ * By default this reporter focuses on test output formatting and delegates summary reporting
+ * to the built-in `summary` reporter. Pair with the `summary` reporter in configuration,
+ * or enable the `summary` option to print the summary of `TstycheBaseReporter`,
+ * which follows the active CLI/Markdown mode.
  *
  * @see {@link https://github.com/voxpelli/node-test-pretty-reporter} - Reference implementation
  * @see {@link https://github.com/voxpelli/markdown-or-chalk} - Dual-mode output formatting
@@ -45,25 +85,108 @@ import { TstycheBaseReporter } from './tstyche-base-reporter.js';
  * }
  * ```
  *
- * The reporter auto-detects GitHub Actions/CI environments and outputs Markdown.
- * For local development, it uses colored CLI output.
+ * The reporter auto-detects GitHub Actions and outputs Markdown, other CI environments and
+ * piped output get plain text. For local development, it uses colored CLI output.
  */
 export default class TstycheMochaReporter extends TstycheBaseReporter {
   /**
    * Initialize the reporter with resolved TSTyche configuration.
    *
    * Creates a `MarkdownOrChalk` formatter that intelligently chooses between:
-   * - **CLI mode** (default): Colors, Unicode symbols, terminal formatting
-   * - **Markdown mode** (CI detected): Emoji symbols, Markdown syntax, plain text
+   * - **CLI mode** (TTY detected): Colors, Unicode symbols, terminal formatting
+   * - **Markdown mode** (GitHub Actions detected): Emoji symbols, Markdown syntax, plain text
+   * - **Plain text mode** (CI or piped output detected): CLI formatting without ANSI escapes
    *
    * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
    * @see {@link https://github.com/voxpelli/markdown-or-chalk#constructor} - MarkdownOrChalk constructor
    */
-  constructor (resolvedConfig) {
-    super(resolvedConfig);
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
 
     /** @type {Describe[]} */
     this.currentDescribeStack = [];
+    /** @type {string | undefined} */
+    this.currentFile = undefined;
+    /** @type {boolean} */
+    this.currentFilePrinted = false;
+    /** @type {TestFailure[]} */
+    this.failures = [];
+    /** @type {Map<TestResult, Diagnostic[]>} */
+    this.pendingDiagnostics = new Map();
+    /** @type {Map<TestResult, Assertion[]>} */
+    this.pendingAssertions = new Map();
+    /** @type {TimedResult[]} */
+    this.testDurations = [];
+    /** @type {TimedResult[]} */
+    this.fileDurations = [];
+    /** @type {TimedResult[]} */
+    this.targetDurations = [];
+  }
+
+  /**
+   * Determine the threshold in milliseconds above which a test is slow.
+   *
+   * Checks the `slow` option, which the TSTYCHE_REPORTERS_SLOW environment variable
+   * overrides, defaulting to 75ms like Mocha. Tests taking more than half of this
+   * are considered medium-slow.
+   *
+   * Subclasses can override this method to customize the threshold.
+   *
+   * @protected
+   * @returns {number} Threshold in milliseconds
+   */
+  _getSlowThreshold () {
+    return this.config.slow;
+  }
+
+  /**
+   * Determine how many of the slowest tests and files to list when the run ends.
+   *
+   * Checks the `slowest` option, which the TSTYCHE_REPORTERS_SLOWEST environment
+   * variable overrides. Defaults to 0, which doesn't list any, to keep the output short.
+   *
+   * Subclasses can override this method to customize the count.
+   *
+   * @protected
+   * @returns {number} Number of tests and files to list
+   */
+  _getSlowestCount () {
+    return this.config.slowest;
+  }
+
+  /**
+   * Determine if only failing tests should be printed.
+   *
+   * Checks the `quiet` option, which the TSTYCHE_REPORTERS_QUIET environment
+   * variable overrides. When enabled, passing, skipped, todo and fixme tests are
+   * not printed and describe headers are only printed once a test nested in them
+   * fails. Errors, version headers and the failure epilogue are still printed.
+   *
+   * Subclasses can override this method to customize when to be quiet.
+   *
+   * @protected
+   * @returns {boolean} True if only failing tests should be printed
+   */
+  _shouldPrintOnlyFailures () {
+    return this.config.quiet;
+  }
+
+  /**
+   * Determine if the assertions of each test should be listed under it.
+   *
+   * Checks the `verbose` option, which the TSTYCHE_REPORTERS_VERBOSE environment
+   * variable overrides. When enabled, each `expect` of a test is listed with its
+   * matcher, source and location, and the diagnostics of failed assertions are
+   * printed right below them.
+   *
+   * Subclasses can override this method to customize when to be verbose.
+   *
+   * @protected
+   * @returns {boolean} True if assertions should be listed
+   */
+  _shouldListAssertions () {
+    return this.config.verbose;
   }
 
   /**
@@ -76,17 +199,33 @@ export default class TstycheMochaReporter extends TstycheBaseReporter {
   _onRunStart (payload) {
     super._onRunStart(payload);
     this.currentDescribeStack = [];
+    this.currentFile = undefined;
+    this.currentFilePrinted = false;
+    this.failures = [];
+    this.pendingDiagnostics = new Map();
+    this.pendingAssertions = new Map();
+    this.testDurations = [];
+    this.fileDurations = [];
+    this.targetDurations = [];
   }
 
   /**
-   * Handle file:start event - reset describe stack.
+   * Handle file:start event - track file, reset describe stack and stream the file header.
    *
    * @protected
    * @override
-   * @param {TstycheEventPayload<'file:start'>} _payload - Event payload
+   * @param {TstycheEventPayload<'file:start'>} payload - Event payload
    */
-  _onFileStart (_payload) {
+  _onFileStart (payload) {
+    const filePath = payload.result?.file?.path;
+    this.currentFile = filePath ? this._getRelativeFilePath(filePath) : undefined;
+    this.currentFilePrinted = false;
     this.currentDescribeStack = [];
+
+    // Stream: Print file header as it starts, unless quiet mode buffers it until a test in it fails
+    if (!this._shouldPrintOnlyFailures()) {
+      this.#printHeaders();
+    }
   }
 
   /**
@@ -102,12 +241,15 @@ export default class TstycheMochaReporter extends TstycheBaseReporter {
     /** @type {Describe} */
     const describe = {
       name: (describeObj.name ?? 'describe'),
+      printed: false,
     };
 
     this.currentDescribeStack.push(describe);
-    // Stream: Print describe block as it starts
-    const indent = this.currentDescribeStack.length - 1;
-    this.#printDescribeStart(describe, indent);
+
+    // Stream: Print describe block as it starts, unless quiet mode buffers it until a nested test fails
+    if (!this._shouldPrintOnlyFailures()) {
+      this.#printHeaders();
+    }
   }
 
   /**
@@ -129,7 +271,7 @@ export default class TstycheMochaReporter extends TstycheBaseReporter {
    * @param {TstycheEventPayload<'test:pass'>} payload - Event payload
    */
   _onTestPass (payload) {
-    this.#recordTest(payload, true);
+    this.#recordTest(payload, 'passed');
   }
 
   /**
@@ -140,18 +282,165 @@ export default class TstycheMochaReporter extends TstycheBaseReporter {
    * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
    */
   _onTestFail (payload) {
-    this.#recordTest(payload, false);
+    this._addFailure(payload.result);
+    this.#recordTest(payload, 'failed');
+  }
+
+  /**
+   * Handle test:fail event of a known failure - stream it as an expected failure.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   * @param {KnownFailure} knownFailure - The entry of the known failures file matching the test
+   */
+  _onTestExpectedFail (payload, knownFailure) {
+    if (payload.result) {
+      this.pendingDiagnostics.delete(payload.result);
+    }
+    this.#recordTest(payload, 'expected', knownFailure);
+  }
+
+  /**
+   * Handle test:skip event - record and stream test result.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:skip'>} payload - Event payload
+   */
+  _onTestSkip (payload) {
+    this.#recordTest(payload, 'skipped');
+  }
+
+  /**
+   * Handle test:todo event - record and stream test result.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:todo'>} payload - Event payload
+   */
+  _onTestTodo (payload) {
+    this.#recordTest(payload, 'todo');
+  }
+
+  /**
+   * Handle test:fixme event - record and stream test result.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fixme'>} payload - Event payload
+   */
+  _onTestFixme (payload) {
+    this.#recordTest(payload, 'fixme');
+  }
+
+  /**
+   * Handle expect:pass event - record the assertion in verbose mode.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'expect:pass'>} payload - Event payload
+   */
+  _onExpectPass (payload) {
+    this.#addAssertion(payload.result, 'passed');
+  }
+
+  /**
+   * Handle expect:fail event - collect diagnostics and record the assertion in verbose mode.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'expect:fail'>} payload - Event payload
+   */
+  _onExpectFail (payload) {
+    this.#addDiagnostics(payload.result?.parent, payload.diagnostics);
+    this.#addAssertion(payload.result, 'failed', payload.diagnostics);
+  }
+
+  /**
+   * Handle expect:skip event - record the assertion in verbose mode.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'expect:skip'>} payload - Event payload
+   */
+  _onExpectSkip (payload) {
+    this.#addAssertion(payload.result, 'skipped');
+  }
+
+  /**
+   * Handle expect:fixme event - record the assertion in verbose mode.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'expect:fixme'>} payload - Event payload
+   */
+  _onExpectFixme (payload) {
+    this.#addAssertion(payload.result, 'fixme');
+  }
+
+  /**
+   * Handle suppressed:match event - stream the directive as a passing check.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'suppressed:match'>} payload - Event payload
+   */
+  _onSuppressedMatch (payload) {
+    this.#recordSuppressed(payload.result.suppressed, 'passed');
+  }
+
+  /**
+   * Handle suppressed:ignore event - stream the directive as a skipped check.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'suppressed:ignore'>} payload - Event payload
+   */
+  _onSuppressedIgnore (payload) {
+    this.#recordSuppressed(payload.result.suppressed, 'skipped');
+  }
+
+  /**
+   * Handle file:end and target:end events - collect durations.
+   *
+   * @protected
+   * @override
+   * @param {TstycheNonImplementedEvents} reporterEvent - The event
+   */
+  _onNonImplementedEvent (reporterEvent) {
+    switch (reporterEvent[0]) {
+      case 'file:end': {
+        const duration = getDuration(reporterEvent[1].result?.timing);
+        if (duration !== undefined && this.currentFile) {
+          this.fileDurations.push({ name: this.currentFile, details: this.#getVersionDetails(), duration });
+        }
+        break;
+      }
+      case 'target:end': {
+        const duration = getDuration(reporterEvent[1].result?.timing);
+        if (duration !== undefined) {
+          this.targetDurations.push({ name: this.#getVersionDetails() ?? 'TypeScript', details: undefined, duration });
+        }
+        break;
+      }
+      default:
+        super._onNonImplementedEvent(reporterEvent);
+    }
   }
 
   /**
-   * Handle run:end event - flush with blank line.
+   * Handle run:end event - print the slowest tests and the failure epilogue.
    *
    * @protected
    * @override
    * @param {unknown} _payload - Event payload
    */
   _onRunEnd (_payload) {
-    console.log('');
+    this._writeLine();
+    this._printSlowest();
+    this._printSuppressedCounts();
+    this._printFailures();
   }
 
   /**
@@ -162,59 +451,440 @@ export default class TstycheMochaReporter extends TstycheBaseReporter {
    * @param {TstycheErrorEvents} reporterEvent
    */
   _onError (reporterEvent) {
+    // Known failures are printed as expected failures, without their errors
+    if (reporterEvent[0] === 'expect:error' && this._getKnownFailure(reporterEvent[1].result?.parent)) {
+      return;
+    }
+
+    // A failed directive is a check of its own, printed like a failing test rather than as a bare error
+    if (reporterEvent[0] === 'suppressed:error' && reporterEvent[1].result) {
+      this.#recordSuppressed(reporterEvent[1].result.suppressed, 'failed', reporterEvent[1].diagnostics);
+      return;
+    }
+
+    // Give errors of tests the context of their file and describe blocks in quiet mode
+    if (reporterEvent[0] === 'test:error' && this.config.errorsInline && this._shouldPrintOnlyFailures()) {
+      this.#printHeaders();
+    }
+
     // Ensure we're on a fresh line before printing errors
-    console.log('');
+    if (this.config.errorsInline) {
+      this._writeLine();
+    }
     super._onError(reporterEvent);
+
+    if (reporterEvent[0] === 'test:error') {
+      // A test error is final, no test:fail event follows it
+      this.#addDiagnostics(reporterEvent[1].result, reporterEvent[1].diagnostics);
+      this._addFailure(reporterEvent[1].result);
+      this.pendingAssertions.delete(reporterEvent[1].result);
+    } else if (reporterEvent[0] === 'expect:error') {
+      this.#addDiagnostics(reporterEvent[1].result?.parent, reporterEvent[1].diagnostics);
+    }
+  }
+
+  /**
+   * Record a failed test, along with the diagnostics collected for it.
+   *
+   * @protected
+   * @param {TestResult | undefined} result - The failed test
+   * @returns {void}
+   */
+  _addFailure (result) {
+    const diagnostics = (result && this.pendingDiagnostics.get(result)) ?? [];
+
+    if (result) {
+      this.pendingDiagnostics.delete(result);
+    }
+
+    this.failures.push({
+      name: [
+        ...this.currentDescribeStack.map(describe => describe.name),
+        result?.test?.name ?? 'test',
+      ].join(BREADCRUMB_SEPARATOR),
+      compilerVersion: this.currentCompilerVersion,
+      filePath: this.currentFile,
+      diagnostics,
+    });
+  }
+
+  /**
+   * Print the slowest tests and files, along with the duration of each TypeScript version.
+   *
+   * Subclasses can override this to render durations differently or not at all.
+   *
+   * @protected
+   * @returns {void}
+   */
+  _printSlowest () {
+    const count = this._getSlowestCount();
+
+    if (count === 0 || this.testDurations.length === 0) {
+      return;
+    }
+
+    /**
+     * @param {string} title
+     * @param {TimedResult[]} results
+     */
+    const printSection = (title, results) => {
+      if (results.length === 0) {
+        return;
+      }
+
+      const { chalk } = this.format;
+
+      this._writeLine(this.format.header(title, 3));
+
+      if (chalk) {
+        for (const { details, duration, name } of results) {
+          const formattedDetails = details ? chalk.gray(` (${details})`) : '';
+          this._writeLine(this._indent(`${chalk.yellow(formatDuration(duration).padStart(6))} ${name}${formattedDetails}`, 1));
+        }
+      } else {
+        this._writeLine(this.format.list(results.map(({ details, duration, name }) =>
+          `${this.format.bold(formatDuration(duration))} ${name}${details ? ` (${details})` : ''}`
+        )).trimEnd());
+      }
+    };
+
+    /**
+     * @param {TimedResult[]} results
+     * @returns {TimedResult[]}
+     */
+    const slowest = (results) => results.toSorted((a, b) => b.duration - a.duration).slice(0, count);
+
+    this._writeLine(this.format.header('Durations', 2));
+    printSection('Slowest tests', slowest(this.testDurations));
+    printSection('Slowest files', slowest(this.fileDurations));
+    printSection('TypeScript versions', this.targetDurations);
+    this._writeLine();
+  }
+
+  /**
+   * Print the counts of the checked `// @ts-expect-error` directives, if there were any.
+   *
+   * Subclasses can override this to render the counts differently or not at all.
+   *
+   * @protected
+   * @returns {void}
+   */
+  _printSuppressedCounts () {
+    const counts = this._formatSuppressedCounts();
+
+    if (counts) {
+      this._writeLine(`${this.format.bold('Suppressed errors:')} ${counts}`);
+      this._writeLine();
+    }
+  }
+
+  /**
+   * Print a Mocha-style numbered list of all failures with their diagnostics.
+   *
+   * Subclasses can override this to render failures differently or not at all.
+   *
+   * @protected
+   * @returns {void}
+   */
+  _printFailures () {
+    if (this.failures.length === 0) {
+      return;
+    }
+
+    const { chalk } = this.format;
+
+    this._writeLine(this.format.header(`${this.failures.length} failing`, 2));
+
+    for (const [index, failure] of this.failures.entries()) {
+      const title = `${index + 1}) ${failure.name}`;
+      const details = [
+        failure.compilerVersion && `TypeScript ${failure.compilerVersion}`,
+        this.#getFailureLocation(failure),
+      ].filter(Boolean).join(', ');
+
+      if (chalk) {
+        this._writeLine(title);
+        if (details) {
+          this._writeLine(this._indent(chalk.gray(details), 1));
+        }
+        for (const diagnostic of failure.diagnostics) {
+          const codeFrame = this._formatCodeFrame(diagnostic);
+          this._writeLine();
+          this._writeLine(this._indent(chalk.red(this._formatDiagnostic(diagnostic)), 1));
+          if (codeFrame) {
+            this._writeLine();
+            this._writeLine(this._indent(codeFrame, 1));
+          }
+        }
+      } else {
+        this._writeLine(this.format.bold(title));
+        if (details) {
+          this._writeLine();
+          this._writeLine(details);
+        }
+        for (const diagnostic of failure.diagnostics) {
+          const codeFrame = this._formatCodeFrame(diagnostic);
+          this._writeLine();
+          this._writeLine(['```', this._formatDiagnostic(diagnostic), '```'].join('\n'));
+          if (codeFrame) {
+            this._writeLine();
+            this._writeLine(codeFrame);
+          }
+        }
+      }
+
+      this._writeLine();
+    }
+  }
+
+  /**
+   * @param {TestFailure} failure
+   * @returns {string | undefined}
+   */
+  #getFailureLocation (failure) {
+    const location = failure.diagnostics
+      .map(diagnostic => this._getDiagnosticLocation(diagnostic))
+      .find(Boolean);
+
+    return location
+      ? `${this._getRelativeFilePath(location.filePath)}:${location.line}:${location.column}`
+      : failure.filePath;
+  }
+
+  /**
+   * @param {TestResult | undefined} result
+   * @param {Diagnostic[]} diagnostics
+   */
+  #addDiagnostics (result, diagnostics) {
+    if (!result) {
+      return;
+    }
+
+    const existing = this.pendingDiagnostics.get(result) ?? [];
+    this.pendingDiagnostics.set(result, [...existing, ...diagnostics]);
+  }
+
+  /**
+   * @param {ExpectResult | undefined} result
+   * @param {TestStatus} status
+   * @param {Diagnostic[]} [diagnostics]
+   */
+  #addAssertion (result, status, diagnostics = []) {
+    if (!result?.parent || !this._shouldListAssertions()) {
+      return;
+    }
+
+    const { expect } = result;
+    const sourceFile = expect.node.getSourceFile();
+    const { character, line } = sourceFile.getLineAndCharacterOfPosition(expect.matcherNode.getStart(sourceFile));
+    const source = expect.matcherNode.getText(sourceFile).replaceAll(/\s+/g, ' ');
+
+    /** @type {Assertion} */
+    const assertion = {
+      matcher: expect.matcherNameNode.name.text,
+      snippet: source.length > MAX_SNIPPET_LENGTH ? source.slice(0, MAX_SNIPPET_LENGTH - 1) + '…' : source,
+      location: `${this._getRelativeFilePath(sourceFile.fileName)}:${line + 1}:${character + 1}`,
+      status,
+      diagnostics,
+    };
+
+    this.pendingAssertions.set(result.parent, [...this.pendingAssertions.get(result.parent) ?? [], assertion]);
+  }
+
+  /**
+   * Stream-print the assertions recorded for a test.
+   *
+   * @param {Assertion[]} assertions - Assertions of the test
+   * @param {number} indent - Indentation level (nesting depth)
+   */
+  #printAssertions (assertions, indent) {
+    const { chalk } = this.format;
+
+    for (const { diagnostics, location, matcher, snippet, status } of assertions) {
+      const symbol = this._getStatusSymbol(status);
+
+      if (chalk) {
+        this._writeLine(this._indent(`${symbol} ${chalk.bold(matcher)} ${snippet} ${chalk.gray(location)}`, indent));
+        for (const diagnostic of diagnostics) {
+          this._writeLine(this._indent(chalk.red(this._formatDiagnostic(diagnostic)), indent + 1));
+        }
+      } else {
+        // Diagnostics are indented to continue the list item
+        this._writeLine(`* ${symbol} **${matcher}** \`${snippet}\` ${location}`);
+        for (const diagnostic of diagnostics) {
+          this._writeLine(this._indent(['```', this._formatDiagnostic(diagnostic), '```'].join('\n'), 1));
+        }
+      }
+    }
+
+    // End the Markdown list, so that the next test isn't a continuation of its last item
+    if (!chalk && assertions.length > 0) {
+      this._writeLine();
+    }
+  }
+
+  /**
+   * Stream-print a checked `// @ts-expect-error` directive, adding it to the failures when it failed.
+   *
+   * @param {SuppressedError} suppressed - The directive
+   * @param {TestStatus} status - Outcome of the check
+   * @param {Diagnostic[]} [diagnostics] - Diagnostics of a failed check
+   */
+  #recordSuppressed (suppressed, status, diagnostics = []) {
+    const name = this._getSuppressedName(suppressed);
+
+    if (status === 'failed') {
+      this.failures.push({ name, compilerVersion: this.currentCompilerVersion, filePath: this.currentFile, diagnostics });
+    } else if (this._shouldPrintOnlyFailures()) {
+      return;
+    }
+
+    const location = this._getSuppressedLocation(suppressed);
+    const locationText = location
+      ? `${this._getRelativeFilePath(location.filePath)}:${location.line}:${location.column}`
+      : this.currentFile;
+
+    const { chalk } = this.format;
+    const symbol = this._getStatusSymbol(status);
+
+    this.#printHeaders();
+
+    if (chalk) {
+      /** @type {Record<TestStatus, (text: string) => string>} */
+      const colors = { passed: chalk.gray, failed: chalk.red, skipped: chalk.cyan, todo: chalk.magenta, fixme: chalk.yellow, expected: chalk.yellow };
+      const indent = this.#getFileIndent() + this.currentDescribeStack.length;
+      const line = colors[status](`${symbol} ${name}`) + (locationText ? ` ${chalk.gray(locationText)}` : '');
+
+      this._writeLine(indent > 0 ? this._indent(line, indent) : line);
+      for (const diagnostic of diagnostics) {
+        this._writeLine(this._indent(chalk.red(this._formatDiagnostic(diagnostic)), indent + 1));
+      }
+    } else {
+      this._writeLine(`${symbol} \`${name}\`${locationText ? ` ${locationText}` : ''}`);
+      for (const diagnostic of diagnostics) {
+        this._writeLine(['', '```', this._formatDiagnostic(diagnostic), '```', ''].join('\n'));
+      }
+    }
   }
 
   /**
    * Record a test result and stream output.
    *
-   * @param {TstycheEventPayload<'test:pass'> | TstycheEventPayload<'test:fail'>} payload - Event payload with result
-   * @param {boolean} passed - Whether test passed
+   * @param {TstycheEventPayload<'test:pass' | 'test:fail' | 'test:skip' | 'test:todo' | 'test:fixme'>} payload - Event payload with result
+   * @param {TestStatus} status - Outcome of the test
+   * @param {KnownFailure} [knownFailure] - The entry of the known failures file matching an expected failure
    */
-  #recordTest (payload, passed) {
+  #recordTest (payload, status, knownFailure) {
     const result = payload.result || {};
     const testObj = (result.test ?? {});
     const description = (testObj.name ?? 'test');
+    const duration = status === 'passed' || status === 'failed' || status === 'expected' ? getDuration(result.timing) : undefined;
+
+    if (duration !== undefined) {
+      this.testDurations.push({
+        name: [...this.currentDescribeStack.map(describe => describe.name), description].join(BREADCRUMB_SEPARATOR),
+        details: [this.#getVersionDetails(), this.currentFile].filter(Boolean).join(', ') || undefined,
+        duration,
+      });
+    }
 
-    // Stream: Print test result immediately
-    const indent = this.currentDescribeStack.length;
-    this.#printTest(description, passed, indent);
+    const assertions = this.pendingAssertions.get(result) ?? [];
+    this.pendingAssertions.delete(result);
+
+    if (status !== 'failed' && this._shouldPrintOnlyFailures()) {
+      return;
+    }
+
+    // Stream: Print test result immediately, after any headers that quiet mode has buffered
+    this.#printHeaders();
+    const indent = this.#getFileIndent() + this.currentDescribeStack.length;
+    this.#printTest(description, status, indent, duration, knownFailure);
+    this.#printAssertions(assertions, indent + 1);
+  }
+
+  /**
+   * @returns {string | undefined}
+   */
+  #getVersionDetails () {
+    return this.currentCompilerVersion ? `TypeScript ${this.currentCompilerVersion}` : undefined;
   }
 
   /**
-   * Stream-print a describe block header.
+   * Indentation of the describe blocks and tests of the current file, nesting them under its header in CLI mode.
    *
-   * @param {Describe} describe - The describe block
-   * @param {number} level - Nesting level (0 = top-level)
+   * @returns {number}
    */
-  #printDescribeStart (describe, level) {
-    const header = this.format.header(describe.name, level === 0 ? 2 : 3);
-    console.log(header);
+  #getFileIndent () {
+    return this.currentFile ? 1 : 0;
+  }
+
+  /**
+   * Stream-print the headers of the file and of the describe blocks in the stack that have not been printed yet.
+   *
+   * Headings follow the hierarchy of TypeScript version (level 1), file (level 2) and describe blocks (level 3 and 4).
+   */
+  #printHeaders () {
+    const { chalk } = this.format;
+
+    if (this.currentFile && !this.currentFilePrinted) {
+      this._writeLine(this.format.header(this.currentFile, 2));
+      this.currentFilePrinted = true;
+    }
+
+    for (const [level, describe] of this.currentDescribeStack.entries()) {
+      if (describe.printed) {
+        continue;
+      }
+
+      const indent = this.#getFileIndent() + level;
+
+      // Only apply indentation in CLI mode (chalk available) to avoid Markdown interpretation
+      this._writeLine(chalk && indent > 0
+        ? `\n${this._indent(chalk.underline(describe.name), indent)}\n`
+        : this.format.header(describe.name, level === 0 ? 3 : 4)
+      );
+      describe.printed = true;
+    }
   }
 
   /**
    * Stream-print a single test result.
    *
    * @param {string} description - Test description
-   * @param {boolean} passed - Whether test passed
+   * @param {TestStatus} status - Outcome of the test
    * @param {number} indent - Indentation level (nesting depth)
+   * @param {number | undefined} duration - Duration in milliseconds, if known
+   * @param {KnownFailure} [knownFailure] - The entry of the known failures file matching an expected failure
    */
-  #printTest (description, passed, indent) {
-    const mark = passed ? this.format.logSymbols.success : this.format.logSymbols.error;
-    let testLine = `${mark} ${description}`;
+  #printTest (description, status, indent, duration, knownFailure) {
+    const { chalk } = this.format;
+
+    let testLine = `${this._getStatusSymbol(status)} ${description}`;
+
+    if (chalk) {
+      /** @type {Record<TestStatus, (text: string) => string>} */
+      const colors = { passed: chalk.gray, failed: chalk.red, skipped: chalk.cyan, todo: chalk.magenta, fixme: chalk.yellow, expected: chalk.yellow };
+      testLine = colors[status](testLine);
+    }
+
+    if (knownFailure) {
+      const note = ` (expected failure${knownFailure.entry.reason ? `: ${knownFailure.entry.reason}` : ''})`;
+      testLine += chalk ? chalk.gray(note) : note;
+    }
 
-    if (this.format.chalk) {
-      testLine = passed
-        ? this.format.chalk.gray(testLine)
-        : this.format.chalk.red(testLine);
+    // Like Mocha, only show durations of tests that are at least medium-slow
+    const slowThreshold = this._getSlowThreshold();
+    if (duration !== undefined && duration > slowThreshold / 2) {
+      const formattedDuration = ` (${formatDuration(duration)})`;
+      testLine += chalk
+        ? (duration > slowThreshold ? chalk.red : chalk.yellow)(formattedDuration)
+        : formattedDuration;
     }
 
     // Only apply indentation in CLI mode (chalk available) to avoid Markdown interpretation
     const output = this.format.chalk && indent > 0
-      ? this.format.indent(testLine, indent)
+      ? this._indent(testLine, indent)
       : testLine;
-    console.log(output);
+    this._writeLine(output);
   }
 }
@@ -0,0 +1,229 @@
+import { BUILTIN_REPORTERS, isBuiltinReporterName } from './builtin-reporters.js';
+import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+
+/** @import { ReporterEvent } from 'tstyche/tstyche' */
+/** @import { ChildReporterConfig, ReporterClass } from './config.js' */
+/** @import { TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+/**
+ * @typedef ChildReporter
+ * @property {string} name - Name of the reporter, for error messages
+ * @property {{ on: (reporterEvent: ReporterEvent) => void }} reporter - The reporter instance
+ * @property {boolean} failed - Whether the reporter has thrown, after which it receives no further events
+ */
+
+/**
+ * TSTyche reporter that forwards every event to several child reporters.
+ *
+ * Each child has options of its own, eg. its own output mode and destination, where
+ * several `--reporters` entries would all share the same options and environment variables.
+ *
+ * ## Features
+ *
+ * - **Per-child options**: Any option, eg. `mode` and `output`, can be set for a single child
+ * - **Built-in or custom**: Children are reporters of this package by name, or any reporter class
+ * - **Per-child destinations**: Reporters that write files, eg. `junit`, `json` and `recorder`, write to the `output` of their entry
+ * - **Isolated failures**: A child that throws, when created or on an event, is reported and skipped from then on, the others keep running
+ *
+ * ## Example Usage
+ *
+ * ```json
+ * {
+ *   "reporters": [
+ *     { "reporter": "mocha", "mode": "cli" },
+ *     { "reporter": "mocha", "mode": "markdown", "output": "reports/types.md" },
+ *     { "reporter": "junit", "output": "reports/types.xml" },
+ *     { "reporter": "github-actions" }
+ *   ]
+ * }
+ * ```
+ *
+ * ```bash
+ * npx tstyche --reporters ./tstyche-multi-reporter.js,summary
+ * ```
+ */
+export default class TstycheMultiReporter extends TstycheBaseReporter {
+  /**
+   * Initialize the reporter and its children with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options, shared with the children
+   * @throws {Error} When the `reporters` option is empty or names an unknown reporter
+   */
+  constructor (resolvedConfig, options = {}) {
+    super(resolvedConfig, options);
+
+    if (this.config.reporters.length === 0) {
+      throw new Error('TstycheMultiReporter requires at least one reporter in the \'reporters\' option');
+    }
+
+    // Unknown names are mistakes in the options, rather than failures of a child
+    for (const { reporter } of this.config.reporters) {
+      resolveReporterClass(reporter);
+    }
+
+    /** @type {ChildReporter[]} */
+    this.children = [];
+
+    for (const entry of this.config.reporters) {
+      try {
+        this.children.push(this._createChild(entry, options));
+      } catch (err) {
+        /** @type {ChildReporter} */
+        const child = { name: getReporterName(entry.reporter), reporter: { on: () => {} }, failed: true };
+        this._onChildError(child, undefined, err);
+      }
+    }
+  }
+
+  /**
+   * Create a child reporter from an entry of the `reporters` option.
+   *
+   * The child shares the streams and options of this reporter, except for the
+   * options of its entry. A child with an `output` of its own writes to that file.
+   * For reporters that write a file of their own, eg. the JUnit report, that file
+   * is the `output` of their entry instead, eg. the `junitOutput` option.
+   *
+   * When this throws, the child is reported through `_onChildError()` and skipped.
+   *
+   * Subclasses can override this method to customize how children are created.
+   *
+   * @protected
+   * @param {ChildReporterConfig} entry - Entry of the `reporters` option
+   * @param {TstycheReporterOptions} options - Options this reporter was created with
+   * @returns {ChildReporter}
+   * @throws {Error} When the entry names an unknown reporter, or the reporter can't be created
+   */
+  _createChild ({ reporter, ...config }, options) {
+    const Reporter = resolveReporterClass(reporter);
+    const fileOutputOption = FILE_OUTPUT_OPTIONS.get(Reporter);
+
+    if (fileOutputOption && config.output) {
+      const { output, ...rest } = config;
+      config = { ...rest, [fileOutputOption]: output };
+    }
+
+    const ownOutput = fileOutputOption ? config[fileOutputOption] : config.output;
+
+    return {
+      name: getReporterName(reporter),
+      reporter: new Reporter(this.resolvedConfig, {
+        ...!ownOutput && { stdout: options.stdout, stderr: options.stderr },
+        config: { ...options.config, reporters: [], ...config },
+      }),
+      failed: false,
+    };
+  }
+
+  /**
+   * Report a child reporter that has thrown.
+   *
+   * The child receives no further events, and the exit code is set so that a missing
+   * report or annotation fails the run rather than going unnoticed.
+   *
+   * Subclasses can override this method to customize how failures are reported.
+   *
+   * @protected
+   * @param {ChildReporter} child - The child that has thrown
+   * @param {ReporterEvent | undefined} reporterEvent - The event the child has thrown on, `undefined` when it threw while being created
+   * @param {unknown} err - What the child has thrown
+   * @returns {void}
+   */
+  _onChildError (child, reporterEvent, err) {
+    const message = err instanceof Error ? err.message : String(err);
+    const errorLine = reporterEvent
+      ? `Error: Reporter '${child.name}' failed on ${reporterEvent[0]} and receives no further events: ${message}`
+      : `Error: Reporter '${child.name}' could not be created and receives no events: ${message}`;
+
+    this._writeErrorLine(this.format.chalk ? this.format.chalk.red(errorLine) : errorLine);
+    process.exitCode = 1;
+  }
+
+  /**
+   * Forward an event to every child that has not failed.
+   *
+   * Nothing of the event is handled by this reporter itself.
+   *
+   * @override
+   * @param {ReporterEvent} reporterEvent - The event
+   * @returns {void}
+   */
+  on (reporterEvent) {
+    for (const child of this.children) {
+      if (child.failed) {
+        continue;
+      }
+
+      try {
+        child.reporter.on(reporterEvent);
+      } catch (err) {
+        child.failed = true;
+        this._onChildError(child, reporterEvent, err);
+      }
+    }
+  }
+
+  /**
+   * Handle test:pass event - forwarded to the children by `on()`.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestPass (_payload) {
+    // Every event is forwarded by on()
+  }
+
+  /**
+   * Handle test:fail event - forwarded to the children by `on()`.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestFail (_payload) {
+    // Every event is forwarded by on()
+  }
+
+  /**
+   * Handle run:end event - forwarded to the children by `on()`.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onRunEnd (_payload) {
+    // Every event is forwarded by on()
+  }
+}
+
+/**
+ * The options of the reporters that write a file of their own, which the `output` of their entry sets.
+ */
+const FILE_OUTPUT_OPTIONS = /** @type {Map<ReporterClass, 'jsonOutput' | 'junitOutput' | 'recordingOutput'>} */ (new Map())
+  .set(BUILTIN_REPORTERS.json, 'jsonOutput')
+  .set(BUILTIN_REPORTERS.junit, 'junitOutput')
+  .set(BUILTIN_REPORTERS.recorder, 'recordingOutput');
+
+/**
+ * @param {ChildReporterConfig['reporter']} reporter - Name of a built-in reporter, or a reporter class
+ * @returns {ReporterClass}
+ * @throws {Error} When the name is not one of a built-in reporter
+ */
+function resolveReporterClass (reporter) {
+  if (typeof reporter !== 'string') {
+    return reporter;
+  }
+  if (isBuiltinReporterName(reporter)) {
+    return BUILTIN_REPORTERS[reporter];
+  }
+  throw new Error(`Unknown reporter '${reporter}' in the 'reporters' option, expected one of ${Object.keys(BUILTIN_REPORTERS).join(', ')}`);
+}
+
+/**
+ * @param {ChildReporterConfig['reporter']} reporter - Name of a built-in reporter, or a reporter class
+ * @returns {string}
+ */
+function getReporterName (reporter) {
+  return typeof reporter === 'string' ? reporter : reporter.name;
+}
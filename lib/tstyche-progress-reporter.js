@@ -0,0 +1,483 @@
+import { stripVTControlCharacters } from 'node:util';
+
+import TstycheDotReporter from './tstyche-dot-reporter.js';
+import { BREADCRUMB_SEPARATOR } from './utils.js';
+
+/** @import { Diagnostic } from 'tstyche/tstyche' */
+/** @import { KnownFailure, TstycheEventPayload, TstycheErrorEvents, TstycheNonImplementedEvents, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+/** @typedef {TstycheEventPayload<'test:start'>['result']} TestResult */
+
+const BAR_WIDTH = 20;
+const CLEAR_LINE = '\r\u001B[2K';
+const RESET_COLORS = '\u001B[0m';
+
+/**
+ * TSTyche reporter with a live status line on TTYs.
+ *
+ * Sits between the dot and Mocha reporters: a single, redrawing status line shows
+ * how the run is progressing, while failures are printed permanently above it as
+ * they happen. When `stdout` isn't a TTY, or the output mode isn't colored CLI
+ * output, it falls back to the behavior of `TstycheDotReporter`.
+ *
+ * ## Features
+ *
+ * - **Status line**: TypeScript version, progress bar, counts of passed, failed and skipped tests and the current file
+ * - **Known failures**: Counted on the status line as expected failures, rather than printed
+ * - **Progress estimate**: Files done per TypeScript version, plus the share of the tests collected in the current file that are done
+ * - **Failures as they happen**: Printed above the status line with their breadcrumbs and diagnostics
+ * - **Dot fallback**: Dot-style output when not writing colored output to a TTY
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * npx tstyche --target '5.8 || 5.9' --reporters ./tstyche-progress-reporter.js,summary
+ * ```
+ *
+ * Output:
+ * ```
+ * ✖ typetests/a.test.ts › Math › fails here
+ *     Type 'string' is not the same as type 'number'. [error]
+ * TypeScript 5.9.3 [████████████░░░░░░░░]  60% ✔ 12 ✖ 1 - 2 typetests/b.test.ts
+ * ```
+ */
+export default class TstycheProgressReporter extends TstycheDotReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    /** @type {boolean} */
+    this.live = this._shouldRenderStatusLine();
+    /** @type {string | undefined} */
+    this.currentFile = undefined;
+    /** @type {string[]} */
+    this.currentDescribeStack = [];
+    /** @type {Map<TestResult, Diagnostic[]>} */
+    this.pendingDiagnostics = new Map();
+    /** @type {number} */
+    this.fileCount = 0;
+    /** @type {number} */
+    this.filesDone = 0;
+    /** @type {number} */
+    this.testsCollected = 0;
+    /** @type {number} */
+    this.testsDone = 0;
+    /** @type {boolean} */
+    this.statusLineShown = false;
+  }
+
+  /**
+   * Determine if the live status line should be rendered, rather than dots.
+   *
+   * Defaults to when colored CLI output is written to a TTY, as redrawing relies on ANSI escapes.
+   *
+   * Subclasses can override this method to customize when to render the status line.
+   *
+   * @protected
+   * @returns {boolean} True if the status line should be rendered
+   */
+  _shouldRenderStatusLine () {
+    return this.outputMode === 'cli' && this.stdout.isTTY === true;
+  }
+
+  /**
+   * Estimate how much of the current TypeScript version has run.
+   *
+   * @protected
+   * @returns {number} Progress, between 0 and 1
+   */
+  _getProgress () {
+    if (this.fileCount === 0) {
+      return 0;
+    }
+
+    const fileProgress = this.testsCollected > 0 ? Math.min(this.testsDone / this.testsCollected, 1) : 0;
+    return Math.min((this.filesDone + fileProgress) / this.fileCount, 1);
+  }
+
+  /**
+   * Format the status line, fitted to the width of the terminal.
+   *
+   * @protected
+   * @returns {string} The status line
+   */
+  _formatStatusLine () {
+    const { chalk, logSymbols } = this.format;
+    const { total } = this.summary;
+
+    const progress = this._getProgress();
+    const filled = Math.round(progress * BAR_WIDTH);
+    const bar = `[${'█'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)}]`;
+    const percentage = `${Math.floor(progress * 100)}%`.padStart(4);
+
+    const parts = [
+      this.currentCompilerVersion ? `TypeScript ${this.currentCompilerVersion}` : undefined,
+      chalk ? chalk.cyan(bar) : bar,
+      percentage,
+      `${logSymbols.success} ${total.passed}`,
+      `${logSymbols.error} ${total.failed}`,
+      `${chalk ? chalk.cyan('-') : '-'} ${total.skipped + total.todo + total.fixme}`,
+      total.expected > 0 ? `${this._getStatusSymbol('expected')} ${total.expected}` : undefined,
+    ];
+
+    const line = parts.filter(Boolean).join(' ');
+    const columns = this.stdout.columns ?? 80;
+    const available = columns - stripVTControlCharacters(line).length - 2;
+
+    if (!this.currentFile || available < 4) {
+      // Leave the last column free, so that the terminal doesn't wrap the line
+      return truncateLine(line, columns - 1);
+    }
+
+    const file = this.currentFile.length > available
+      ? '…' + this.currentFile.slice(-(available - 1))
+      : this.currentFile;
+
+    return `${line} ${chalk ? chalk.gray(file) : file}`;
+  }
+
+  /**
+   * Print a failed test with its breadcrumbs and diagnostics.
+   *
+   * @protected
+   * @param {TestResult | undefined} result - The failed test
+   * @returns {void}
+   */
+  _printFailure (result) {
+    const { chalk, logSymbols } = this.format;
+    const name = [this.currentFile, ...this.currentDescribeStack, result?.test?.name ?? 'test']
+      .filter(Boolean)
+      .join(BREADCRUMB_SEPARATOR);
+    const diagnostics = (result && this.pendingDiagnostics.get(result)) ?? [];
+
+    if (result) {
+      this.pendingDiagnostics.delete(result);
+    }
+
+    this._writeLine(`${logSymbols.error} ${chalk ? chalk.red(name) : name}`);
+
+    for (const diagnostic of diagnostics) {
+      this._writeLine(this._indent(chalk ? chalk.red(this._formatDiagnostic(diagnostic)) : this._formatDiagnostic(diagnostic), 2));
+    }
+  }
+
+  /**
+   * Hook to clear the status line before printing compiler version header.
+   *
+   * @protected
+   * @override
+   */
+  _beforePrintCompilerVersion () {
+    if (this.live) {
+      this.#clearStatusLine();
+    } else {
+      super._beforePrintCompilerVersion();
+    }
+  }
+
+  /**
+   * Handle run:start event - reset progress tracking.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload
+   */
+  _onRunStart (payload) {
+    super._onRunStart(payload);
+    this.currentFile = undefined;
+    this.currentDescribeStack = [];
+    this.pendingDiagnostics = new Map();
+    this.fileCount = payload.result?.files?.length ?? 0;
+    this.filesDone = 0;
+    this.testsCollected = 0;
+    this.testsDone = 0;
+    this.statusLineShown = false;
+  }
+
+  /**
+   * Handle file:start event - track the file and redraw the status line.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'file:start'>} payload - Event payload
+   */
+  _onFileStart (payload) {
+    const filePath = payload.result?.file?.path;
+    this.currentFile = filePath ? this._getRelativeFilePath(filePath) : undefined;
+    this.currentDescribeStack = [];
+    this.testsCollected = 0;
+    this.testsDone = 0;
+    this.#renderStatusLine();
+  }
+
+  /**
+   * Handle describe:start event - track describe breadcrumbs.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'describe:start'>} payload - Event payload
+   */
+  _onDescribeStart (payload) {
+    this.currentDescribeStack.push(payload.result?.describe?.name ?? 'describe');
+  }
+
+  /**
+   * Handle describe:end event - pop describe breadcrumbs.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onDescribeEnd (_payload) {
+    this.currentDescribeStack.pop();
+  }
+
+  /**
+   * Handle test:pass event - redraw the status line, or print a dot.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:pass'>} payload - Event payload
+   */
+  _onTestPass (payload) {
+    this.#onTestEnd(() => super._onTestPass(payload));
+  }
+
+  /**
+   * Handle test:fail event - print the failure above the status line, or print F.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   */
+  _onTestFail (payload) {
+    if (this.live) {
+      this.#clearStatusLine();
+      this._printFailure(payload.result);
+    }
+    this.#onTestEnd(() => super._onTestFail(payload));
+  }
+
+  /**
+   * Handle test:fail event of a known failure - redraw the status line, or print f.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   * @param {KnownFailure} knownFailure - The entry of the known failures file matching the test
+   */
+  _onTestExpectedFail (payload, knownFailure) {
+    if (payload.result) {
+      this.pendingDiagnostics.delete(payload.result);
+    }
+    this.#onTestEnd(() => super._onTestExpectedFail(payload, knownFailure));
+  }
+
+  /**
+   * Handle test:skip event - redraw the status line, or print *.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:skip'>} payload - Event payload
+   */
+  _onTestSkip (payload) {
+    this.#onTestEnd(() => super._onTestSkip(payload));
+  }
+
+  /**
+   * Handle test:todo event - redraw the status line, or print -.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:todo'>} payload - Event payload
+   */
+  _onTestTodo (payload) {
+    this.#onTestEnd(() => super._onTestTodo(payload));
+  }
+
+  /**
+   * Handle test:fixme event - redraw the status line, or print x.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fixme'>} payload - Event payload
+   */
+  _onTestFixme (payload) {
+    this.#onTestEnd(() => super._onTestFixme(payload));
+  }
+
+  /**
+   * Handle expect:fail event - collect diagnostics for the failing test.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'expect:fail'>} payload - Event payload
+   */
+  _onExpectFail (payload) {
+    this.#addDiagnostics(payload.result?.parent, payload.diagnostics);
+  }
+
+  /**
+   * Handle target:start, collect:node, collect:end and file:end events - track progress.
+   *
+   * @protected
+   * @override
+   * @param {TstycheNonImplementedEvents} reporterEvent - The event
+   */
+  _onNonImplementedEvent (reporterEvent) {
+    switch (reporterEvent[0]) {
+      case 'target:start':
+        this.filesDone = 0;
+        break;
+      case 'collect:node': {
+        const { brand } = reporterEvent[1].node;
+        if (brand === 'test' || brand === 'it') {
+          this.testsCollected++;
+        }
+        break;
+      }
+      case 'collect:end':
+        this.#renderStatusLine();
+        break;
+      case 'file:end':
+        this.filesDone++;
+        this.testsCollected = 0;
+        this.testsDone = 0;
+        this.#renderStatusLine();
+        break;
+      default:
+        super._onNonImplementedEvent(reporterEvent);
+    }
+  }
+
+  /**
+   * Handle run:end event - replace the status line with a final one, or flush dots.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:end'>} payload - Event payload
+   */
+  _onRunEnd (payload) {
+    if (!this.live) {
+      super._onRunEnd(payload);
+      return;
+    }
+
+    this.#clearStatusLine();
+    this.currentFile = undefined;
+    this._writeLine(this._formatStatusLine());
+    this._writeLine();
+  }
+
+  /**
+   * Handle error event - print errors above the status line, those of assertions
+   * along with the failure of their test.
+   *
+   * @protected
+   * @override
+   * @param {TstycheErrorEvents} reporterEvent
+   */
+  _onError (reporterEvent) {
+    if (!this.live) {
+      super._onError(reporterEvent);
+      return;
+    }
+
+    if (reporterEvent[0] === 'expect:error' && reporterEvent[1].result?.parent) {
+      // Printed along with the failure of its test, once test:fail arrives
+      this.#addDiagnostics(reporterEvent[1].result.parent, reporterEvent[1].diagnostics);
+      return;
+    }
+
+    this.#clearStatusLine();
+
+    if (reporterEvent[0] === 'test:error') {
+      // A test error is final, no test:fail event follows it
+      this.#addDiagnostics(reporterEvent[1].result, reporterEvent[1].diagnostics);
+      this._printFailure(reporterEvent[1].result);
+      this.testsDone++;
+    } else {
+      super._onError(reporterEvent);
+    }
+
+    this.#renderStatusLine();
+  }
+
+  /**
+   * @param {() => void} fallback - Dot reporter behavior, used when not live
+   */
+  #onTestEnd (fallback) {
+    if (!this.live) {
+      fallback();
+      return;
+    }
+
+    this.testsDone++;
+    this.#renderStatusLine();
+  }
+
+  /**
+   * @param {TestResult | undefined} result
+   * @param {Diagnostic[]} diagnostics
+   */
+  #addDiagnostics (result, diagnostics) {
+    // Diagnostics are only printed along with failures above the status line, the fallback prints them itself
+    if (!result || !this.live) {
+      return;
+    }
+
+    const existing = this.pendingDiagnostics.get(result) ?? [];
+    this.pendingDiagnostics.set(result, [...existing, ...diagnostics]);
+  }
+
+  #renderStatusLine () {
+    if (!this.live) {
+      return;
+    }
+
+    this._write(CLEAR_LINE + this._formatStatusLine());
+    this.statusLineShown = true;
+  }
+
+  #clearStatusLine () {
+    if (this.statusLineShown) {
+      this._write(CLEAR_LINE);
+      this.statusLineShown = false;
+    }
+  }
+}
+
+/**
+ * Truncate a line to a number of columns, ending it with '…' when it's cut.
+ *
+ * Color escape sequences take up no columns, so they are kept and closed after the cut.
+ *
+ * @param {string} line
+ * @param {number} columns
+ * @returns {string}
+ */
+function truncateLine (line, columns) {
+  if (stripVTControlCharacters(line).length <= columns) {
+    return line;
+  }
+
+  let truncated = '';
+  let width = 0;
+
+  // eslint-disable-next-line no-control-regex -- Matches color escape sequences
+  for (const [part] of line.matchAll(/\u001B\[[\d;]*m|./gsu)) {
+    if (part.startsWith('\u001B')) {
+      truncated += part;
+    } else if (width < columns - 1) {
+      truncated += part;
+      width++;
+    }
+  }
+
+  return truncated + '…' + (truncated.includes('\u001B') ? RESET_COLORS : '');
+}
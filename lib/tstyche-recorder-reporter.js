@@ -0,0 +1,178 @@
+import path from 'node:path';
+
+import { createEventSerializer, createRecordingHeader } from './recording.js';
+import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+
+/** @import { ReporterEvent } from 'tstyche/tstyche' */
+/** @import { KnownFailureWarning, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+const DEFAULT_OUTPUT_PATH = 'tstyche-recording.ndjson';
+
+/**
+ * TSTyche reporter that records every event of a run to a file, for replaying it later.
+ *
+ * Recordings make reporter bugs reproducible without rerunning the type tests across
+ * several compilers: attach the recording to a bug report and replay it through any
+ * reporter of this package, eg. with the `tstyche-reporters-replay` command.
+ *
+ * ## Features
+ *
+ * - **Complete**: Every event received by `on()` is recorded, including diagnostics, assertions and suppressed errors
+ * - **Stable serialization**: One JSON line per event, with results that span several events tied together by id
+ * - **Portable**: Paths are relative to the root path and source files are embedded, so code frames survive replays
+ * - **Output file**: `tstyche-recording.ndjson` in the root path, override it with the `recordingOutput` option
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * npx tstyche --reporters ./tstyche-recorder-reporter.js,list,summary
+ * npx tstyche-reporters-replay tstyche-recording.ndjson --reporter dot
+ * ```
+ */
+export default class TstycheRecorderReporter extends TstycheBaseReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    this.serializeEvent = createEventSerializer(resolvedConfig.rootPath ?? process.cwd());
+
+    this.stdout.write(JSON.stringify(createRecordingHeader(resolvedConfig)) + '\n');
+  }
+
+  /**
+   * Determine the file that the recording is written to.
+   *
+   * Checks the `recordingOutput` option, which the TSTYCHE_REPORTERS_RECORDING_OUTPUT
+   * environment variable overrides, and defaults to `tstyche-recording.ndjson`.
+   * Relative paths are resolved against the root path.
+   *
+   * Subclasses can override this method to customize the output path.
+   *
+   * @protected
+   * @returns {string} Absolute path to the output file
+   */
+  _getOutputPath () {
+    const outputPath = this.config.recordingOutput ?? DEFAULT_OUTPUT_PATH;
+    return path.resolve(this.resolvedConfig.rootPath ?? process.cwd(), outputPath);
+  }
+
+  /**
+   * Always write to the recording file, unless streams are given.
+   *
+   * @protected
+   * @override
+   * @returns {string}
+   */
+  _getOutputFilePath () {
+    return this._getOutputPath();
+  }
+
+  /**
+   * Never print the built-in summary - it would corrupt the recording.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldPrintSummary () {
+    return false;
+  }
+
+  /**
+   * Never render watch mode - it would corrupt the recording.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldRenderWatchMode () {
+    return false;
+  }
+
+  /**
+   * Skip the compiler version header - versions are part of the recorded events.
+   *
+   * @protected
+   * @override
+   */
+  _printCompilerVersion () {
+    // Nothing is printed
+  }
+
+  /**
+   * Record every event, then dispatch it to the regular handlers.
+   *
+   * @override
+   * @param {ReporterEvent} reporterEvent - The event
+   * @returns {void}
+   */
+  on (reporterEvent) {
+    // Serialized before dispatching, so that the recording holds the event as it was received
+    const lines = this.serializeEvent(reporterEvent);
+
+    super.on(reporterEvent);
+
+    for (const line of lines) {
+      this.stdout.write(JSON.stringify(line) + '\n');
+    }
+  }
+
+  /**
+   * Handle test:pass event - recorded by `on()`.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestPass (_payload) {
+    // Every event is recorded by on()
+  }
+
+  /**
+   * Handle test:fail event - recorded by `on()`.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onTestFail (_payload) {
+    // Every event is recorded by on()
+  }
+
+  /**
+   * Handle error event - recorded by `on()` instead of being printed.
+   *
+   * @protected
+   * @override
+   */
+  _onError () {
+    // Every event is recorded by on()
+  }
+
+  /**
+   * Skip warnings about the known failures file - left to the reporters the recording is replayed through.
+   *
+   * @protected
+   * @override
+   * @param {KnownFailureWarning[]} _warnings - The entries and why they should be revisited
+   */
+  _printKnownFailureWarnings (_warnings) {
+    // Nothing is printed
+  }
+
+  /**
+   * Handle run:end event - recorded by `on()`.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onRunEnd (_payload) {
+    // Every event is recorded by on()
+  }
+}
@@ -0,0 +1,241 @@
+import { appendFileSync, existsSync, statSync, truncateSync } from 'node:fs';
+
+import TstycheMochaReporter from './tstyche-mocha-reporter.js';
+import { escapeXml } from './utils.js';
+
+/** @import { ReporterEvent } from 'tstyche/tstyche' */
+/** @import { OutputMode, TstycheEventPayload, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+/**
+ * TSTyche reporter that writes a Markdown report to the GitHub Actions step summary.
+ *
+ * Renders the same output as `TstycheMochaReporter` in Markdown mode, but buffers
+ * it and appends a complete report to the file named by `GITHUB_STEP_SUMMARY`
+ * when the run ends. Falls back to printing the report when that variable is not set.
+ * When a reporter runs more than once, eg. in watch mode, each report replaces the one
+ * of the run before it, rather than being appended after it.
+ *
+ * ## Features
+ *
+ * - **Always Markdown**: Output mode is not affected by `TSTYCHE_REPORTERS_MARKDOWN`
+ * - **Version table**: Pass/fail counts per TypeScript version, with a column for expected failures when there are any
+ * - **Failure details**: Collapsible `<details>` blocks holding the diagnostics of each failing test
+ * - **Full output**: Version headers, describe headers and test lines from the mocha reporter
+ *
+ * @see {@link https://docs.github.com/en/actions/reference/workflow-commands-for-github-actions#adding-a-job-summary} - Job summaries
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * npx tstyche --reporters ./tstyche-step-summary-reporter.js,./tstyche-dot-reporter.js,summary
+ * ```
+ */
+export default class TstycheStepSummaryReporter extends TstycheMochaReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    /** @type {string[]} */
+    this.bufferedLines = [];
+  }
+
+  /** @type {number | undefined} Size of the step summary file before the first report was appended */
+  #reportOffset;
+
+  /**
+   * Always use markdown mode, as step summaries are rendered as Markdown.
+   *
+   * @protected
+   * @override
+   * @returns {OutputMode}
+   */
+  _getOutputMode () {
+    return 'markdown';
+  }
+
+  /**
+   * Never print the built-in summary - the report has a version table of its own.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldPrintSummary () {
+    return false;
+  }
+
+  /**
+   * Never render watch mode - the report is written to a file.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldRenderWatchMode () {
+    return false;
+  }
+
+  /**
+   * Determine the path of the step summary file.
+   *
+   * Subclasses can override this method to customize the output path.
+   *
+   * @protected
+   * @returns {string | undefined} Path from GITHUB_STEP_SUMMARY, if set
+   */
+  _getOutputPath () {
+    // eslint-disable-next-line n/no-process-env -- Set by GitHub Actions
+    return process.env['GITHUB_STEP_SUMMARY'] || undefined;
+  }
+
+  /**
+   * Buffer output rather than writing it.
+   *
+   * @protected
+   * @override
+   * @param {string} [text]
+   */
+  _writeLine (text = '') {
+    this.bufferedLines.push(text);
+  }
+
+  /**
+   * Buffer error output along with the rest of the output.
+   *
+   * @protected
+   * @override
+   * @param {string} [text]
+   */
+  _writeErrorLine (text = '') {
+    this.bufferedLines.push(text);
+  }
+
+  /**
+   * Handle run:start event - reset buffered output.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload
+   */
+  _onRunStart (payload) {
+    super._onRunStart(payload);
+    this.bufferedLines = [];
+  }
+
+  /**
+   * Skip the failure epilogue - the report has a failure section of its own.
+   *
+   * @protected
+   * @override
+   */
+  _printFailures () {
+    // Failures are rendered by _renderReport()
+  }
+
+  /**
+   * Handle an event, writing the complete report once the run has ended.
+   *
+   * The report is written after all of run:end is handled, so that it includes the
+   * deferred errors and the known failure warnings that are printed after `_onRunEnd()`.
+   *
+   * @override
+   * @param {ReporterEvent} reporterEvent - The event
+   * @returns {void}
+   */
+  on (reporterEvent) {
+    super.on(reporterEvent);
+
+    if (reporterEvent[0] === 'run:end') {
+      this._writeReport();
+    }
+  }
+
+  /**
+   * Write the complete report to the step summary, or print it when there is none.
+   *
+   * @protected
+   * @returns {void}
+   */
+  _writeReport () {
+    const report = this._renderReport();
+    const outputPath = this._getOutputPath();
+
+    if (outputPath) {
+      /* eslint-disable n/no-sync, security/detect-non-literal-fs-filename -- Reporter events are handled synchronously */
+      if (this.#reportOffset === undefined) {
+        this.#reportOffset = existsSync(outputPath) ? statSync(outputPath).size : 0;
+      } else {
+        // Replace the report of the previous run, keeping what earlier steps wrote
+        truncateSync(outputPath, this.#reportOffset);
+      }
+      appendFileSync(outputPath, report);
+      /* eslint-enable n/no-sync, security/detect-non-literal-fs-filename */
+    } else {
+      super._writeLine(report);
+    }
+  }
+
+  /**
+   * Render the complete Markdown report.
+   *
+   * @protected
+   * @returns {string} The report
+   */
+  _renderReport () {
+    const sections = [
+      this.format.header('TSTyche type tests', 1).trim(),
+    ];
+
+    // Leave out versions that only had errors outside of tests, eg. project errors
+    const versions = [...this.summary.versions].filter(([, counts]) => counts.passed + counts.failed + counts.skipped + counts.todo + counts.fixme + counts.expected > 0);
+
+    if (versions.length > 0) {
+      const hasExpected = versions.some(([, counts]) => counts.expected > 0);
+
+      sections.push(this.format.table([
+        ['TypeScript', 'Passed', 'Failed', 'Skipped', 'Todo', 'Fixme', ...hasExpected ? ['Expected'] : []],
+        ...versions.map(([version, counts]) => [
+          version,
+          String(counts.passed),
+          counts.failed ? `${this.format.logSymbols.error} ${counts.failed}` : '0',
+          String(counts.skipped),
+          String(counts.todo),
+          String(counts.fixme),
+          ...hasExpected ? [String(counts.expected)] : [],
+        ]),
+      ]).trim());
+    }
+
+    if (this.failures.length > 0) {
+      sections.push(this.format.header('Failures', 2).trim());
+
+      for (const failure of this.failures) {
+        const version = failure.compilerVersion ? ` (TypeScript ${failure.compilerVersion})` : '';
+        sections.push([
+          '<details>',
+          `<summary>${this.format.logSymbols.error} ${escapeXml(failure.name + version)}</summary>`,
+          '',
+          ...failure.diagnostics.flatMap(diagnostic => {
+            const codeFrame = this._formatCodeFrame(diagnostic);
+            return ['```', this._formatDiagnostic(diagnostic), '```', '', ...codeFrame ? [codeFrame, ''] : []];
+          }),
+          '</details>',
+        ].join('\n'));
+      }
+    }
+
+    // Headers are padded with blank lines of their own, collapse the resulting runs of them
+    const output = this.bufferedLines.join('\n').replaceAll(/\n{3,}/g, '\n\n').trim();
+
+    if (output) {
+      sections.push(output);
+    }
+
+    return sections.join('\n\n') + '\n';
+  }
+}
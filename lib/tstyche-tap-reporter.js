@@ -0,0 +1,468 @@
+import { TstycheBaseReporter } from './tstyche-base-reporter.js';
+
+/** @import { Diagnostic } from 'tstyche/tstyche' */
+/** @import { KnownFailure, TstycheEventPayload, TstycheErrorEvents, TstycheNonImplementedEvents, TstycheReporterOptions } from './tstyche-base-reporter.js' */
+
+/** @typedef {TstycheEventPayload<'test:start'>['result']} TestResult */
+
+/**
+ * @typedef TapSubtest
+ * @property {string} name - Description of the test point that closes the subtest
+ * @property {'version' | 'file' | 'describe'} kind
+ * @property {number} count - Number of test points written in the subtest
+ * @property {boolean} failed - Whether any test point of the subtest failed
+ */
+
+/**
+ * @typedef TapTestPoint
+ * @property {boolean} ok
+ * @property {string} description
+ * @property {string} [directive] - Eg. `SKIP` or `TODO`
+ * @property {Diagnostic[]} [diagnostics] - Rendered as a YAML block
+ */
+
+const INDENT = '    ';
+
+/**
+ * TSTyche reporter that outputs TAP version 14.
+ *
+ * Streams the run as nested TAP subtests, for consumption by TAP aggregators.
+ * Each TypeScript version announced by `project:uses` becomes a top-level subtest,
+ * containing a subtest per file, containing a subtest per `describe` block.
+ *
+ * ## Features
+ *
+ * - **Nested subtests**: TypeScript version › file › describe › test, with plans at the end of each subtest
+ * - **Directives**: Skipped tests get `# SKIP`, todo tests get `# TODO`, fixme tests get `# TODO fixme` and known failures get `# TODO expected failure`
+ * - **YAML diagnostics**: Failures carry a YAML block with the `_formatDiagnostic` output and location
+ * - **Errors as failures**: Error events outside of tests become failing test points
+ *
+ * @see {@link https://testanything.org/tap-version-14-specification.html} - TAP 14 specification
+ *
+ * ## Example Usage
+ *
+ * ```bash
+ * npx tstyche --target '5.8 || 5.9' --reporters ./tstyche-tap-reporter.js | npx tap-parser
+ * ```
+ *
+ * Output:
+ * ```
+ * TAP version 14
+ * # Subtest: TypeScript 5.9.3
+ *     # Subtest: typetests/a.test.ts
+ *         # Subtest: Math
+ *             ok 1 - adds numbers
+ *             1..1
+ *         ok 1 - Math
+ *         1..1
+ *     ok 1 - typetests/a.test.ts
+ *     1..1
+ * ok 1 - TypeScript 5.9.3
+ * 1..1
+ * ```
+ */
+export default class TstycheTapReporter extends TstycheBaseReporter {
+  /**
+   * Initialize the reporter with resolved TSTyche configuration.
+   *
+   * @param {import("tstyche/tstyche").ResolvedConfig} resolvedConfig - TSTyche configuration
+   * @param {TstycheReporterOptions} [options] - Reporter options
+   */
+  constructor (resolvedConfig, options) {
+    super(resolvedConfig, options);
+
+    /** @type {TapSubtest} */
+    this.root = createSubtest('', 'version');
+    /** @type {TapSubtest[]} */
+    this.subtests = [];
+    /** @type {Map<TestResult, Diagnostic[]>} */
+    this.pendingDiagnostics = new Map();
+  }
+
+  /** @type {boolean} Whether the version line has been written, which a stream gets only once, eg. across runs in watch mode */
+  #versionWritten = false;
+
+  /**
+   * Never print the built-in summary - it's not valid TAP.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldPrintSummary () {
+    return false;
+  }
+
+  /**
+   * Never render watch mode - it's not valid TAP.
+   *
+   * @protected
+   * @override
+   * @returns {boolean}
+   */
+  _shouldRenderWatchMode () {
+    return false;
+  }
+
+  /**
+   * Close the subtests of the previous TypeScript version.
+   *
+   * @protected
+   * @override
+   */
+  _beforePrintCompilerVersion () {
+    this.#closeSubtests(0);
+  }
+
+  /**
+   * Open a top-level subtest for the TypeScript version instead of printing a header.
+   *
+   * @protected
+   * @override
+   */
+  _printCompilerVersion () {
+    this.#openSubtest(`TypeScript ${this.currentCompilerVersion}`, 'version');
+  }
+
+  /**
+   * Handle run:start event - write the version line, unless an earlier run already did.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'run:start'>} payload - Event payload
+   */
+  _onRunStart (payload) {
+    super._onRunStart(payload);
+    this.root = createSubtest('', 'version');
+    this.subtests = [];
+    this.pendingDiagnostics = new Map();
+
+    if (!this.#versionWritten) {
+      this._writeLine('TAP version 14');
+      this.#versionWritten = true;
+    }
+  }
+
+  /**
+   * Handle file:start event - open a subtest for the file.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'file:start'>} payload - Event payload
+   */
+  _onFileStart (payload) {
+    this.#closeSubtests(this.subtests.findIndex(subtest => subtest.kind !== 'version'));
+
+    const filePath = payload.result?.file?.path;
+    this.#openSubtest(filePath ? this._getRelativeFilePath(filePath) : 'file', 'file');
+  }
+
+  /**
+   * Handle describe:start event - open a subtest for the describe block.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'describe:start'>} payload - Event payload
+   */
+  _onDescribeStart (payload) {
+    this.#openSubtest(payload.result?.describe?.name ?? 'describe', 'describe');
+  }
+
+  /**
+   * Handle describe:end event - close the subtest of the describe block.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onDescribeEnd (_payload) {
+    if (this.subtests.at(-1)?.kind === 'describe') {
+      this.#closeSubtests(this.subtests.length - 1);
+    }
+  }
+
+  /**
+   * Handle test:pass event - write an ok test point.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:pass'>} payload - Event payload
+   */
+  _onTestPass (payload) {
+    this.#writeTestPoint({ ok: true, description: payload.result?.test?.name ?? 'test' });
+  }
+
+  /**
+   * Handle test:fail event - write a not ok test point with the collected diagnostics.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   */
+  _onTestFail (payload) {
+    this.#writeTestPoint({
+      ok: false,
+      description: payload.result?.test?.name ?? 'test',
+      diagnostics: this.#takeDiagnostics(payload.result),
+    });
+  }
+
+  /**
+   * Handle test:fail event of a known failure - write a not ok test point with a TODO directive, as it's expected to fail.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload - Event payload
+   * @param {KnownFailure} knownFailure - The entry of the known failures file matching the test
+   */
+  _onTestExpectedFail (payload, knownFailure) {
+    this.#writeTestPoint({
+      ok: false,
+      description: payload.result?.test?.name ?? 'test',
+      directive: `TODO expected failure${knownFailure.entry.reason ? `: ${escapeDescription(knownFailure.entry.reason)}` : ''}`,
+      diagnostics: this.#takeDiagnostics(payload.result),
+    });
+  }
+
+  /**
+   * Handle test:skip event - write a test point with a SKIP directive.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:skip'>} payload - Event payload
+   */
+  _onTestSkip (payload) {
+    this.#writeTestPoint({ ok: true, description: payload.result?.test?.name ?? 'test', directive: 'SKIP' });
+  }
+
+  /**
+   * Handle test:todo event - write a test point with a TODO directive.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:todo'>} payload - Event payload
+   */
+  _onTestTodo (payload) {
+    this.#writeTestPoint({ ok: false, description: payload.result?.test?.name ?? 'test', directive: 'TODO' });
+  }
+
+  /**
+   * Handle test:fixme event - write a test point with a TODO directive, as it's expected to fail.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'test:fixme'>} payload - Event payload
+   */
+  _onTestFixme (payload) {
+    this.#writeTestPoint({ ok: false, description: payload.result?.test?.name ?? 'test', directive: 'TODO fixme' });
+  }
+
+  /**
+   * Handle expect:fail event - collect diagnostics for the failing test.
+   *
+   * @protected
+   * @override
+   * @param {TstycheEventPayload<'expect:fail'>} payload - Event payload
+   */
+  _onExpectFail (payload) {
+    this.#addDiagnostics(payload.result?.parent, payload.diagnostics);
+  }
+
+  /**
+   * Handle file:end event - close the file subtest.
+   *
+   * @protected
+   * @override
+   * @param {TstycheNonImplementedEvents} reporterEvent - The event
+   */
+  _onNonImplementedEvent (reporterEvent) {
+    switch (reporterEvent[0]) {
+      case 'file:end': {
+        const fileIndex = this.subtests.findIndex(subtest => subtest.kind === 'file');
+        if (fileIndex !== -1) {
+          this.#closeSubtests(fileIndex);
+        }
+        break;
+      }
+      default:
+        super._onNonImplementedEvent(reporterEvent);
+    }
+  }
+
+  /**
+   * Handle error event - write errors as failing test points.
+   *
+   * @protected
+   * @override
+   * @param {TstycheErrorEvents} reporterEvent
+   */
+  _onError (reporterEvent) {
+    switch (reporterEvent[0]) {
+      case 'expect:error':
+        this.#addDiagnostics(reporterEvent[1].result?.parent, reporterEvent[1].diagnostics);
+        break;
+      case 'test:error':
+        // A test error is final, no test:fail event follows it
+        this.#writeTestPoint({
+          ok: false,
+          description: reporterEvent[1].result?.test?.name ?? 'test',
+          diagnostics: [...this.#takeDiagnostics(reporterEvent[1].result), ...reporterEvent[1].diagnostics],
+        });
+        break;
+      default:
+        this.#writeTestPoint({ ok: false, description: reporterEvent[0], diagnostics: reporterEvent[1].diagnostics });
+    }
+  }
+
+  /**
+   * Handle run:end event - close all subtests and write the plan.
+   *
+   * @protected
+   * @override
+   * @param {unknown} _payload - Event payload
+   */
+  _onRunEnd (_payload) {
+    this.#closeSubtests(0);
+    this._writeLine(`1..${this.root.count}`);
+  }
+
+  /**
+   * Render a YAML diagnostic block for a failing test point.
+   *
+   * @protected
+   * @param {Diagnostic[]} diagnostics - Diagnostics of the test point
+   * @returns {string[]} Lines of the block, without indentation
+   */
+  _renderYamlBlock (diagnostics) {
+    const location = diagnostics
+      .map(diagnostic => this._getDiagnosticLocation(diagnostic))
+      .find(Boolean);
+    const message = diagnostics.map(diagnostic => this._formatDiagnostic(diagnostic)).join('\n\n');
+
+    return [
+      '---',
+      ...message ? ['message: |-', ...message.split('\n').map(line => `  ${line}`)] : [],
+      'severity: fail',
+      ...this.currentCompilerVersion ? [`typescript: ${JSON.stringify(this.currentCompilerVersion)}`] : [],
+      ...location
+        ? [
+            'at:',
+            `  file: ${JSON.stringify(this._getRelativeFilePath(location.filePath))}`,
+            `  line: ${location.line}`,
+            `  column: ${location.column}`,
+          ]
+        : [],
+      '...',
+    ];
+  }
+
+  /**
+   * @param {string} name
+   * @param {TapSubtest['kind']} kind
+   */
+  #openSubtest (name, kind) {
+    this.#writeIndented(`# Subtest: ${escapeDescription(name)}`);
+    this.subtests.push(createSubtest(name, kind));
+  }
+
+  /**
+   * Close the subtest at the given index and all subtests nested within it.
+   *
+   * @param {number} index - Index in the subtest stack, negative indexes close nothing
+   */
+  #closeSubtests (index) {
+    if (index < 0) {
+      return;
+    }
+
+    while (this.subtests.length > index) {
+      const subtest = this.subtests.at(-1);
+
+      if (!subtest) {
+        break;
+      }
+
+      this.#writeIndented(`1..${subtest.count}`);
+      this.subtests.pop();
+      this.#writeTestPoint({ ok: !subtest.failed, description: subtest.name });
+    }
+  }
+
+  /**
+   * @param {TapTestPoint} testPoint
+   */
+  #writeTestPoint ({ description, diagnostics, directive, ok }) {
+    const parent = this.subtests.at(-1) ?? this.root;
+
+    parent.count++;
+
+    // Failures of todo tests are expected, so they don't fail the parent
+    if (!ok && !directive) {
+      parent.failed = true;
+    }
+
+    this.#writeIndented(`${ok ? 'ok' : 'not ok'} ${parent.count} - ${escapeDescription(description)}${directive ? ` # ${directive}` : ''}`);
+
+    if (diagnostics && !ok) {
+      for (const line of this._renderYamlBlock(diagnostics)) {
+        this.#writeIndented(`  ${line}`);
+      }
+    }
+  }
+
+  /**
+   * @param {string} line
+   */
+  #writeIndented (line) {
+    this._writeLine(INDENT.repeat(this.subtests.length) + line);
+  }
+
+  /**
+   * @param {TestResult | undefined} result
+   * @param {Diagnostic[]} diagnostics
+   */
+  #addDiagnostics (result, diagnostics) {
+    if (!result) {
+      return;
+    }
+
+    const existing = this.pendingDiagnostics.get(result) ?? [];
+    this.pendingDiagnostics.set(result, [...existing, ...diagnostics]);
+  }
+
+  /**
+   * @param {TestResult | undefined} result
+   * @returns {Diagnostic[]}
+   */
+  #takeDiagnostics (result) {
+    if (!result) {
+      return [];
+    }
+
+    const diagnostics = this.pendingDiagnostics.get(result) ?? [];
+    this.pendingDiagnostics.delete(result);
+    return diagnostics;
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {TapSubtest['kind']} kind
+ * @returns {TapSubtest}
+ */
+function createSubtest (name, kind) {
+  return { name, kind, count: 0, failed: false };
+}
+
+/**
+ * Escape a test point description or subtest name, as `#` starts a directive and a newline ends the line.
+ *
+ * @param {string} description
+ * @returns {string}
+ */
+function escapeDescription (description) {
+  return description
+    .replaceAll('\\', '\\\\')
+    .replaceAll('#', String.raw`\#`)
+    .replaceAll(/\r?\n/g, ' ');
+}
@@ -2,6 +2,14 @@
  * Utility functions for TSTyche reporters.
  */
 
+import { appendFileSync, mkdirSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Separator used when joining describe and test names into a breadcrumb path.
+ */
+export const BREADCRUMB_SEPARATOR = ' › ';
+
 /**
  * Asserts that a value is of type `never`, used for exhaustive switch checks.
  *
@@ -23,3 +31,65 @@
 export function assertTypeIsNever (_value, message = 'Expected value to not exist') {
   throw new Error(message);
 }
+
+/**
+ * Calculates the duration of a TSTyche result from its timing.
+ *
+ * @param {{ start: number, end: number } | undefined} timing - Timing of a test, file or target result
+ * @returns {number | undefined} Duration in milliseconds, or `undefined` when the result has not ended
+ */
+export function getDuration (timing) {
+  return timing?.start && timing.end ? timing.end - timing.start : undefined;
+}
+
+/**
+ * Formats a duration for display, as milliseconds below one second and as seconds above.
+ *
+ * @param {number} duration - Duration in milliseconds
+ * @returns {string} The formatted duration, eg. `45ms` or `1.2s`
+ */
+export function formatDuration (duration) {
+  return duration < 1000 ? `${Math.round(duration)}ms` : `${(duration / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Escapes a string for use in XML text content and attribute values.
+ *
+ * Also strips control characters that are not allowed in XML 1.0 documents.
+ *
+ * @param {string} value - The raw string
+ * @returns {string} The escaped string
+ */
+export function escapeXml (value) {
+  return value
+    // eslint-disable-next-line no-control-regex -- Stripping characters that are invalid in XML 1.0
+    .replaceAll(/[\u0000-\u0008\v\f\u000E-\u001F]/g, '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll('\'', '&apos;');
+}
+
+/**
+ * Creates an output stream that appends to a file.
+ *
+ * The file is truncated when the stream is created. Writes are synchronous, as
+ * reporters handle events synchronously and no output should be lost when
+ * TSTyche exits right after the last event.
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @returns {{ write: (chunk: string) => void }} The output stream
+ */
+export function createFileOutputStream (filePath) {
+  /* eslint-disable n/no-sync, security/detect-non-literal-fs-filename -- Reporter events are handled synchronously */
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileSync(filePath, '');
+
+  return {
+    write: (chunk) => {
+      appendFileSync(filePath, chunk);
+    },
+  };
+  /* eslint-enable n/no-sync, security/detect-non-literal-fs-filename */
+}
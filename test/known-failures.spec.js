@@ -0,0 +1,139 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { formatKnownFailure, loadKnownFailures, matchesKnownFailure } from '../lib/known-failures.js';
+
+/** @import { KnownFailureEntry } from '../lib/known-failures.js' */
+
+/* eslint-disable security/detect-non-literal-fs-filename -- Known failures files are written in a temporary directory */
+
+/**
+ * @param {Omit<KnownFailureEntry, 'expires'>} entry
+ * @param {{ file?: string, name?: string, compilerVersion?: string }} test
+ * @returns {boolean}
+ */
+function matches (entry, { compilerVersion = '5.9.3', file = 'typetests/math.test.ts', name = 'Math › adds' } = {}) {
+  return matchesKnownFailure({ entry: { ...entry, expires: '2099-12-31' }, index: 0, expired: false }, { compilerVersion, file, name });
+}
+
+describe('known failures', () => {
+  describe('matchesKnownFailure()', () => {
+    it('should match any test when an entry only has an expiry date', () => {
+      assert.ok(matches({}));
+    });
+
+    it('should match file globs against the relative file path', () => {
+      assert.ok(matches({ file: 'typetests/math.test.ts' }));
+      assert.ok(matches({ file: 'typetests/*.test.ts' }));
+      assert.ok(matches({ file: '**/*.test.ts' }));
+      assert.ok(matches({ file: 'typetests/**/math.test.ts' }, { file: 'typetests/math.test.ts' }));
+      assert.ok(matches({ file: 'typetests/**/math.test.ts' }, { file: 'typetests/deep/er/math.test.ts' }));
+      assert.ok(matches({ file: 'typetests/mat?.test.ts' }));
+      assert.ok(matches({ file: 'typetests/*.test.ts' }, { file: String.raw`typetests\math.test.ts` }));
+      assert.ok(!matches({ file: '*.test.ts' }));
+      assert.ok(!matches({ file: 'typetests/*.test.ts' }, { file: 'typetests/deep/math.test.ts' }));
+      assert.ok(!matches({ file: 'typetests/math.test.ts' }, { file: 'typetests/math.test.tsx' }));
+    });
+
+    it('should match name patterns against the full test name', () => {
+      assert.ok(matches({ name: 'Math › adds' }));
+      assert.ok(matches({ name: 'Math › *' }));
+      assert.ok(matches({ name: '*adds' }));
+      assert.ok(matches({ name: 'Math › (adds)' }, { name: 'Math › (adds)' }));
+      assert.ok(!matches({ name: 'adds' }));
+      assert.ok(!matches({ name: 'Math › add' }));
+    });
+
+    it('should match TypeScript version ranges', () => {
+      assert.ok(matches({ typescript: '5.9' }));
+      assert.ok(matches({ typescript: '5.9.3' }));
+      assert.ok(matches({ typescript: '>=5.4 <6' }));
+      assert.ok(matches({ typescript: '5.4 || >5.8' }));
+      assert.ok(matches({ typescript: '<=5.9' }));
+      assert.ok(matches({ typescript: '6.0' }, { compilerVersion: '6.0.0-dev.20260101' }));
+      assert.ok(!matches({ typescript: '5.8' }));
+      assert.ok(!matches({ typescript: '<5.9' }));
+      assert.ok(!matches({ typescript: '>=5.4 <5.9' }));
+      assert.ok(!matchesKnownFailure(
+        { entry: { typescript: '5.9', expires: '2099-12-31' }, index: 0, expired: false },
+        { compilerVersion: undefined, file: 'typetests/math.test.ts', name: 'Math › adds' }
+      ));
+    });
+  });
+
+  describe('formatKnownFailure()', () => {
+    it('should describe an entry by what it matches', () => {
+      assert.strictEqual(
+        formatKnownFailure({ entry: { file: 'typetests/*.test.ts', name: 'Math › adds', typescript: '>=6.0', expires: '2099-12-31' }, index: 0, expired: false }),
+        'Math › adds (typetests/*.test.ts, TypeScript >=6.0)'
+      );
+      assert.strictEqual(formatKnownFailure({ entry: { expires: '2099-12-31' }, index: 2, expired: false }), 'entry 2');
+    });
+  });
+
+  describe('loadKnownFailures()', () => {
+    /** @type {string} */
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(path.join(tmpdir(), 'tstyche-known-failures-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should load the default file of the root path, when there is one', async () => {
+      assert.deepStrictEqual(loadKnownFailures(directory), []);
+
+      await writeFile(path.join(directory, 'tstyche-known-failures.json'), JSON.stringify([
+        { name: 'Math › adds', expires: '2026-06-30', reason: 'Upstream bug' },
+        { file: 'typetests/*.test.ts', expires: '2026-06-29' },
+      ]));
+
+      assert.deepStrictEqual(loadKnownFailures(directory, undefined, '2026-06-30'), [
+        { entry: { name: 'Math › adds', expires: '2026-06-30', reason: 'Upstream bug' }, index: 0, expired: false },
+        { entry: { file: 'typetests/*.test.ts', expires: '2026-06-29' }, index: 1, expired: true },
+      ]);
+    });
+
+    it('should require an explicitly given file to exist', () => {
+      const filePath = path.join(directory, 'missing.json');
+
+      assert.throws(
+        () => loadKnownFailures(directory, 'missing.json'),
+        { message: `Could not read known failures file ${filePath}` }
+      );
+    });
+
+    it('should reject invalid files', async () => {
+      const filePath = path.join(directory, 'known-failures.json');
+
+      /**
+       * @param {unknown} content
+       * @param {string} message
+       */
+      const assertInvalid = async (content, message) => {
+        await writeFile(filePath, JSON.stringify(content));
+        assert.throws(() => loadKnownFailures(directory, 'known-failures.json'), { message: `Invalid known failures file ${filePath}: ${message}` });
+      };
+
+      await assertInvalid({}, 'Expected an array of entries');
+      await assertInvalid(['Math'], 'Expected an object in entry 0');
+      await assertInvalid([{ expires: '2026-12-31' }, { name: 'Math', expires: '2026-12-31', owner: 'me' }], 'Unknown option \'owner\' in entry 1');
+      await assertInvalid([{ name: '', expires: '2026-12-31' }], 'Invalid option \'name\' in entry 0: Expected a non-empty string');
+      await assertInvalid([{ name: 'Math' }], 'Invalid option \'expires\' in entry 0: Expected a date like \'2026-12-31\'');
+      await assertInvalid([{ expires: '31/12/2026' }], 'Invalid option \'expires\' in entry 0: Expected a date like \'2026-12-31\'');
+      await assertInvalid(
+        [{ typescript: '~5.8', expires: '2026-12-31' }],
+        'Invalid option \'typescript\' in entry 0: Expected versions or comparators like \'5.8\' or \'>=5.4 <5.8\', separated by \'||\''
+      );
+
+      await writeFile(filePath, '[');
+      assert.throws(() => loadKnownFailures(directory, 'known-failures.json'), { message: /^Could not parse known failures file / });
+    });
+  });
+});
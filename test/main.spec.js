@@ -1,7 +1,194 @@
-import { describe, it } from 'node:test';
+import { afterEach, beforeEach, describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { stripVTControlCharacters } from 'node:util';
 
-import { TstycheBaseReporter, TstycheDotReporter, TstycheMochaReporter } from '../index.js';
+import { TstycheBaseReporter, TstycheDotReporter, TstycheJsonReporter, TstycheMochaReporter } from '../index.js';
+import {
+  createDescribeEvent,
+  createDiagnostic,
+  createFileEvent,
+  createProjectUsesEvent,
+  createRunEvent,
+  createTestEvents,
+  runReporter,
+} from '../lib/testing.js';
+
+/** @import { ReporterEvent } from 'tstyche/tstyche' */
+
+class CodeFrameReporter extends TstycheBaseReporter {
+  /**
+   * @param {any} diagnostic
+   * @returns {string | undefined}
+   */
+  formatCodeFrame (diagnostic) {
+    return this._formatCodeFrame(diagnostic);
+  }
+}
+
+const codeFrameText = ['one', 'two', '\tthree(four);', 'five', 'six', 'seven'].join('\n');
+const codeFrameStart = codeFrameText.indexOf('four');
+const codeFrameDiagnostic = {
+  text: 'Failed',
+  category: 'error',
+  origin: {
+    start: codeFrameStart,
+    end: codeFrameStart + 4,
+    sourceFile: {
+      fileName: path.resolve('/project/typetests/a.test.ts'),
+      text: codeFrameText,
+      getLineAndCharacterOfPosition: (/** @type {number} */ position) => {
+        const lines = codeFrameText.slice(0, position).split('\n');
+        return { line: lines.length - 1, character: lines.at(-1)?.length ?? 0 };
+      },
+    },
+  },
+};
+
+/**
+ * Runs a function with the environment variables of output mode detection replaced.
+ *
+ * @template T
+ * @param {Record<string, string>} env - Environment variables to set, others used in detection are unset
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function withEnv (env, fn) {
+  const keys = ['CI', 'FORCE_COLOR', 'GITHUB_ACTIONS', 'NO_COLOR', 'TSTYCHE_REPORTERS_MARKDOWN', 'TSTYCHE_REPORTERS_MODE'];
+  // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+  const original = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+
+  try {
+    for (const key of keys) {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      delete process.env[key];
+    }
+    // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+    Object.assign(process.env, env);
+
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(original)) {
+      if (value === undefined) {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env[key];
+      } else {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+/**
+ * Events of a run in watch mode, with the given outcomes of two tests in a describe block.
+ *
+ * @param {string[]} outcomes - Event names, eg. `test:pass`
+ * @returns {any[]}
+ */
+function watchEvents (outcomes) {
+  const filePath = path.resolve('/project/typetests/a.test.ts');
+
+  return [
+    ['run:start', { result: { files: [{ path: filePath }] } }],
+    ['file:start', { result: { file: { path: filePath } } }],
+    ['describe:start', { result: { describe: { name: 'Math' } } }],
+    ...outcomes.map((event, index) => [event, { result: { test: { name: index === 0 ? 'first' : 'second' } } }]),
+    ['describe:end', {}],
+    ['file:end', { result: { file: { path: filePath } } }],
+    ['run:end', {}],
+  ];
+}
+
+/**
+ * Result of a `toBe` assertion in a test, at the given 0-based line.
+ *
+ * @param {string} source - Source of the assertion
+ * @param {number} line - Line of the assertion, 0-based
+ * @param {any} parent - Result of the test the assertion is in
+ * @returns {any}
+ */
+function expectResult (source, line, parent) {
+  return {
+    parent,
+    expect: {
+      node: {
+        getSourceFile: () => ({
+          fileName: path.resolve('/project/typetests/a.test.ts'),
+          getLineAndCharacterOfPosition: () => ({ line, character: 4 }),
+        }),
+      },
+      matcherNode: { getStart: () => 0, getText: () => source },
+      matcherNameNode: { name: { text: 'toBe' } },
+    },
+  };
+}
+
+/**
+ * A `// @ts-expect-error` directive at the given offset of a file with a line of 20 characters each.
+ *
+ * @param {number} start - Offset of the directive
+ * @param {string | undefined} argument - Argument of the directive
+ * @param {boolean} [ignore] - Whether the directive ends with `!`
+ * @returns {any}
+ */
+function suppressedError (start, argument, ignore = false) {
+  const file = {
+    fileName: path.resolve('/project/typetests/a.test.ts'),
+    getLineAndCharacterOfPosition: (/** @type {number} */ position) => ({ line: Math.floor(position / 20), character: position % 20 }),
+  };
+
+  return {
+    directive: { start, end: start + 19, text: '// @ts-expect-error' },
+    ...argument && { argument: { start: start + 20, end: start + 20 + argument.length, text: argument } },
+    ignore,
+    diagnostics: [{ file }],
+  };
+}
+
+/** @type {any[]} */
+const summaryEvents = [
+  ['run:start', {}],
+  ['project:uses', { compilerVersion: '5.8.3' }],
+  ['file:start', { result: { file: { path: path.resolve('/project/typetests/a.test.ts') } } }],
+  ['suppressed:match', { result: { suppressed: suppressedError(42, 'Type') } }],
+  ['test:pass', { result: { test: { name: 'passes' } } }],
+  ['test:fail', { result: { test: { name: 'fails' } } }],
+  ['test:skip', { result: { test: { name: 'skipped' } } }],
+  ['file:end', {}],
+  ['project:uses', { compilerVersion: '5.9.3' }],
+  ['file:start', { result: { file: { path: path.resolve('/project/typetests/a.test.ts') } } }],
+  ['test:pass', { result: { test: { name: 'passes' } } }],
+  ['test:error', { result: { test: { name: 'fails' } }, diagnostics: [] }],
+  ['test:todo', { result: { test: { name: 'todo' } } }],
+  ['test:fixme', { result: { test: { name: 'fixme' } } }],
+  ['file:end', {}],
+  ['project:error', { diagnostics: [] }],
+  ['run:end', {}],
+];
+
+/**
+ * Events of a run with a passing `adds` and failing `subtracts` and `divides` test in a `Math` describe block.
+ *
+ * @param {string} compilerVersion - TypeScript version of the run
+ * @returns {ReporterEvent[]}
+ */
+function knownFailureEvents (compilerVersion) {
+  return [
+    createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+    createProjectUsesEvent(compilerVersion),
+    createFileEvent('start', 'typetests/math.test.ts'),
+    createDescribeEvent('start', 'Math'),
+    ...createTestEvents('pass', 'adds'),
+    ...createTestEvents('fail', 'subtracts', { diagnostics: [createDiagnostic('Type mismatch')] }),
+    ...createTestEvents('fail', 'divides', { diagnostics: [createDiagnostic('Type mismatch')] }),
+    createDescribeEvent('end', 'Math'),
+    createFileEvent('end', 'typetests/math.test.ts'),
+    createRunEvent('end'),
+  ];
+}
 
 describe('tstyche-reporters', () => {
   describe('TstycheBaseReporter', () => {
@@ -45,13 +232,65 @@ describe('tstyche-reporters', () => {
       }
     });
 
-    it('should use CLI mode when TSTYCHE_REPORTERS_MARKDOWN is not set', () => {
+    it('should detect the output mode from the environment when TSTYCHE_REPORTERS_MARKDOWN is not set', () => {
+      const tty = { isTTY: true, write: () => {} };
+      const pipe = { write: () => {} };
+
+      /** @type {Array<[Record<string, string>, import('../index.js').OutputStream, string]>} */
+      const cases = [
+        [{}, tty, 'cli'],
+        [{}, pipe, 'plain'],
+        [{ CI: 'true' }, tty, 'plain'],
+        [{ NO_COLOR: '1' }, tty, 'plain'],
+        [{ GITHUB_ACTIONS: 'true', CI: 'true' }, pipe, 'markdown'],
+        [{ GITHUB_ACTIONS: 'true', FORCE_COLOR: '1' }, pipe, 'cli'],
+        [{ FORCE_COLOR: '0' }, tty, 'plain'],
+      ];
+
+      for (const [env, stdout, expected] of cases) {
+        const reporter = withEnv(env, () => {
+          // @ts-expect-error Test fixture, not a full ResolvedConfig
+          return new TstycheBaseReporter({}, { stdout });
+        });
+
+        assert.strictEqual(reporter.outputMode, expected, `Expected ${expected} for ${JSON.stringify(env)}`);
+        assert.strictEqual(reporter.format.chalk === undefined, expected === 'markdown');
+      }
+    });
+
+    it('should let TSTYCHE_REPORTERS_MARKDOWN win over the detected output mode', () => {
+      const reporter = withEnv({ GITHUB_ACTIONS: 'true', TSTYCHE_REPORTERS_MARKDOWN: 'false' }, () => {
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        return new TstycheBaseReporter({}, { stdout: { write: () => {} } });
+      });
+
+      assert.strictEqual(reporter.outputMode, 'cli');
+      assert.ok(reporter.format.chalk);
+    });
+
+    it('should strip ANSI escapes in plain mode', () => {
+      let stderr = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheMochaReporter({}, {
+        stdout: { write: () => {} },
+        stderr: { write: (chunk) => { stderr += chunk; } },
+        config: { mode: 'plain' },
+      });
+
+      reporter.on(['project:error', /** @type {any} */ ({ diagnostics: [{ text: '\u001B[1mBroken\u001B[22m' }] })]);
+
+      assert.strictEqual(reporter.format.chalk !== undefined, true);
+      assert.strictEqual(stderr, 'Error: Broken\n');
+    });
+
+    it('should use CLI mode when TSTYCHE_REPORTERS_MARKDOWN is false', () => {
       // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
       const originalValue = process.env['TSTYCHE_REPORTERS_MARKDOWN'];
 
       try {
         // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
-        delete process.env['TSTYCHE_REPORTERS_MARKDOWN'];
+        process.env['TSTYCHE_REPORTERS_MARKDOWN'] = 'false';
         // @ts-expect-error Test fixture, not a full ResolvedConfig
         const reporter = new TstycheBaseReporter({});
 
@@ -68,33 +307,501 @@ describe('tstyche-reporters', () => {
         }
       }
     });
+  });
 
-    it('should use CLI mode when TSTYCHE_REPORTERS_MARKDOWN is false', () => {
-      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
-      const originalValue = process.env['TSTYCHE_REPORTERS_MARKDOWN'];
+  describe('TstycheBaseReporter output', () => {
+    it('should write errors to the stderr option', () => {
+      let stdout = '';
+      let stderr = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheMochaReporter({}, {
+        stdout: { write: (chunk) => { stdout += chunk; } },
+        stderr: { write: (chunk) => { stderr += chunk; } },
+      });
+
+      reporter.on(['project:error', /** @type {any} */ ({ diagnostics: [{ text: 'Broken' }] })]);
+
+      assert.strictEqual(stdout, '\n');
+      assert.match(stderr, /Error: Broken/);
+    });
+
+    it('should write all output to the file in TSTYCHE_REPORTERS_OUTPUT', async () => {
+      const rootPath = await mkdtemp(path.join(tmpdir(), 'tstyche-output-'));
 
       try {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        process.env['TSTYCHE_REPORTERS_OUTPUT'] = 'logs/output.txt';
+
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheDotReporter({ rootPath });
+
+        reporter.on(['test:pass', /** @type {any} */ ({})]);
+        reporter.on(['project:error', /** @type {any} */ ({ diagnostics: [{ text: 'Broken' }] })]);
+        reporter.on(['test:fail', /** @type {any} */ ({})]);
+        reporter.on(['run:end', /** @type {any} */ ({})]);
+
+        // eslint-disable-next-line security/detect-non-literal-fs-filename -- Reads from a temporary directory
+        const output = await readFile(path.join(rootPath, 'logs', 'output.txt'), 'utf8');
+
+        assert.match(output, /^\.\n.*Error: Broken.*\nF\n\n\n$/);
+      } finally {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_OUTPUT'];
+        await rm(rootPath, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('TstycheBaseReporter options', () => {
+    it('should load options from tstyche-reporters.config.json in the root path', async () => {
+      const rootPath = await mkdtemp(path.join(tmpdir(), 'tstyche-config-'));
+
+      try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename -- Writes to a temporary directory
+        await writeFile(path.join(rootPath, 'tstyche-reporters.config.json'), JSON.stringify({
+          mode: 'markdown',
+          symbols: { passed: 'OK' },
+          wrapWidth: 3,
+        }));
+
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheBaseReporter({ rootPath });
+
+        assert.strictEqual(reporter.format.chalk, undefined);
+        assert.deepStrictEqual(reporter.config, {
+          mode: 'markdown',
+          wrapWidth: 3,
+          symbols: { passed: 'OK' },
+          indentation: 2,
+          errorsInline: true,
+          output: undefined,
+          knownFailures: undefined,
+          summary: false,
+          slow: 75,
+          slowest: 0,
+          quiet: false,
+          verbose: false,
+          matrixDiff: false,
+          jsonMode: 'aggregate',
+          jsonOutput: undefined,
+          junitOutput: undefined,
+          recordingOutput: undefined,
+          baseline: undefined,
+          failOnRegressions: false,
+          reporters: [],
+        });
+      } finally {
+        await rm(rootPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should let environment variables override the config file and reporter options override both', async () => {
+      const rootPath = await mkdtemp(path.join(tmpdir(), 'tstyche-config-'));
+
+      try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename -- Writes to a temporary directory
+        await writeFile(path.join(rootPath, 'custom.json'), JSON.stringify({ mode: 'markdown', indentation: 4, wrapWidth: 3 }));
+
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        process.env['TSTYCHE_REPORTERS_CONFIG'] = 'custom.json';
         // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
         process.env['TSTYCHE_REPORTERS_MARKDOWN'] = 'false';
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        process.env['TSTYCHE_REPORTERS_WRAP_WIDTH'] = '5';
+
         // @ts-expect-error Test fixture, not a full ResolvedConfig
-        const reporter = new TstycheBaseReporter({});
+        const reporter = new TstycheBaseReporter({ rootPath }, { config: { wrapWidth: 7 } });
 
-        assert.ok(reporter.format);
-        // Verify CLI mode is enabled (chalk is defined in CLI mode)
-        assert.ok(reporter.format.chalk);
+        assert.strictEqual(reporter.config.mode, 'cli');
+        assert.strictEqual(reporter.config.indentation, 4);
+        assert.strictEqual(reporter.config.wrapWidth, 7);
       } finally {
-        if (originalValue === undefined) {
-          // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
-          delete process.env['TSTYCHE_REPORTERS_MARKDOWN'];
-        } else {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_CONFIG'];
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_MARKDOWN'];
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_WRAP_WIDTH'];
+        await rm(rootPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should throw clear errors for invalid and unknown options', () => {
+      assert.throws(
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        () => new TstycheBaseReporter({}, { config: { wrapWidth: -1 } }),
+        { message: 'Invalid tstyche-reporters option \'wrapWidth\' in reporter options: Expected a non-negative integer, got -1' }
+      );
+      assert.throws(
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        () => new TstycheBaseReporter({ tstycheReporters: { colors: true } }),
+        { message: 'Unknown tstyche-reporters option \'colors\' in the \'tstycheReporters\' key of the TSTyche configuration' }
+      );
+    });
+
+    it('should throw a clear error for an invalid environment variable', () => {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_MODE'] = 'html';
+
+      try {
+        assert.throws(
+          // @ts-expect-error Test fixture, not a full ResolvedConfig
+          () => new TstycheBaseReporter({}),
+          { message: 'Invalid tstyche-reporters option \'mode\' in environment variables: Expected one of \'auto\', \'cli\', \'markdown\', \'plain\', got "html"' }
+        );
+      } finally {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_MODE'];
+      }
+    });
+
+    it('should read the options of individual reporters from their environment variables', () => {
+      const env = {
+        TSTYCHE_REPORTERS_JSON_MODE: 'ndjson',
+        TSTYCHE_REPORTERS_JSON_OUTPUT: 'reports/types.json',
+        TSTYCHE_REPORTERS_JUNIT_OUTPUT: 'reports/types.xml',
+        TSTYCHE_REPORTERS_MATRIX_DIFF: 'true',
+        TSTYCHE_REPORTERS_RECORDING_OUTPUT: 'reports/types.ndjson',
+        TSTYCHE_REPORTERS_SLOW: '200',
+        TSTYCHE_REPORTERS_SLOWEST: '0',
+        TSTYCHE_REPORTERS_SUMMARY: 'true',
+      };
+
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      Object.assign(process.env, env);
+
+      try {
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheBaseReporter({}, { config: { slowest: 3 } });
+
+        assert.deepStrictEqual(
+          {
+            jsonMode: reporter.config.jsonMode,
+            jsonOutput: reporter.config.jsonOutput,
+            junitOutput: reporter.config.junitOutput,
+            matrixDiff: reporter.config.matrixDiff,
+            recordingOutput: reporter.config.recordingOutput,
+            slow: reporter.config.slow,
+            slowest: reporter.config.slowest,
+            summary: reporter.config.summary,
+          },
+          { jsonMode: 'ndjson', jsonOutput: 'reports/types.json', junitOutput: 'reports/types.xml', matrixDiff: true, recordingOutput: 'reports/types.ndjson', slow: 200, slowest: 3, summary: true }
+        );
+
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        process.env['TSTYCHE_REPORTERS_SLOW'] = 'fast';
+
+        assert.throws(
+          // @ts-expect-error Test fixture, not a full ResolvedConfig
+          () => new TstycheBaseReporter({}),
+          { message: 'Invalid tstyche-reporters option \'slow\' in environment variables: Expected a positive integer, got "fast"' }
+        );
+      } finally {
+        for (const key of Object.keys(env)) {
           // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
-          process.env['TSTYCHE_REPORTERS_MARKDOWN'] = originalValue;
+          delete process.env[key];
+        }
+      }
+    });
+
+    it('should apply the wrap width, symbols, indentation and errors inline options', () => {
+      let stdout = '';
+      let stderr = '';
+      const streams = {
+        stdout: { write: (/** @type {string} */ chunk) => { stdout += chunk; } },
+        stderr: { write: (/** @type {string} */ chunk) => { stderr += chunk; } },
+      };
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const dotReporter = new TstycheDotReporter({}, { ...streams, config: { wrapWidth: 2, symbols: { failed: 'X' } } });
+
+      for (const event of ['test:pass', 'test:pass', 'test:fail']) {
+        dotReporter.on(/** @type {any} */ ([event, {}]));
+      }
+
+      assert.strictEqual(stdout, '..\nX');
+
+      stdout = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const mochaReporter = new TstycheMochaReporter({}, { ...streams, config: { errorsInline: false, indentation: 4, mode: 'cli', symbols: { passed: 'OK' } } });
+
+      mochaReporter.on(['describe:start', /** @type {any} */ ({ result: { describe: { name: 'Math' } } })]);
+      mochaReporter.on(['test:pass', /** @type {any} */ ({ result: { test: { name: 'adds' } } })]);
+      mochaReporter.on(['project:error', /** @type {any} */ ({ diagnostics: [{ text: 'Broken' }] })]);
+
+      assert.strictEqual(stderr, '');
+
+      mochaReporter.on(['run:end', /** @type {any} */ ({})]);
+
+      assert.ok(stripVTControlCharacters(stdout).split('\n').includes('    OK adds'));
+      assert.match(stderr, /Error: Broken/);
+    });
+  });
+
+  describe('TstycheBaseReporter watch mode', () => {
+    it('should print a header per run and the tests that newly fail or got fixed', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheDotReporter({ rootPath: path.resolve('/project'), watch: true }, {
+        stdout: { isTTY: true, write: (chunk) => { output += chunk; } },
+        config: { mode: 'cli' },
+      });
+
+      for (const event of watchEvents(['test:pass', 'test:fail'])) {
+        reporter.on(event);
+      }
+
+      assert.deepStrictEqual(stripVTControlCharacters(output).split('\n'), [
+        '',
+        'Watch run #1',
+        '',
+        'Running 1 file',
+        '.F',
+        '',
+        '',
+        '',
+      ]);
+
+      output = '';
+
+      for (const event of watchEvents(['test:fail', 'test:pass'])) {
+        reporter.on(event);
+      }
+
+      assert.ok(output.startsWith('\u001B[2J\u001B[3J\u001B[H'));
+      assert.deepStrictEqual(stripVTControlCharacters(output).split('\n'), [
+        '',
+        'Watch run #2',
+        '',
+        'Changed files:',
+        '  typetests/a.test.ts',
+        'F.',
+        '',
+        '',
+        '',
+        'Newly failing',
+        '',
+        `  ${stripVTControlCharacters(reporter.format.logSymbols.error)} Math › first (typetests/a.test.ts)`,
+        '',
+        'Newly fixed',
+        '',
+        `  ${stripVTControlCharacters(reporter.format.logSymbols.success)} Math › second (typetests/a.test.ts)`,
+        '',
+        '',
+      ]);
+    });
+
+    it('should not render watch mode outside of it or in reporters that opt out', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheDotReporter({ rootPath: path.resolve('/project') }, {
+        stdout: { write: (chunk) => { output += chunk; } },
+      });
+
+      for (const event of [...watchEvents(['test:pass']), ...watchEvents(['test:fail'])]) {
+        reporter.on(event);
+      }
+
+      assert.strictEqual(output, '.\n\n\nF\n\n\n');
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      assert.strictEqual(new TstycheJsonReporter({ watch: true }, { stdout: { write: () => {} } })._shouldRenderWatchMode(), false);
+    });
+  });
+
+  describe('TstycheBaseReporter code frames', () => {
+    it('should render surrounding lines with a caret under the failing range', () => {
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new CodeFrameReporter({ rootPath: path.resolve('/project') }, { config: { mode: 'cli' } });
+
+      assert.deepStrictEqual(stripVTControlCharacters(reporter.formatCodeFrame(codeFrameDiagnostic) ?? '').split('\n'), [
+        'typetests/a.test.ts:3:8',
+        '  1 | one',
+        '  2 | two',
+        '> 3 | \tthree(four);',
+        '    | \t      ^^^^',
+        '  4 | five',
+        '  5 | six',
+      ]);
+    });
+
+    it('should render a fenced ts block in markdown mode', () => {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_MARKDOWN'] = 'true';
+
+      try {
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new CodeFrameReporter({ rootPath: path.resolve('/project') });
+
+        assert.match(reporter.formatCodeFrame(codeFrameDiagnostic) ?? '', /^`typetests\/a\.test\.ts:3:8`\n\n```ts\n {2}1 \| one\n[^`]+\n```$/);
+      } finally {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_MARKDOWN'];
+      }
+    });
+
+    it('should return undefined for diagnostics without origin', () => {
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new CodeFrameReporter({});
+
+      assert.strictEqual(reporter.formatCodeFrame({ text: 'Failed', category: 'error' }), undefined);
+    });
+  });
+
+  describe('TstycheBaseReporter summary', () => {
+    it('should tally test outcomes per TypeScript version and file', () => {
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheDotReporter({ rootPath: path.resolve('/project') }, {
+        stdout: { write: () => {} },
+        stderr: { write: () => {} },
+      });
+
+      for (const event of summaryEvents) {
+        reporter.on(event);
+      }
+
+      assert.deepStrictEqual(reporter.summary.total, { passed: 2, failed: 2, skipped: 1, todo: 1, fixme: 1, expected: 0, errors: 1 });
+      assert.deepStrictEqual(reporter.summary.versions.get('5.8.3'), { passed: 1, failed: 1, skipped: 1, todo: 0, fixme: 0, expected: 0, errors: 0 });
+      assert.deepStrictEqual(reporter.summary.versions.get('5.9.3'), { passed: 1, failed: 1, skipped: 0, todo: 1, fixme: 1, expected: 0, errors: 1 });
+      assert.deepStrictEqual([...reporter.summary.files.keys()], ['typetests/a.test.ts']);
+      assert.deepStrictEqual(reporter.summary.files.get('typetests/a.test.ts'), { passed: 2, failed: 2, skipped: 1, todo: 1, fixme: 1, expected: 0, errors: 0 });
+      assert.deepStrictEqual(reporter.summary.suppressed, { matched: 1, ignored: 0, failed: 0 });
+    });
+
+    it('should print the summary when TSTYCHE_REPORTERS_SUMMARY is true', () => {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_SUMMARY'] = 'true';
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_MARKDOWN'] = 'true';
+
+      try {
+        let output = '';
+
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheDotReporter({ rootPath: path.resolve('/project') }, {
+          stdout: { write: (chunk) => { output += chunk; } },
+          stderr: { write: () => {} },
+        });
+
+        for (const event of summaryEvents) {
+          reporter.on(event);
         }
+
+        const summary = output.slice(output.indexOf('## Summary'));
+
+        assert.match(summary, /^\* \*\*Tests:\*\* {2}2 passed, 2 failed, 1 skipped, 1 todo, 1 fixme \(7 total\)$/m);
+        assert.match(summary, /^\* \*\*Errors:\*\* 1$/m);
+        assert.match(summary, /^\* \*\*Suppressed:\*\* 1 matched, 0 failed, 0 ignored \(1 total\)$/m);
+        assert.match(summary, /^\| 5\.9\.3 +\| 1 +\| 1 +\| 0 +\| 1 +\| 1 +\| 1 +\|$/m);
+        assert.match(summary, /^\| typetests\/a\.test\.ts \| 2 +\| 2 +\| 1 +\| 1 +\| 1 +\| 0 +\|$/m);
+      } finally {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_SUMMARY'];
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_MARKDOWN'];
+      }
+    });
+
+    it('should not print the summary by default', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheDotReporter({}, {
+        stdout: { write: (chunk) => { output += chunk; } },
+        stderr: { write: () => {} },
+      });
+
+      for (const event of summaryEvents) {
+        reporter.on(event);
+      }
+
+      assert.doesNotMatch(output, /Summary/);
+    });
+  });
+
+  describe('TstycheBaseReporter known failures', () => {
+    /** @type {string} */
+    let directory;
+    /** @type {string} */
+    let knownFailuresPath;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(path.join(tmpdir(), 'tstyche-known-failures-'));
+      knownFailuresPath = path.join(directory, 'known-failures.json');
+      // eslint-disable-next-line security/detect-non-literal-fs-filename -- Temporary file
+      await writeFile(knownFailuresPath, JSON.stringify([
+        { name: 'Math › subtracts', typescript: '>=5.9', expires: '2099-12-31', reason: 'Upstream bug' },
+        { name: 'Math › adds', expires: '2099-12-31' },
+        { name: 'Math › divides', expires: '2000-01-01' },
+      ]));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should count matching failures as expected and warn about stale entries', () => {
+      const { reporter, stderr, stdout } = runReporter(TstycheDotReporter, knownFailureEvents('5.9.3'), { config: { knownFailures: knownFailuresPath } });
+
+      assert.strictEqual(stdout, '\nuses TypeScript 5.9.3 with ./tsconfig.json\n\n.fF\n\n\n');
+      assert.deepStrictEqual(reporter.summary.total, { passed: 1, failed: 1, skipped: 0, todo: 0, fixme: 0, expected: 1, errors: 0 });
+      assert.strictEqual(stderr, [
+        'Warning: Known failure Math › adds only matches passing tests, remove it from the known failures',
+        'Warning: Known failure Math › divides expired on 2000-01-01, the tests it matches are failures again',
+        '',
+      ].join('\n'));
+    });
+
+    it('should only match the TypeScript versions of an entry', () => {
+      const { reporter } = runReporter(TstycheDotReporter, knownFailureEvents('5.8.3'), { config: { knownFailures: knownFailuresPath } });
+
+      assert.strictEqual(reporter.summary.total.failed, 2);
+      assert.strictEqual(reporter.summary.total.expected, 0);
+    });
+
+    it('should print expected failures with their reason and leave them out of the failure epilogue', () => {
+      const { stdout } = runReporter(TstycheMochaReporter, knownFailureEvents('5.9.3'), { config: { knownFailures: knownFailuresPath } });
+
+      assert.ok(stdout.split('\n').includes('    ✗ subtracts (expected failure: Upstream bug)'));
+      assert.match(stdout, /1 failing/);
+      assert.doesNotMatch(stdout.slice(stdout.indexOf('1 failing')), /subtracts/);
+    });
+
+    it('should add expected failures to the summary', () => {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_SUMMARY'] = 'true';
+
+      try {
+        const { stdout } = runReporter(TstycheDotReporter, knownFailureEvents('5.9.3'), { config: { knownFailures: knownFailuresPath } });
+
+        assert.match(stdout, /1 passed, 1 failed, 0 skipped, 0 todo, 0 fixme, 1 expected \(3 total\)/);
+        assert.match(stdout, /Expected/);
+      } finally {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_SUMMARY'];
       }
     });
   });
 
   describe('TstycheDotReporter', () => {
+    it('should write distinct characters for each test outcome', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheDotReporter({}, {
+        stdout: { write: (chunk) => { output += chunk; } },
+      });
+
+      for (const event of ['test:pass', 'test:fail', 'test:skip', 'test:todo', 'test:fixme']) {
+        reporter.on(/** @type {any} */ ([event, {}]));
+      }
+
+      assert.strictEqual(output, '.F*-x');
+    });
+
     it('should extend TstycheBaseReporter', () => {
       // @ts-expect-error Test fixture, not a full ResolvedConfig
       const reporter = new TstycheDotReporter({});
@@ -113,6 +820,401 @@ describe('tstyche-reporters', () => {
   });
 
   describe('TstycheMochaReporter', () => {
+    it('should print a numbered failure epilogue when the run ends', () => {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_MARKDOWN'] = 'true';
+
+      try {
+        let output = '';
+
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheMochaReporter({ rootPath: path.resolve('/project') }, {
+          stdout: { write: (chunk) => { output += chunk; } },
+        });
+
+        const failingTest = { test: { name: 'fails' } };
+        const brokenTest = { test: { name: 'broken' } };
+
+        /** @type {any[]} */
+        const events = [
+          ['run:start', {}],
+          ['project:uses', { compilerVersion: '5.8.3' }],
+          ['file:start', { result: { file: { path: path.resolve('/project/typetests/a.test.ts') } } }],
+          ['describe:start', { result: { describe: { name: 'Math' } } }],
+          ['expect:fail', { result: { parent: failingTest }, diagnostics: [{ text: 'Type mismatch', category: 'error' }] }],
+          ['test:fail', { result: failingTest }],
+          ['describe:end', {}],
+          ['test:error', { result: brokenTest, diagnostics: [{ text: 'Broken', category: 'error' }] }],
+          ['run:end', {}],
+        ];
+
+        for (const event of events) {
+          reporter.on(event);
+        }
+
+        const epilogue = output.slice(output.indexOf('## 2 failing'));
+
+        assert.strictEqual(epilogue, [
+          '## 2 failing',
+          '',
+          '**1) Math › fails**',
+          '',
+          'TypeScript 5.8.3, typetests/a.test.ts',
+          '',
+          '```',
+          'Type mismatch [error]',
+          '```',
+          '',
+          '**2) broken**',
+          '',
+          'TypeScript 5.8.3, typetests/a.test.ts',
+          '',
+          '```',
+          'Broken [error]',
+          '```',
+          '',
+          '',
+        ].join('\n'));
+      } finally {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_MARKDOWN'];
+      }
+    });
+
+    it('should show durations of slow tests and list the slowest tests', () => {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_MARKDOWN'] = 'true';
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_SLOWEST'] = '2';
+
+      try {
+        let output = '';
+
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheMochaReporter({ rootPath: path.resolve('/project') }, {
+          stdout: { write: (chunk) => { output += chunk; } },
+        });
+
+        /** @type {any[]} */
+        const events = [
+          ['run:start', {}],
+          ['target:start', { result: { timing: { start: 1000 } } }],
+          ['project:uses', { compilerVersion: '5.9.3' }],
+          ['file:start', { result: { file: { path: path.resolve('/project/typetests/a.test.ts') } } }],
+          ['test:pass', { result: { test: { name: 'fast' }, timing: { start: 1000, end: 1010 } } }],
+          ['test:pass', { result: { test: { name: 'medium' }, timing: { start: 1000, end: 1050 } } }],
+          ['test:pass', { result: { test: { name: 'slow' }, timing: { start: 1000, end: 1100 } } }],
+          ['file:end', { result: { timing: { start: 1000, end: 2500 } } }],
+          ['target:end', { result: { timing: { start: 1000, end: 3000 } } }],
+          ['run:end', {}],
+        ];
+
+        for (const event of events) {
+          reporter.on(event);
+        }
+
+        assert.match(output, /^:white_check_mark: fast$/m);
+        assert.match(output, /^:white_check_mark: medium \(50ms\)$/m);
+        assert.match(output, /^:white_check_mark: slow \(100ms\)$/m);
+        assert.ok(output.includes([
+          '### Slowest tests',
+          '',
+          '* **100ms** slow (TypeScript 5.9.3, typetests/a.test.ts)',
+          '* **50ms** medium (TypeScript 5.9.3, typetests/a.test.ts)',
+          '',
+          '### Slowest files',
+          '',
+          '* **1.5s** typetests/a.test.ts (TypeScript 5.9.3)',
+          '',
+          '### TypeScript versions',
+          '',
+          '* **2.0s** TypeScript 5.9.3',
+        ].join('\n')));
+      } finally {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_MARKDOWN'];
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_SLOWEST'];
+      }
+    });
+
+    it('should not list the slowest tests unless the slowest option is set', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheMochaReporter({}, {
+        stdout: { write: (chunk) => { output += chunk; } },
+      });
+
+      reporter.on(['test:pass', /** @type {any} */ ({ result: { test: { name: 'passes' }, timing: { start: 1000, end: 1200 } } })]);
+      reporter.on(['run:end', /** @type {any} */ ({})]);
+
+      assert.doesNotMatch(output, /Durations|Slowest/);
+    });
+
+    it('should not print a failure epilogue when nothing failed', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheMochaReporter({}, {
+        stdout: { write: (chunk) => { output += chunk; } },
+      });
+
+      reporter.on(['run:start', /** @type {any} */ ({})]);
+      reporter.on(['test:pass', /** @type {any} */ ({ result: { test: { name: 'passes' } } })]);
+      reporter.on(['run:end', /** @type {any} */ ({})]);
+
+      assert.doesNotMatch(output, /failing/);
+    });
+
+    it('should only print failing tests and the describe blocks they are in when quiet', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheMochaReporter({}, {
+        stdout: { write: (chunk) => { output += chunk; } },
+        stderr: { write: (chunk) => { output += chunk; } },
+        config: { mode: 'cli', quiet: true },
+      });
+
+      /** @type {any[]} */
+      const events = [
+        ['describe:start', { result: { describe: { name: 'Passing' } } }],
+        ['test:pass', { result: { test: { name: 'passes' } } }],
+        ['describe:end', {}],
+        ['describe:start', { result: { describe: { name: 'Outer' } } }],
+        ['describe:start', { result: { describe: { name: 'Inner' } } }],
+        ['test:skip', { result: { test: { name: 'skipped' } } }],
+        ['test:fail', { result: { test: { name: 'fails' } } }],
+        ['test:pass', { result: { test: { name: 'passes too' } } }],
+        ['describe:end', {}],
+        ['test:error', { result: { test: { name: 'errors' } }, diagnostics: [{ text: 'Broken' }] }],
+        ['describe:end', {}],
+      ];
+
+      for (const event of events) {
+        reporter.on(event);
+      }
+
+      assert.deepStrictEqual(stripVTControlCharacters(output).split('\n'), [
+        '',
+        'Outer',
+        '',
+        '',
+        '  Inner',
+        '',
+        `    ${stripVTControlCharacters(reporter.format.logSymbols.error)} fails`,
+        '',
+        'Error: Broken',
+        '',
+      ]);
+    });
+
+    it('should print file headers between TypeScript version and describe headers', () => {
+      /** @type {any[]} */
+      const events = [
+        ['project:uses', { compilerVersion: '5.9.3' }],
+        ['file:start', { result: { file: { path: path.resolve('/project/typetests/a.test.ts') } } }],
+        ['test:pass', { result: { test: { name: 'top level' } } }],
+        ['describe:start', { result: { describe: { name: 'Outer' } } }],
+        ['describe:start', { result: { describe: { name: 'Inner' } } }],
+        ['test:pass', { result: { test: { name: 'nested' } } }],
+        ['describe:end', {}],
+        ['describe:end', {}],
+      ];
+
+      /**
+       * @param {'cli' | 'markdown'} mode
+       * @returns {string[]}
+       */
+      const runEvents = (mode) => {
+        let output = '';
+
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheMochaReporter({ rootPath: path.resolve('/project') }, {
+          stdout: { write: (chunk) => { output += chunk; } },
+          config: { mode },
+        });
+
+        for (const event of events) {
+          reporter.on(event);
+        }
+
+        return stripVTControlCharacters(output).split('\n');
+      };
+
+      assert.deepStrictEqual(runEvents('markdown'), [
+        '',
+        '# uses TypeScript 5.9.3 with ./tsconfig.json',
+        '',
+        '',
+        '## typetests/a.test.ts',
+        '',
+        ':white_check_mark: top level',
+        '',
+        '### Outer',
+        '',
+        '',
+        '#### Inner',
+        '',
+        ':white_check_mark: nested',
+        '',
+      ]);
+      assert.deepStrictEqual(runEvents('cli'), [
+        '',
+        'uses TypeScript 5.9.3 with ./tsconfig.json',
+        '',
+        '',
+        'typetests/a.test.ts',
+        '',
+        '  ✔ top level',
+        '',
+        '  Outer',
+        '',
+        '',
+        '    Inner',
+        '',
+        '      ✔ nested',
+        '',
+      ]);
+    });
+
+    it('should list the assertions of each test in verbose mode', () => {
+      const failingTest = { test: { name: 'fails' } };
+
+      /** @type {any[]} */
+      const events = [
+        ['expect:fail', { result: expectResult('expect<string>()\n  .type.toBe<number>()', 7, failingTest), diagnostics: [{ text: 'Type mismatch', category: 'error' }] }],
+        ['expect:pass', { result: expectResult('expect<number>().type.toBe<number>()', 8, failingTest) }],
+        ['test:fail', { result: failingTest }],
+      ];
+
+      /**
+       * @param {'cli' | 'markdown'} mode
+       * @param {boolean} verbose
+       * @returns {string[]}
+       */
+      const runEvents = (mode, verbose) => {
+        let output = '';
+
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheMochaReporter({ rootPath: path.resolve('/project') }, {
+          stdout: { write: (chunk) => { output += chunk; } },
+          config: { mode, verbose },
+        });
+
+        for (const event of events) {
+          reporter.on(event);
+        }
+
+        return stripVTControlCharacters(output).split('\n');
+      };
+
+      assert.deepStrictEqual(runEvents('cli', true), [
+        '✖ fails',
+        '  ✖ toBe expect<string>() .type.toBe<number>() typetests/a.test.ts:8:5',
+        '    Type mismatch [error]',
+        '  ✔ toBe expect<number>().type.toBe<number>() typetests/a.test.ts:9:5',
+        '',
+      ]);
+      assert.deepStrictEqual(runEvents('markdown', true), [
+        ':stop_sign: fails',
+        '* :stop_sign: **toBe** `expect<string>() .type.toBe<number>()` typetests/a.test.ts:8:5',
+        '  ```',
+        '  Type mismatch [error]',
+        '  ```',
+        '* :white_check_mark: **toBe** `expect<number>().type.toBe<number>()` typetests/a.test.ts:9:5',
+        '',
+        '',
+      ]);
+      assert.deepStrictEqual(runEvents('cli', false), ['✖ fails', '']);
+    });
+
+    it('should print checked suppressions and count them when the run ends', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheMochaReporter({ rootPath: path.resolve('/project') }, {
+        stdout: { write: (chunk) => { output += chunk; } },
+        config: { mode: 'cli' },
+      });
+
+      /** @type {any[]} */
+      const events = [
+        ['run:start', {}],
+        ['file:start', { result: { file: { path: path.resolve('/project/typetests/a.test.ts') } } }],
+        ['suppressed:match', { result: { suppressed: suppressedError(42, 'Type \'string\'') } }],
+        ['suppressed:ignore', { result: { suppressed: suppressedError(62, undefined, true) } }],
+        ['suppressed:error', { result: { suppressed: suppressedError(82, 'Nothing') }, diagnostics: [{ text: 'The diagnostic message did not match.', category: 'error' }] }],
+        ['file:end', {}],
+        ['run:end', {}],
+      ];
+
+      for (const event of events) {
+        reporter.on(event);
+      }
+
+      assert.deepStrictEqual(reporter.summary.suppressed, { matched: 1, ignored: 1, failed: 1 });
+      assert.deepStrictEqual(stripVTControlCharacters(output).split('\n').slice(0, 14), [
+        '',
+        'typetests/a.test.ts',
+        '',
+        '  ✔ // @ts-expect-error Type \'string\' typetests/a.test.ts:3:3',
+        '  - // @ts-expect-error! typetests/a.test.ts:4:3',
+        '  ✖ // @ts-expect-error Nothing typetests/a.test.ts:5:3',
+        '    The diagnostic message did not match. [error]',
+        '',
+        'Suppressed errors: 1 matched, 1 failed, 1 ignored (3 total)',
+        '',
+        '',
+        '1 failing',
+        '',
+        '1) // @ts-expect-error Nothing',
+      ]);
+    });
+
+    it('should render skipped, todo and fixme tests with distinct symbols', () => {
+      let output = '';
+
+      // @ts-expect-error Test fixture, not a full ResolvedConfig
+      const reporter = new TstycheMochaReporter({}, {
+        stdout: { write: (chunk) => { output += chunk; } },
+        config: { mode: 'cli' },
+      });
+
+      reporter.on(['test:skip', /** @type {any} */ ({ result: { test: { name: 'skipped one' } } })]);
+      reporter.on(['test:todo', /** @type {any} */ ({ result: { test: { name: 'todo one' } } })]);
+      reporter.on(['test:fixme', /** @type {any} */ ({ result: { test: { name: 'fixme one' } } })]);
+
+      assert.deepStrictEqual(
+        output.split('\n').map(line => stripVTControlCharacters(line)),
+        ['- skipped one', '✎ todo one', `${stripVTControlCharacters(reporter.format.logSymbols.warning)} fixme one`, '']
+      );
+    });
+
+    it('should render skipped, todo and fixme tests with distinct emoji in markdown mode', () => {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['TSTYCHE_REPORTERS_MARKDOWN'] = 'true';
+
+      try {
+        let output = '';
+
+        // @ts-expect-error Test fixture, not a full ResolvedConfig
+        const reporter = new TstycheMochaReporter({}, {
+          stdout: { write: (chunk) => { output += chunk; } },
+        });
+
+        reporter.on(['test:skip', /** @type {any} */ ({ result: { test: { name: 'skipped one' } } })]);
+        reporter.on(['test:todo', /** @type {any} */ ({ result: { test: { name: 'todo one' } } })]);
+        reporter.on(['test:fixme', /** @type {any} */ ({ result: { test: { name: 'fixme one' } } })]);
+
+        assert.strictEqual(output, ':heavy_minus_sign: skipped one\n:pencil2: todo one\n:warning: fixme one\n');
+      } finally {
+        // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+        delete process.env['TSTYCHE_REPORTERS_MARKDOWN'];
+      }
+    });
+
     it('should extend TstycheBaseReporter', () => {
       // @ts-expect-error Test fixture, not a full ResolvedConfig
       const reporter = new TstycheMochaReporter({});
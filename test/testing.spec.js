@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { TstycheBaseReporter, TstycheDotReporter, TstycheMochaReporter } from '../index.js';
+import {
+  TEST_ROOT_PATH,
+  createDescribeEvent,
+  createDiagnostic,
+  createErrorEvent,
+  createExpectEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createSourceFile,
+  createTestEvents,
+  createTestResult,
+  runReporter,
+} from '../lib/testing.js';
+
+/** @import { TstycheEventPayload } from '../lib/tstyche-base-reporter.js' */
+
+const sourceFile = createSourceFile('typetests/math.test.ts', 'import { expect } from "tstyche";\n\nexpect<number>().type.toBe<string>();\n');
+
+const events = [
+  createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+  createProjectUsesEvent('5.9.3'),
+  createFileEvent('start', 'typetests/math.test.ts'),
+  createDescribeEvent('start', 'Math'),
+  ...createTestEvents('pass', 'adds'),
+  ...createTestEvents('fail', 'subtracts', {
+    diagnostics: [createDiagnostic('Type mismatch', { origin: { sourceFile, start: 35, end: 71 } })],
+  }),
+  ...createTestEvents('skip', 'skipped'),
+  createDescribeEvent('end', 'Math'),
+  createErrorEvent('file:error', [createDiagnostic('Broken file')]),
+  createFileEvent('end', 'typetests/math.test.ts'),
+  createRunEvent('end'),
+];
+
+class NameReporter extends TstycheBaseReporter {
+  /**
+   * @override
+   * @param {TstycheEventPayload<'test:pass'>} payload
+   */
+  _onTestPass (payload) {
+    this._writeLine('pass: ' + payload.result.test.name);
+  }
+
+  /**
+   * @override
+   * @param {TstycheEventPayload<'test:fail'>} payload
+   */
+  _onTestFail (payload) {
+    this._writeLine('fail: ' + payload.result.test.name);
+  }
+
+  /** @override */
+  _onRunEnd () {
+    this._writeLine('done');
+  }
+}
+
+describe('testing', () => {
+  describe('createResolvedConfig()', () => {
+    it('should use the TSTyche defaults rooted at TEST_ROOT_PATH', () => {
+      const config = createResolvedConfig();
+
+      assert.strictEqual(config.rootPath, TEST_ROOT_PATH);
+      assert.strictEqual(config.configFilePath, path.join(TEST_ROOT_PATH, 'tstyche.config.json'));
+      assert.deepStrictEqual(config.target, ['*']);
+      assert.strictEqual(config.verbose, false);
+    });
+
+    it('should apply overrides', () => {
+      const config = createResolvedConfig({ rootPath: path.resolve('/other'), verbose: true });
+
+      assert.strictEqual(config.rootPath, path.resolve('/other'));
+      assert.strictEqual(config.configFilePath, path.join(path.resolve('/other'), 'tstyche.config.json'));
+      assert.strictEqual(config.verbose, true);
+    });
+  });
+
+  describe('createTestEvents()', () => {
+    it('should share one test result between the test and its assertions', () => {
+      const [start, expectStart, expectFail, end] = createTestEvents('fail', 'subtracts', {
+        diagnostics: [createDiagnostic('Type mismatch')],
+        duration: 12,
+      });
+
+      assert.deepStrictEqual([start?.[0], expectStart?.[0], expectFail?.[0], end?.[0]], ['test:start', 'expect:start', 'expect:fail', 'test:fail']);
+      assert.ok(expectFail?.[0] === 'expect:fail' && end?.[0] === 'test:fail');
+      assert.strictEqual(expectFail[1].result.parent, end[1].result);
+      assert.deepStrictEqual(expectFail[1].diagnostics.map(diagnostic => diagnostic.text), ['Type mismatch']);
+      assert.deepStrictEqual(end[1].result.timing, { start: 1_000_000, end: 1_000_012 });
+    });
+  });
+
+  describe('createExpectEvent()', () => {
+    it('should locate the assertion in its source file', () => {
+      const [, { result }] = createExpectEvent('pass', createTestResult('adds'), {
+        source: 'expect<number>().type.toBe<string>()',
+        sourceFile,
+      });
+      const file = result.expect.node.getSourceFile();
+
+      assert.strictEqual(result.expect.matcherNameNode.name.text, 'toBe');
+      assert.strictEqual(file.fileName, path.join(TEST_ROOT_PATH, 'typetests/math.test.ts'));
+      assert.deepStrictEqual(file.getLineAndCharacterOfPosition(result.expect.matcherNode.getStart(file)), { line: 2, character: 0 });
+    });
+  });
+
+  describe('runReporter()', () => {
+    it('should capture stdout and stderr in plain mode', () => {
+      const { reporter, stderr, stdout } = runReporter(TstycheDotReporter, events);
+
+      assert.ok(reporter instanceof TstycheDotReporter);
+      assert.strictEqual(reporter.outputMode, 'plain');
+      assert.strictEqual(stdout, '\nuses TypeScript 5.9.3 with ./tsconfig.json\n\n.F*\n\n\n');
+      assert.strictEqual(stderr, 'Error: Broken file [error]\n');
+    });
+
+    it('should render diagnostic locations relative to the fake root', () => {
+      const { stdout } = runReporter(TstycheMochaReporter, events);
+
+      assert.ok(stdout.includes('1) Math › subtracts\n  TypeScript 5.9.3, typetests/math.test.ts:3:1\n'));
+      assert.ok(stdout.includes('  > 3 | expect<number>().type.toBe<string>();\n'));
+    });
+
+    it('should run custom subclasses', () => {
+      const { stdout } = runReporter(NameReporter, events);
+
+      assert.strictEqual(stdout, '\nuses TypeScript 5.9.3 with ./tsconfig.json\n\npass: adds\nfail: subtracts\ndone\n');
+    });
+  });
+});
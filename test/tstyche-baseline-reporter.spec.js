@@ -0,0 +1,231 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { TstycheBaseReporter, TstycheBaselineReporter } from '../index.js';
+import {
+  createDescribeEvent,
+  createDiagnostic,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createTestEvents,
+  runReporter,
+} from '../lib/testing.js';
+
+/** @import { ReporterEvent } from 'tstyche/tstyche' */
+
+/* eslint-disable n/no-process-env, security/detect-non-literal-fs-filename -- Baselines are read and written in a temporary directory */
+
+/**
+ * Create the events of a run of `typetests/math.test.ts` with a `Math` describe, per TypeScript version.
+ *
+ * @param {Record<string, Record<string, 'pass' | 'fail' | 'skip'>>} outcomes - Outcome of each test, per TypeScript version
+ * @returns {ReporterEvent[]}
+ */
+function createRun (outcomes) {
+  return [
+    createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+    ...Object.entries(outcomes).flatMap(([compilerVersion, tests]) => [
+      createProjectUsesEvent(compilerVersion),
+      createFileEvent('start', 'typetests/math.test.ts'),
+      createDescribeEvent('start', 'Math'),
+      ...Object.entries(tests).flatMap(([name, status]) => createTestEvents(status, name, {
+        diagnostics: status === 'fail' ? [createDiagnostic('Type mismatch')] : [],
+      })),
+      createDescribeEvent('end', 'Math'),
+      createFileEvent('end', 'typetests/math.test.ts'),
+    ]),
+    createRunEvent('end'),
+  ];
+}
+
+describe('TstycheBaselineReporter', () => {
+  /** @type {string} */
+  let directory;
+  /** @type {string} */
+  let baselinePath;
+  /** @type {string | number | undefined} */
+  let originalExitCode;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'tstyche-baseline-'));
+    baselinePath = path.join(directory, 'baseline.json');
+    originalExitCode = process.exitCode;
+    process.env['TSTYCHE_REPORTERS_BASELINE'] = baselinePath;
+  });
+
+  afterEach(async () => {
+    delete process.env['TSTYCHE_REPORTERS_BASELINE'];
+    delete process.env['TSTYCHE_REPORTERS_BASELINE_FAIL_ON_REGRESSIONS'];
+    process.exitCode = originalExitCode;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should extend TstycheBaseReporter', () => {
+    const reporter = new TstycheBaselineReporter(createResolvedConfig(), { stdout: { write: () => {} } });
+
+    assert.ok(reporter instanceof TstycheBaseReporter);
+  });
+
+  it('should write a sorted baseline when there is none', async () => {
+    const { stderr, stdout } = runReporter(TstycheBaselineReporter, createRun({
+      '5.9.3': { subtracts: 'fail', adds: 'pass' },
+      '5.8.3': { adds: 'skip' },
+    }));
+
+    assert.strictEqual(stderr, '');
+    assert.strictEqual(stdout, `\nBaseline\n\nNo baseline found, wrote 3 tests to ${path.relative(path.resolve('/project'), baselinePath)}\n\n`);
+    assert.deepStrictEqual(JSON.parse(await readFile(baselinePath, 'utf8')), {
+      schemaVersion: 1,
+      tests: [
+        { file: 'typetests/math.test.ts', describe: ['Math'], test: 'adds', compilerVersion: '5.8.3', status: 'skipped' },
+        { file: 'typetests/math.test.ts', describe: ['Math'], test: 'adds', compilerVersion: '5.9.3', status: 'passed' },
+        { file: 'typetests/math.test.ts', describe: ['Math'], test: 'subtracts', compilerVersion: '5.9.3', status: 'failed' },
+      ],
+    });
+  });
+
+  it('should print the tests whose outcome changed and update the baseline', async () => {
+    runReporter(TstycheBaselineReporter, createRun({
+      '5.8.3': { adds: 'pass', subtracts: 'pass' },
+      '5.9.3': { adds: 'fail', divides: 'pass' },
+    }));
+
+    const { stdout } = runReporter(TstycheBaselineReporter, createRun({
+      '5.8.3': { adds: 'fail', subtracts: 'pass', multiplies: 'pass' },
+      '5.9.3': { adds: 'pass' },
+    }));
+
+    const relativePath = path.relative(path.resolve('/project'), baselinePath);
+
+    assert.strictEqual(stdout, [
+      '',
+      'Baseline',
+      '',
+      `Compared with ${relativePath}: 1 newly failing, 1 newly passing, 1 added, 1 removed`,
+      '',
+      'Newly failing',
+      '',
+      '  ✖ Math › adds (TypeScript 5.8.3, typetests/math.test.ts)',
+      '',
+      'Newly passing',
+      '',
+      '  ✔ Math › adds (TypeScript 5.9.3, typetests/math.test.ts)',
+      '',
+      'Added',
+      '',
+      '  ✔ Math › multiplies (TypeScript 5.8.3, typetests/math.test.ts)',
+      '',
+      'Removed',
+      '',
+      '  ✔ Math › divides (TypeScript 5.9.3, typetests/math.test.ts)',
+      '',
+      '',
+    ].join('\n'));
+
+    const { tests } = JSON.parse(await readFile(baselinePath, 'utf8'));
+    assert.deepStrictEqual(tests.map((/** @type {{ test: string, compilerVersion: string }} */ test) => `${test.test}@${test.compilerVersion}`), [
+      'adds@5.8.3',
+      'multiplies@5.8.3',
+      'subtracts@5.8.3',
+      'adds@5.9.3',
+    ]);
+  });
+
+  it('should print when nothing changed', () => {
+    const run = createRun({ '5.9.3': { adds: 'pass', subtracts: 'fail' } });
+
+    runReporter(TstycheBaselineReporter, run);
+    const { stdout } = runReporter(TstycheBaselineReporter, run);
+
+    assert.strictEqual(stdout, `\nBaseline\n\nNo changes compared with ${path.relative(path.resolve('/project'), baselinePath)}\n\n`);
+  });
+
+  it('should compare every run of watch mode with the one before it', () => {
+    const { stdout } = runReporter(TstycheBaselineReporter, [
+      ...createRun({ '5.9.3': { adds: 'pass' } }),
+      ...createRun({ '5.9.3': { adds: 'fail' } }),
+    ]);
+
+    assert.ok(stdout.includes('No baseline found, wrote 1 test to '));
+    assert.ok(stdout.includes('  ✖ Math › adds (TypeScript 5.9.3, typetests/math.test.ts)'));
+  });
+
+  it('should reject invalid baseline files', async () => {
+    await writeFile(baselinePath, JSON.stringify({ schemaVersion: 2, tests: [] }));
+
+    assert.throws(
+      () => new TstycheBaselineReporter(createResolvedConfig()),
+      { message: `Invalid baseline file ${baselinePath}: Unsupported schema version 2, expected 1` }
+    );
+
+    await writeFile(baselinePath, JSON.stringify({ schemaVersion: 1, tests: [{ test: 'adds' }] }));
+
+    assert.throws(
+      () => new TstycheBaselineReporter(createResolvedConfig()),
+      { message: `Invalid baseline file ${baselinePath}: Invalid test at index 0` }
+    );
+  });
+
+  describe('failing on regressions', () => {
+    it('should fail the run and keep the baseline when there are regressions', async () => {
+      runReporter(TstycheBaselineReporter, createRun({ '5.9.3': { adds: 'pass' } }));
+      const baseline = await readFile(baselinePath, 'utf8');
+
+      process.exitCode = 0;
+      const { stderr } = runReporter(TstycheBaselineReporter, createRun({ '5.9.3': { adds: 'fail', subtracts: 'fail' } }), { config: { failOnRegressions: true } });
+
+      assert.strictEqual(stderr, `Error: 2 regressions compared with the baseline, ${path.relative(path.resolve('/project'), baselinePath)} was not updated\n`);
+      assert.strictEqual(process.exitCode, 1);
+      assert.strictEqual(await readFile(baselinePath, 'utf8'), baseline);
+    });
+
+    it('should read the option from its environment variable', async () => {
+      runReporter(TstycheBaselineReporter, createRun({ '5.9.3': { adds: 'pass' } }));
+
+      process.env['TSTYCHE_REPORTERS_BASELINE_FAIL_ON_REGRESSIONS'] = 'true';
+      process.exitCode = 0;
+      const { stderr } = runReporter(TstycheBaselineReporter, createRun({ '5.9.3': { adds: 'fail' } }));
+
+      assert.match(stderr, /^Error: 1 regression compared with the baseline/);
+      assert.strictEqual(process.exitCode, 1);
+
+      process.env['TSTYCHE_REPORTERS_BASELINE_FAIL_ON_REGRESSIONS'] = 'sometimes';
+
+      assert.throws(
+        () => new TstycheBaselineReporter(createResolvedConfig()),
+        { message: 'Invalid tstyche-reporters option \'failOnRegressions\' in environment variables: Expected a boolean, got "sometimes"' }
+      );
+    });
+
+    it('should never lower the exit code set by others', () => {
+      runReporter(TstycheBaselineReporter, createRun({ '5.9.3': { adds: 'fail', subtracts: 'pass' } }));
+
+      process.exitCode = 1;
+      const { stderr } = runReporter(TstycheBaselineReporter, createRun({ '5.9.3': { adds: 'fail', subtracts: 'skip' } }), { config: { failOnRegressions: true } });
+
+      assert.strictEqual(stderr, '');
+      assert.strictEqual(process.exitCode, 1);
+    });
+
+    it('should not count known failures as regressions', async () => {
+      const knownFailuresPath = path.join(directory, 'known-failures.json');
+      await writeFile(knownFailuresPath, JSON.stringify([{ name: 'Math › adds', expires: '2099-12-31' }]));
+
+      runReporter(TstycheBaselineReporter, createRun({ '5.9.3': { adds: 'pass' } }));
+
+      process.exitCode = 0;
+      const { stderr } = runReporter(TstycheBaselineReporter, createRun({ '5.9.3': { adds: 'fail' } }), { config: { failOnRegressions: true, knownFailures: knownFailuresPath } });
+
+      assert.strictEqual(stderr, '');
+      assert.strictEqual(process.exitCode, 0);
+
+      const { tests } = JSON.parse(await readFile(baselinePath, 'utf8'));
+      assert.strictEqual(tests[0].status, 'expected');
+    });
+  });
+});
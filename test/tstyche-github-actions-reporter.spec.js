@@ -0,0 +1,162 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { TstycheBaseReporter, TstycheGithubActionsReporter } from '../index.js';
+import {
+  createDescribeEvent,
+  createDiagnostic,
+  createErrorEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createSourceFile,
+  createTestEvent,
+  createTestEvents,
+  createTestResult,
+  runReporter,
+} from '../lib/testing.js';
+
+/** @import { Diagnostic, ReporterEvent } from 'tstyche/tstyche' */
+
+const rootPath = path.resolve('/project');
+
+// Every line is 10 characters long, including its line break
+const sourceFile = createSourceFile('typetests/a.test.ts', '123456789\n'.repeat(5));
+
+/**
+ * @param {string} text
+ * @param {'error' | 'warning'} [category]
+ * @returns {Diagnostic}
+ */
+const diagnosticAt = (text, category = 'error') => createDiagnostic(text, { category, origin: { sourceFile, start: 14, end: 20 } });
+
+/**
+ * @param {ReporterEvent[]} events
+ * @returns {string[]}
+ */
+const runEvents = (events) => runReporter(TstycheGithubActionsReporter, events).stdout.split('\n').slice(0, -1);
+
+describe('TstycheGithubActionsReporter', () => {
+  /** @type {string | undefined} */
+  let originalWorkspace;
+
+  beforeEach(() => {
+    // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+    originalWorkspace = process.env['GITHUB_WORKSPACE'];
+    // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+    delete process.env['GITHUB_WORKSPACE'];
+  });
+
+  afterEach(() => {
+    if (originalWorkspace !== undefined) {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['GITHUB_WORKSPACE'] = originalWorkspace;
+    }
+  });
+
+  it('should extend TstycheBaseReporter', () => {
+    const reporter = new TstycheGithubActionsReporter(createResolvedConfig());
+
+    assert.ok(reporter instanceof TstycheBaseReporter);
+  });
+
+  it('should annotate failed assertions with location and versioned title', () => {
+    const output = runEvents([
+      createRunEvent('start'),
+      createProjectUsesEvent('5.8.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      createDescribeEvent('start', 'Math'),
+      ...createTestEvents('pass', 'adds'),
+      ...createTestEvents('fail', 'fails, badly', { diagnostics: [diagnosticAt('Line one\nLine two')] }),
+      createDescribeEvent('end', 'Math'),
+      createFileEvent('end', 'typetests/a.test.ts'),
+      createRunEvent('end'),
+    ]);
+
+    assert.deepStrictEqual(output, [
+      '::error file=typetests/a.test.ts,line=2,endLine=3,col=5,endColumn=1,title=TypeScript 5.8.3%3A Math › fails%2C badly::Line one%0ALine two [error]',
+    ]);
+  });
+
+  it('should annotate a failed test without annotated assertions', () => {
+    const output = runEvents([
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/b.test.ts'),
+      createTestEvent('fail', createTestResult('top level')),
+    ]);
+
+    assert.deepStrictEqual(output, [
+      '::error file=typetests/b.test.ts,title=TypeScript 5.9.3%3A top level::Test failed',
+    ]);
+  });
+
+  it('should annotate error events, as warnings when the category is warning', () => {
+    const output = runEvents([
+      createProjectUsesEvent('5.9.3'),
+      createErrorEvent('project:error', [createDiagnostic('100%')]),
+      createErrorEvent('file:error', [diagnosticAt('Careful', 'warning')]),
+    ]);
+
+    assert.deepStrictEqual(output, [
+      '::error title=TypeScript 5.9.3%3A project%3Aerror::100%25 [error]',
+      '::warning file=typetests/a.test.ts,line=2,endLine=3,col=5,endColumn=1,title=TypeScript 5.9.3%3A file%3Aerror::Careful [warning]',
+    ]);
+  });
+
+  it('should annotate known failures as notices and stale entries as warnings', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-github-actions-'));
+    const knownFailuresPath = path.join(directory, 'known-failures.json');
+
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename -- Writes to a temporary directory
+      await writeFile(knownFailuresPath, JSON.stringify([
+        { name: 'Math › *', expires: '2099-12-31', reason: 'Upstream bug' },
+        { name: 'Math › divides', expires: '2000-01-01' },
+      ]));
+
+      const { stdout } = runReporter(TstycheGithubActionsReporter, [
+        createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+        createProjectUsesEvent('5.9.3'),
+        createFileEvent('start', 'typetests/math.test.ts'),
+        createDescribeEvent('start', 'Math'),
+        ...createTestEvents('fail', 'subtracts', { diagnostics: [createDiagnostic('Type mismatch')] }),
+        createTestEvent('fail', createTestResult('multiplies')),
+        createDescribeEvent('end', 'Math'),
+        createFileEvent('end', 'typetests/math.test.ts'),
+        createRunEvent('end'),
+      ], { config: { knownFailures: knownFailuresPath } });
+
+      assert.deepStrictEqual(stdout.split('\n').slice(0, -1), [
+        '::notice file=typetests/math.test.ts,title=TypeScript 5.9.3%3A Math › subtracts::Type mismatch [error]',
+        '::notice file=typetests/math.test.ts,title=TypeScript 5.9.3%3A Math › multiplies::Expected failure: Upstream bug',
+        '::warning title=Known failures::Known failure Math › divides expired on 2000-01-01, the tests it matches are failures again',
+      ]);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should annotate files relative to GITHUB_WORKSPACE when it is set', () => {
+    const sourceFile = createSourceFile('typetests/math.test.ts', 'expect<number>().type.toBe<string>();\n');
+
+    // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+    process.env['GITHUB_WORKSPACE'] = path.dirname(rootPath);
+
+    const { stdout } = runReporter(TstycheGithubActionsReporter, [
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/math.test.ts'),
+      ...createTestEvents('fail', 'subtracts', { diagnostics: [createDiagnostic('Type mismatch', { origin: { sourceFile, start: 0, end: 6 } })] }),
+      createTestEvent('fail', createTestResult('divides')),
+      createFileEvent('end', 'typetests/math.test.ts'),
+    ]);
+
+    assert.deepStrictEqual(stdout.split('\n').slice(0, -1), [
+      `::error file=${path.join('project', 'typetests/math.test.ts')},line=1,endLine=1,col=1,endColumn=7,title=TypeScript 5.9.3%3A subtracts::Type mismatch [error]`,
+      `::error file=${path.join('project', 'typetests/math.test.ts')},title=TypeScript 5.9.3%3A divides::Test failed`,
+    ]);
+  });
+});
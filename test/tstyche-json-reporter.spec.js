@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { JSON_REPORTER_SCHEMA_VERSION, TstycheBaseReporter, TstycheJsonReporter } from '../index.js';
+import {
+  createDescribeEvent,
+  createDiagnostic,
+  createErrorEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createTestEvents,
+  runReporter,
+} from '../lib/testing.js';
+
+/** @import { ReporterConfig } from '../lib/config.js' */
+
+const events = [
+  createRunEvent('start'),
+  createProjectUsesEvent('5.8.3'),
+  createFileEvent('start', 'typetests/a.test.ts'),
+  createDescribeEvent('start', 'Math'),
+  ...createTestEvents('pass', 'adds', { duration: 2 }),
+  ...createTestEvents('fail', 'fails', { diagnostics: [createDiagnostic(['Type mismatch', 'Details'], { code: 'ts(2322)' })], duration: 5 }),
+  createDescribeEvent('end', 'Math'),
+  ...createTestEvents('skip', 'top level'),
+  createFileEvent('end', 'typetests/a.test.ts'),
+  createErrorEvent('project:error', [createDiagnostic('No tsconfig')]),
+  createRunEvent('end'),
+];
+
+/**
+ * @param {Partial<ReporterConfig>} [config]
+ * @returns {string}
+ */
+const runEvents = (config = {}) => {
+  const { stderr, stdout } = runReporter(TstycheJsonReporter, events, { config });
+
+  assert.strictEqual(stderr, '');
+
+  return stdout;
+};
+
+describe('TstycheJsonReporter', () => {
+  it('should extend TstycheBaseReporter', () => {
+    const reporter = new TstycheJsonReporter(createResolvedConfig());
+
+    assert.ok(reporter instanceof TstycheBaseReporter);
+  });
+
+  it('should write an aggregate report when the run ends', () => {
+    const report = JSON.parse(runEvents());
+
+    assert.strictEqual(report.schemaVersion, JSON_REPORTER_SCHEMA_VERSION);
+    assert.deepStrictEqual(report.compilerVersions, ['5.8.3']);
+    assert.deepStrictEqual(report.summary.total, { passed: 1, failed: 1, skipped: 1, todo: 0, fixme: 0, expected: 0, errors: 1 });
+    assert.deepStrictEqual(report.files, [
+      {
+        path: 'typetests/a.test.ts',
+        describes: [
+          {
+            name: 'Math',
+            describes: [],
+            tests: [
+              { name: 'adds', results: [{ compilerVersion: '5.8.3', status: 'passed', duration: 2, diagnostics: [] }] },
+              {
+                name: 'fails',
+                results: [{
+                  compilerVersion: '5.8.3',
+                  status: 'failed',
+                  duration: 5,
+                  diagnostics: [{ message: 'Type mismatch\nDetails', formatted: 'Type mismatch (ts(2322))\nDetails [error]', category: 'error', code: 'ts(2322)' }],
+                }],
+              },
+            ],
+          },
+        ],
+        tests: [
+          { name: 'top level', results: [{ compilerVersion: '5.8.3', status: 'skipped', diagnostics: [] }] },
+        ],
+      },
+    ]);
+    assert.deepStrictEqual(report.errors, [
+      {
+        event: 'project:error',
+        compilerVersion: '5.8.3',
+        diagnostics: [{ message: 'No tsconfig', formatted: 'No tsconfig [error]', category: 'error' }],
+      },
+    ]);
+  });
+
+  it('should write one line per event in NDJSON mode', () => {
+    const records = runEvents({ jsonMode: 'ndjson' }).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.strictEqual(records.length, events.length);
+    assert.deepStrictEqual(records.find(record => record.event === 'describe:start'), {
+      schemaVersion: 1,
+      event: 'describe:start',
+      compilerVersion: '5.8.3',
+      file: 'typetests/a.test.ts',
+      name: 'Math',
+    });
+    assert.deepStrictEqual(records.find(record => record.event === 'test:pass'), {
+      schemaVersion: 1,
+      event: 'test:pass',
+      compilerVersion: '5.8.3',
+      file: 'typetests/a.test.ts',
+      describes: ['Math'],
+      name: 'adds',
+      status: 'passed',
+      duration: 2,
+    });
+    assert.deepStrictEqual(records.find(record => record.event === 'describe:end'), {
+      schemaVersion: 1,
+      event: 'describe:end',
+      compilerVersion: '5.8.3',
+      file: 'typetests/a.test.ts',
+      name: 'Math',
+    });
+  });
+
+  it('should write to the file of the jsonOutput option, rather than the output option', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-json-'));
+
+    try {
+      const resolvedConfig = createResolvedConfig({ rootPath: directory });
+      const reporter = new TstycheJsonReporter(resolvedConfig, { config: { output: 'reports/other.json', jsonOutput: 'reports/types.json' } });
+      for (const event of [createRunEvent('start'), createRunEvent('end')]) {
+        reporter.on(event);
+      }
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename -- Reads from a temporary directory
+      assert.strictEqual(JSON.parse(await readFile(path.join(directory, 'reports/types.json'), 'utf8')).schemaVersion, JSON_REPORTER_SCHEMA_VERSION);
+      // eslint-disable-next-line security/detect-non-literal-fs-filename -- Reads from a temporary directory
+      await assert.rejects(readFile(path.join(directory, 'reports/other.json'), 'utf8'), { code: 'ENOENT' });
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should report known failures with an expected status', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-json-'));
+    const knownFailuresPath = path.join(directory, 'known-failures.json');
+
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename -- Writes to a temporary directory
+      await writeFile(knownFailuresPath, JSON.stringify([{ name: 'Math › subtracts', expires: '2099-12-31' }]));
+
+      const knownFailureEvents = [
+        createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+        createProjectUsesEvent('5.9.3'),
+        createFileEvent('start', 'typetests/math.test.ts'),
+        createDescribeEvent('start', 'Math'),
+        ...createTestEvents('fail', 'subtracts', { diagnostics: [createDiagnostic('Type mismatch')] }),
+        ...createTestEvents('fail', 'divides', { diagnostics: [createDiagnostic('Type mismatch')] }),
+        createDescribeEvent('end', 'Math'),
+        createFileEvent('end', 'typetests/math.test.ts'),
+        createRunEvent('end'),
+      ];
+
+      const report = JSON.parse(runReporter(TstycheJsonReporter, knownFailureEvents, { config: { knownFailures: knownFailuresPath } }).stdout);
+
+      assert.deepStrictEqual(report.summary.total, { passed: 0, failed: 1, skipped: 0, todo: 0, fixme: 0, expected: 1, errors: 0 });
+      assert.deepStrictEqual(
+        report.files[0].describes[0].tests.map((/** @type {any} */ test) => [test.name, test.results[0].status]),
+        [['subtracts', 'expected'], ['divides', 'failed']]
+      );
+
+      const records = runReporter(TstycheJsonReporter, knownFailureEvents, { config: { jsonMode: 'ndjson', knownFailures: knownFailuresPath } })
+        .stdout.trim().split('\n').map(line => JSON.parse(line));
+
+      assert.deepStrictEqual(
+        records.filter(record => record.event === 'test:fail').map(record => [record.name, record.status]),
+        [['subtracts', 'expected'], ['divides', 'failed']]
+      );
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { TstycheBaseReporter, TstycheJunitReporter } from '../index.js';
+import {
+  createDescribeEvent,
+  createDiagnostic,
+  createErrorEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createTestEvents,
+  createTestResult,
+  runReporter,
+} from '../lib/testing.js';
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+// eslint-disable-next-line security/detect-non-literal-fs-filename -- Reads from a temporary directory
+const readReport = (filePath) => readFile(filePath, 'utf8');
+
+describe('TstycheJunitReporter', () => {
+  /** @type {string} */
+  let directory;
+  /** @type {string} */
+  let reportPath;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'tstyche-junit-'));
+    reportPath = path.join(directory, 'tstyche-junit.xml');
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should extend TstycheBaseReporter', () => {
+    const reporter = new TstycheJunitReporter(createResolvedConfig());
+
+    assert.ok(reporter instanceof TstycheBaseReporter);
+  });
+
+  it('should write the report to tstyche-junit.xml in the root path by default', async () => {
+    runReporter(TstycheJunitReporter, [createRunEvent('start'), createRunEvent('end')], {
+      resolvedConfig: createResolvedConfig({ rootPath: directory }),
+    });
+
+    const report = await readReport(reportPath);
+
+    assert.match(report, /<testsuites name="tstyche" tests="0" failures="0" errors="0" skipped="0" time="0.000">\n<\/testsuites>/);
+  });
+
+  it('should resolve TSTYCHE_REPORTERS_JUNIT_OUTPUT against the root path', async () => {
+    // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+    process.env['TSTYCHE_REPORTERS_JUNIT_OUTPUT'] = 'reports/types.xml';
+
+    try {
+      runReporter(TstycheJunitReporter, [createRunEvent('start'), createRunEvent('end')], {
+        resolvedConfig: createResolvedConfig({ rootPath: directory }),
+        config: { output: 'reports/other.xml' },
+      });
+
+      assert.ok(await readReport(path.join(directory, 'reports', 'types.xml')));
+      await assert.rejects(readReport(path.join(directory, 'reports', 'other.xml')), { code: 'ENOENT' });
+    } finally {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      delete process.env['TSTYCHE_REPORTERS_JUNIT_OUTPUT'];
+    }
+  });
+
+  it('should write one suite per file per TypeScript version', async () => {
+    runReporter(TstycheJunitReporter, [
+      createRunEvent('start'),
+      createProjectUsesEvent('5.8.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      createDescribeEvent('start', 'Math'),
+      ...createTestEvents('pass', 'adds', { duration: 250 }),
+      ...createTestEvents('fail', 'fails <here>', { diagnostics: [createDiagnostic('Type \'string\' is not the same as type \'number\'.')], duration: 250 }),
+      ...createTestEvents('skip', 'skipped', { duration: 250 }),
+      ...createTestEvents('todo', 'todo', { duration: 250 }),
+      createDescribeEvent('end', 'Math'),
+      createFileEvent('end', 'typetests/a.test.ts', { duration: 2000 }),
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      createErrorEvent('test:error', [createDiagnostic('Broken')], createTestResult('broken', { duration: 250 })),
+      createFileEvent('end', 'typetests/a.test.ts', { duration: 250 }),
+      createRunEvent('end'),
+    ], { config: { junitOutput: reportPath } });
+
+    const report = await readReport(reportPath);
+
+    assert.match(report, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="tstyche" tests="5" failures="1" errors="1" skipped="2" time="2.250">/);
+    assert.match(report, /<testsuite name="typetests\/a.test.ts \(TypeScript 5.8.3\)" file="typetests\/a.test.ts" tests="4" failures="1" errors="0" skipped="2" time="2.000"/);
+    assert.match(report, /<testsuite name="typetests\/a.test.ts \(TypeScript 5.9.3\)" file="typetests\/a.test.ts" tests="1" failures="0" errors="1" skipped="0" time="0.250"/);
+    assert.match(report, /<property name="typescript" value="5.8.3"\/>/);
+    assert.match(report, /<testcase name="Math › adds" classname="typetests\/a.test.ts \(TypeScript 5.8.3\)" time="0.250"\/>/);
+    assert.match(report, /<testcase name="Math › fails &lt;here&gt;"[^>]*>\n\s+<failure message="Type &apos;string&apos; is not the same as type &apos;number&apos;. \[error\]" type="AssertionError">/);
+    assert.match(report, /<testcase name="Math › todo"[^>]*>\n\s+<skipped message="todo"\/>/);
+    assert.match(report, /<testcase name="broken"[^>]*>\n\s+<error message="Broken \[error\]" type="Error">Broken \[error\]<\/error>/);
+  });
+
+  it('should record known failures as skipped test cases', async () => {
+    const knownFailuresPath = path.join(directory, 'known-failures.json');
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename -- Writes to a temporary directory
+    await writeFile(knownFailuresPath, JSON.stringify([
+      { name: 'Math › fails', expires: '2099-12-31', reason: 'Upstream <bug>' },
+    ]));
+
+    runReporter(TstycheJunitReporter, [
+      createRunEvent('start'),
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      createDescribeEvent('start', 'Math'),
+      ...createTestEvents('fail', 'fails', { diagnostics: [createDiagnostic('Type mismatch')], duration: 250 }),
+      createDescribeEvent('end', 'Math'),
+      createFileEvent('end', 'typetests/a.test.ts', { duration: 250 }),
+      createRunEvent('end'),
+    ], { config: { knownFailures: knownFailuresPath, junitOutput: reportPath } });
+
+    const report = await readReport(reportPath);
+
+    assert.match(report, /<testsuites name="tstyche" tests="1" failures="0" errors="0" skipped="1"/);
+    assert.match(report, /<testcase name="Math › fails"[^>]*>\n\s+<skipped message="expected failure: Upstream &lt;bug&gt;"\/>\n\s+<\/testcase>/);
+  });
+
+  it('should record errors outside of tests as test cases of their own', async () => {
+    runReporter(TstycheJunitReporter, [
+      createRunEvent('start'),
+      createErrorEvent('project:error', [createDiagnostic('No tsconfig')]),
+      createRunEvent('end'),
+    ], { config: { junitOutput: reportPath } });
+
+    const report = await readReport(reportPath);
+
+    assert.match(report, /<testsuite name="tstyche" tests="1" failures="0" errors="1"/);
+    assert.match(report, /<testcase name="project:error" classname="tstyche" time="0.000">\n\s+<error message="No tsconfig \[error\]"/);
+  });
+
+  it('should record errors outside of files in a suite of their own', async () => {
+    runReporter(TstycheJunitReporter, [
+      createRunEvent('start'),
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      ...createTestEvents('pass', 'adds'),
+      createFileEvent('end', 'typetests/a.test.ts'),
+      createErrorEvent('project:error', [createDiagnostic('No tsconfig')]),
+      createErrorEvent('file:error', [createDiagnostic('Cannot read file')]),
+      createFileEvent('start', 'typetests/b.test.ts'),
+      ...createTestEvents('pass', 'subtracts'),
+      createFileEvent('end', 'typetests/b.test.ts'),
+      createRunEvent('end'),
+    ], { config: { junitOutput: reportPath } });
+
+    const suites = [...(await readReport(reportPath)).matchAll(/<testsuite name="([^"]*)"[^>]* tests="(\d+)" failures="\d+" errors="(\d+)"/g)]
+      .map(([, name, tests, errors]) => `${name} ${tests} ${errors}`);
+
+    assert.deepStrictEqual(suites, [
+      'typetests/a.test.ts (TypeScript 5.9.3) 1 0',
+      'tstyche (TypeScript 5.9.3) 2 2',
+      'typetests/b.test.ts (TypeScript 5.9.3) 1 0',
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { stripVTControlCharacters } from 'node:util';
+
+import { TstycheBaseReporter, TstycheMatrixReporter, TstycheMultiReporter } from '../index.js';
+import {
+  createDescribeEvent,
+  createDiagnostic,
+  createErrorEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createTestEvents,
+  createTestResult,
+  runReporter,
+} from '../lib/testing.js';
+
+/** @import { ReporterConfig } from '../lib/config.js' */
+
+const events = [
+  createRunEvent('start'),
+  createProjectUsesEvent('5.8.3'),
+  createFileEvent('start', 'typetests/a.test.ts'),
+  createDescribeEvent('start', 'Math'),
+  ...createTestEvents('pass', 'adds'),
+  ...createTestEvents('pass', 'changed'),
+  ...createTestEvents('skip', 'skipped'),
+  createDescribeEvent('end', 'Math'),
+  createFileEvent('end', 'typetests/a.test.ts'),
+  createProjectUsesEvent('5.9.3'),
+  createFileEvent('start', 'typetests/a.test.ts'),
+  createDescribeEvent('start', 'Math'),
+  ...createTestEvents('pass', 'adds'),
+  ...createTestEvents('fail', 'changed'),
+  ...createTestEvents('skip', 'skipped'),
+  createErrorEvent('test:error', [], createTestResult('new')),
+  createDescribeEvent('end', 'Math'),
+  createFileEvent('end', 'typetests/a.test.ts'),
+  createRunEvent('end'),
+];
+
+/**
+ * @param {Partial<ReporterConfig>} config
+ * @returns {string}
+ */
+const runEvents = (config) => runReporter(TstycheMatrixReporter, events, { config }).stdout;
+
+describe('TstycheMatrixReporter', () => {
+  it('should extend TstycheBaseReporter', () => {
+    const reporter = new TstycheMatrixReporter(createResolvedConfig());
+
+    assert.ok(reporter instanceof TstycheBaseReporter);
+  });
+
+  it('should print a row per test and a column per TypeScript version', () => {
+    const output = stripVTControlCharacters(runEvents({ mode: 'cli' }));
+
+    assert.deepStrictEqual(output.trim().split('\n').slice(-5), [
+      'Test                                  5.8.3  5.9.3',
+      'typetests/a.test.ts › Math › adds     ✔      ✔',
+      'typetests/a.test.ts › Math › changed  ✔      ✖',
+      'typetests/a.test.ts › Math › skipped  -      -',
+      'typetests/a.test.ts › Math › new      –      ✖',
+    ]);
+  });
+
+  it('should only print differing tests as a Markdown table when asked to', () => {
+    assert.strictEqual(runEvents({ matrixDiff: true, mode: 'markdown' }), [
+      '',
+      '## TypeScript version differences',
+      '',
+      '| Test                                 | 5.8.3              | 5.9.3       |',
+      '| ------------------------------------ | ------------------ | ----------- |',
+      '| typetests/a.test.ts › Math › changed | :white_check_mark: | :stop_sign: |',
+      '| typetests/a.test.ts › Math › new     | –                  | :stop_sign: |',
+      '',
+      '',
+    ].join('\n'));
+  });
+
+  it('should leave errors and known failure warnings to the reporter it is paired with', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-matrix-'));
+    const knownFailuresPath = path.join(directory, 'known-failures.json');
+
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename -- Writes to a temporary directory
+      await writeFile(knownFailuresPath, JSON.stringify([{ name: 'Math › divides', expires: '2000-01-01' }]));
+
+      const { stderr, stdout } = runReporter(TstycheMultiReporter, [
+        ...events.slice(0, -1),
+        createErrorEvent('project:error', [createDiagnostic('No tsconfig')]),
+        createRunEvent('end'),
+      ], {
+        config: {
+          knownFailures: knownFailuresPath,
+          reporters: [{ reporter: 'dot' }, { reporter: 'matrix' }],
+        },
+      });
+      const output = stdout + stderr;
+
+      assert.strictEqual(output.split('No tsconfig').length, 2);
+      assert.strictEqual(output.split('Known failure Math › divides expired').length, 2);
+      assert.match(stdout, /typetests\/a\.test\.ts › Math › changed +✔ +✖/);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { TstycheBaseReporter, TstycheMochaReporter, TstycheMultiReporter, TstycheRecorderReporter } from '../index.js';
+import {
+  createDiagnostic,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createTestEvents,
+  runReporter,
+} from '../lib/testing.js';
+
+/** @import { ReporterEvent } from 'tstyche/tstyche' */
+
+/* eslint-disable security/detect-non-literal-fs-filename -- Reads and writes in a temporary directory */
+
+const events = [
+  createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+  createProjectUsesEvent('5.9.3'),
+  createFileEvent('start', 'typetests/math.test.ts'),
+  ...createTestEvents('pass', 'adds'),
+  ...createTestEvents('fail', 'subtracts', { diagnostics: [createDiagnostic('Type mismatch')] }),
+  createFileEvent('end', 'typetests/math.test.ts'),
+  createRunEvent('end'),
+];
+
+/** @type {ReporterEvent[0][]} */
+let receivedEvents = [];
+
+class ListingReporter {
+  /** @param {ReporterEvent} reporterEvent */
+  on (reporterEvent) {
+    receivedEvents.push(reporterEvent[0]);
+  }
+}
+
+class UncreatableReporter {
+  constructor () {
+    throw new Error('Missing settings');
+  }
+
+  on () {}
+}
+
+class ThrowingReporter {
+  /** @param {ReporterEvent} reporterEvent */
+  on (reporterEvent) {
+    if (reporterEvent[0] === 'test:pass') {
+      throw new Error('Broken reporter');
+    }
+  }
+}
+
+describe('TstycheMultiReporter', () => {
+  /** @type {string | number | undefined} */
+  let originalExitCode;
+
+  beforeEach(() => {
+    originalExitCode = process.exitCode;
+    receivedEvents = [];
+  });
+
+  afterEach(() => {
+    process.exitCode = originalExitCode;
+  });
+
+  it('should extend TstycheBaseReporter', () => {
+    const reporter = new TstycheMultiReporter(createResolvedConfig(), { config: { reporters: [{ reporter: 'dot' }] } });
+
+    assert.ok(reporter instanceof TstycheBaseReporter);
+  });
+
+  it('should require at least one reporter', () => {
+    assert.throws(
+      () => new TstycheMultiReporter(createResolvedConfig()),
+      { message: 'TstycheMultiReporter requires at least one reporter in the \'reporters\' option' }
+    );
+  });
+
+  it('should reject unknown reporters', () => {
+    assert.throws(
+      () => new TstycheMultiReporter(createResolvedConfig(), { config: { reporters: [{ reporter: 'fancy' }] } }),
+      { message: /^Unknown reporter 'fancy' in the 'reporters' option, expected one of baseline, dot, github-actions, / }
+    );
+  });
+
+  it('should reject invalid options of a reporter', () => {
+    assert.throws(
+      // @ts-expect-error Testing an invalid value
+      () => new TstycheMultiReporter(createResolvedConfig(), { config: { reporters: [{ reporter: 'dot' }, { reporter: 'mocha', mode: 'fancy' }] } }),
+      { message: /^Invalid tstyche-reporters option 'reporters' in reporter options: Invalid option 'mode' in entry 1: Expected one of 'auto', / }
+    );
+  });
+
+  it('should forward every event to every reporter', () => {
+    const { stdout } = runReporter(TstycheMultiReporter, events, {
+      config: { reporters: [{ reporter: ListingReporter }, { reporter: 'dot' }] },
+    });
+
+    assert.deepStrictEqual(receivedEvents, events.map(([event]) => event));
+    assert.strictEqual(stdout, '\nuses TypeScript 5.9.3 with ./tsconfig.json\n\n.F\n\n\n');
+  });
+
+  it('should give each reporter its own mode and destination', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-multi-'));
+    const outputPath = path.join(directory, 'types.md');
+
+    try {
+      const { stdout } = runReporter(TstycheMultiReporter, events, {
+        config: { reporters: [{ reporter: 'dot' }, { reporter: 'mocha', mode: 'markdown', output: outputPath }] },
+      });
+
+      assert.strictEqual(stdout, '\nuses TypeScript 5.9.3 with ./tsconfig.json\n\n.F\n\n\n');
+
+      const markdown = await readFile(outputPath, 'utf8');
+      assert.ok(markdown.includes('# uses TypeScript 5.9.3 with ./tsconfig.json'));
+      assert.ok(markdown.includes(':white_check_mark: adds'));
+      assert.ok(markdown.includes(':stop_sign: subtracts'));
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep forwarding events to the other reporters when one throws', () => {
+    const { stderr } = runReporter(TstycheMultiReporter, events, {
+      config: { reporters: [{ reporter: ThrowingReporter }, { reporter: ListingReporter }] },
+    });
+
+    assert.deepStrictEqual(receivedEvents, events.map(([event]) => event));
+    assert.strictEqual(stderr, 'Error: Reporter \'ThrowingReporter\' failed on test:pass and receives no further events: Broken reporter\n');
+    assert.strictEqual(process.exitCode, 1);
+  });
+
+  it('should write the files of file-writing reporters to their own output', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-multi-'));
+    const resolvedConfig = createResolvedConfig({ rootPath: directory });
+
+    try {
+      runReporter(TstycheMultiReporter, events, {
+        resolvedConfig,
+        config: {
+          reporters: [
+            { reporter: 'junit', output: 'out/a.xml' },
+            { reporter: 'junit', output: 'out/b.xml', mode: 'markdown' },
+            { reporter: 'json', output: 'out/types.json' },
+            { reporter: 'recorder', output: 'out/types.ndjson' },
+          ],
+        },
+      });
+
+      // The reports are written a moment apart, so their timestamps can differ
+      const junit = (await readFile(path.join(directory, 'out/a.xml'), 'utf8')).replaceAll(/ timestamp="[^"]*"/g, '');
+      assert.match(junit, /<testsuites name="tstyche" tests="2" failures="1" /);
+      assert.strictEqual((await readFile(path.join(directory, 'out/b.xml'), 'utf8')).replaceAll(/ timestamp="[^"]*"/g, ''), junit);
+      const json = JSON.parse(await readFile(path.join(directory, 'out/types.json'), 'utf8'));
+      assert.strictEqual(json.summary.total.failed, 1);
+      assert.strictEqual(await readFile(path.join(directory, 'out/types.ndjson'), 'utf8'), runReporter(TstycheRecorderReporter, events, { resolvedConfig }).stdout);
+      await assert.rejects(readFile(path.join(directory, 'tstyche-junit.xml'), 'utf8'), { code: 'ENOENT' });
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should not write the files of file-writing reporters to the shared output', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-multi-'));
+    const resolvedConfig = createResolvedConfig({ rootPath: directory });
+
+    try {
+      const reporter = new TstycheMultiReporter(resolvedConfig, {
+        config: {
+          output: 'out/types.txt',
+          reporters: [{ reporter: 'mocha' }, { reporter: 'junit' }, { reporter: 'recorder' }],
+        },
+      });
+      for (const event of events) {
+        reporter.on(event);
+      }
+
+      const output = await readFile(path.join(directory, 'out/types.txt'), 'utf8');
+      assert.strictEqual(output, runReporter(TstycheMochaReporter, events, { resolvedConfig }).stdout);
+      assert.match(await readFile(path.join(directory, 'tstyche-junit.xml'), 'utf8'), /<testsuites name="tstyche" tests="2" failures="1" /);
+      assert.strictEqual(await readFile(path.join(directory, 'tstyche-recording.ndjson'), 'utf8'), runReporter(TstycheRecorderReporter, events, { resolvedConfig }).stdout);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep the other reporters running when one can\'t be created', () => {
+    const { stderr } = runReporter(TstycheMultiReporter, events, {
+      config: { reporters: [{ reporter: UncreatableReporter }, { reporter: ListingReporter }] },
+    });
+
+    assert.deepStrictEqual(receivedEvents, events.map(([event]) => event));
+    assert.strictEqual(stderr, 'Error: Reporter \'UncreatableReporter\' could not be created and receives no events: Missing settings\n');
+    assert.strictEqual(process.exitCode, 1);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripVTControlCharacters } from 'node:util';
+
+import { TstycheDotReporter, TstycheProgressReporter } from '../index.js';
+import {
+  createCollectEvents,
+  createDescribeEvent,
+  createDiagnostic,
+  createExpectEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createTargetEvent,
+  createTestEvent,
+  createTestEvents,
+  createTestResult,
+  runReporter,
+} from '../lib/testing.js';
+
+const events = [
+  createRunEvent('start', { files: ['typetests/a.test.ts', 'typetests/b.test.ts'] }),
+  createTargetEvent('start'),
+  createProjectUsesEvent('5.9.3'),
+  createFileEvent('start', 'typetests/a.test.ts'),
+  ...createCollectEvents(['describe', 'test', 'expect', 'it']),
+  createDescribeEvent('start', 'Math'),
+  ...createTestEvents('pass', 'adds'),
+  ...createTestEvents('fail', 'fails', { diagnostics: [createDiagnostic('Type mismatch')] }),
+  createDescribeEvent('end', 'Math'),
+  createFileEvent('end', 'typetests/a.test.ts'),
+  createFileEvent('start', 'typetests/b.test.ts'),
+  ...createCollectEvents(['test']),
+  ...createTestEvents('skip', 'skipped'),
+  createFileEvent('end', 'typetests/b.test.ts'),
+  createTargetEvent('end'),
+  createRunEvent('end'),
+];
+
+/**
+ * @param {boolean} isTTY
+ * @returns {string}
+ */
+const runEvents = (isTTY) => {
+  const { stderr, stdout } = runReporter(TstycheProgressReporter, events, { columns: 120, config: { mode: 'cli' }, isTTY });
+
+  assert.strictEqual(stderr, '');
+
+  return stdout;
+};
+
+describe('TstycheProgressReporter', () => {
+  it('should extend TstycheDotReporter', () => {
+    const reporter = new TstycheProgressReporter(createResolvedConfig());
+
+    assert.ok(reporter instanceof TstycheDotReporter);
+  });
+
+  it('should redraw a status line and print failures above it on a TTY', () => {
+    const redraws = runEvents(true)
+      .split('\r\u001B[2K')
+      .map(chunk => stripVTControlCharacters(chunk));
+
+    assert.deepStrictEqual(redraws, [
+      '\nuses TypeScript 5.9.3 with ./tsconfig.json\n\n',
+      'TypeScript 5.9.3 [░░░░░░░░░░░░░░░░░░░░]   0% ✔ 0 ✖ 0 - 0 typetests/a.test.ts',
+      'TypeScript 5.9.3 [░░░░░░░░░░░░░░░░░░░░]   0% ✔ 0 ✖ 0 - 0 typetests/a.test.ts',
+      'TypeScript 5.9.3 [█████░░░░░░░░░░░░░░░]  25% ✔ 1 ✖ 0 - 0 typetests/a.test.ts',
+      '✖ typetests/a.test.ts › Math › fails\n    Type mismatch [error]\n',
+      'TypeScript 5.9.3 [██████████░░░░░░░░░░]  50% ✔ 1 ✖ 1 - 0 typetests/a.test.ts',
+      'TypeScript 5.9.3 [██████████░░░░░░░░░░]  50% ✔ 1 ✖ 1 - 0 typetests/a.test.ts',
+      'TypeScript 5.9.3 [██████████░░░░░░░░░░]  50% ✔ 1 ✖ 1 - 0 typetests/b.test.ts',
+      'TypeScript 5.9.3 [██████████░░░░░░░░░░]  50% ✔ 1 ✖ 1 - 0 typetests/b.test.ts',
+      'TypeScript 5.9.3 [████████████████████] 100% ✔ 1 ✖ 1 - 1 typetests/b.test.ts',
+      'TypeScript 5.9.3 [████████████████████] 100% ✔ 1 ✖ 1 - 1 typetests/b.test.ts',
+      'TypeScript 5.9.3 [████████████████████] 100% ✔ 1 ✖ 1 - 1\n\n',
+    ]);
+  });
+
+  it('should fall back to dots when not writing to a TTY', () => {
+    const output = stripVTControlCharacters(runEvents(false));
+
+    assert.ok(!output.includes('\r'));
+    assert.ok(output.includes('.F*'));
+  });
+
+  it('should not collect diagnostics when not writing to a TTY', () => {
+    const { reporter } = runReporter(TstycheProgressReporter, [
+      createRunEvent('start', { files: ['typetests/a.test.ts'] }),
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      ...createTestEvents('fail', 'fails', { diagnostics: [createDiagnostic('Type mismatch')] }),
+    ]);
+
+    assert.strictEqual(reporter.pendingDiagnostics.size, 0);
+  });
+
+  it('should print the errors of assertions only along with the failure of their test on a TTY', () => {
+    const result = createTestResult('fails');
+    const { stderr, stdout } = runReporter(TstycheProgressReporter, [
+      createRunEvent('start', { files: ['typetests/a.test.ts'] }),
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      createTestEvent('start', result),
+      createExpectEvent('start', result),
+      createExpectEvent('error', result, { diagnostics: [createDiagnostic('Cannot find name')] }),
+      createTestEvent('fail', result),
+      createFileEvent('end', 'typetests/a.test.ts'),
+      createRunEvent('end'),
+    ], { isTTY: true, config: { mode: 'cli' } });
+
+    assert.strictEqual(stderr, '');
+    assert.strictEqual(stripVTControlCharacters(stdout).split('Cannot find name').length, 2);
+    assert.ok(stripVTControlCharacters(stdout).includes('✖ typetests/a.test.ts › fails\n    Cannot find name [error]\n'));
+  });
+
+  it('should truncate the status line to the width of the terminal', () => {
+    const { stdout } = runReporter(TstycheProgressReporter, [
+      createRunEvent('start', { files: ['typetests/a.test.ts'] }),
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      ...createTestEvents('pass', 'adds'),
+      createFileEvent('end', 'typetests/a.test.ts'),
+      createRunEvent('end'),
+    ], { columns: 30, isTTY: true, config: { mode: 'cli' } });
+
+    const lines = stdout.split('\r\u001B[2K').flatMap(chunk => chunk.split('\n')).map(line => stripVTControlCharacters(line)).filter(line => line.startsWith('TypeScript'));
+
+    assert.ok(lines.length > 0);
+    assert.deepStrictEqual(new Set(lines.map(line => line.length)), new Set([29]));
+    assert.strictEqual(lines.at(-1), 'TypeScript 5.9.3 [██████████…');
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import {
+  TstycheBaseReporter,
+  TstycheMochaReporter,
+  TstycheRecorderReporter,
+  parseRecording,
+  replayRecording,
+} from '../index.js';
+import {
+  TEST_ROOT_PATH,
+  createDescribeEvent,
+  createDiagnostic,
+  createErrorEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createSourceFile,
+  createTestEvents,
+  runReporter,
+} from '../lib/testing.js';
+
+const sourceFile = createSourceFile('typetests/math.test.ts', 'import { expect } from "tstyche";\n\nexpect<number>().type.toBe<string>();\n');
+
+const events = [
+  createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+  createProjectUsesEvent('5.9.3'),
+  createFileEvent('start', 'typetests/math.test.ts'),
+  createDescribeEvent('start', 'Math'),
+  ...createTestEvents('pass', 'adds', { duration: 4 }),
+  ...createTestEvents('fail', 'subtracts', {
+    diagnostics: [createDiagnostic('Type mismatch', { code: 'ts(2322)', origin: { sourceFile, start: 35, end: 71 } })],
+    duration: 7,
+  }),
+  ...createTestEvents('skip', 'skipped'),
+  createDescribeEvent('end', 'Math'),
+  createErrorEvent('file:error', [createDiagnostic('Broken file', { origin: { sourceFile, start: 0, end: 6 } })]),
+  createFileEvent('end', 'typetests/math.test.ts', { duration: 20 }),
+  createRunEvent('end', { duration: 25 }),
+];
+
+/**
+ * @param {string} recording
+ * @returns {Array<Record<string, unknown>>}
+ */
+function parseLines (recording) {
+  return recording.trimEnd().split('\n').map(line => /** @type {Record<string, unknown>} */ (JSON.parse(line)));
+}
+
+describe('TstycheRecorderReporter', () => {
+  it('should extend TstycheBaseReporter', () => {
+    // @ts-expect-error Test fixture, not a full ResolvedConfig
+    const reporter = new TstycheRecorderReporter({}, { stdout: { write: () => {} }, stderr: { write: () => {} } });
+
+    assert.ok(reporter instanceof TstycheBaseReporter);
+  });
+
+  it('should record a header, then every event with the source files it refers to', () => {
+    const { stderr, stdout } = runReporter(TstycheRecorderReporter, events);
+    const lines = parseLines(stdout);
+
+    assert.strictEqual(stderr, '');
+    assert.deepStrictEqual(lines[0], {
+      type: 'header',
+      version: 1,
+      config: {
+        checkDeclarationFiles: true,
+        checkSuppressedErrors: true,
+        failFast: false,
+        fixtureFileMatch: ['**/__fixtures__/*.{ts,tsx}', '**/fixtures/*.{ts,tsx}'],
+        pathMatch: [],
+        quiet: false,
+        rejectAnyType: true,
+        rejectNeverType: true,
+        reporters: ['list', 'summary'],
+        target: ['*'],
+        testFileMatch: ['**/*.tst.*', '**/__typetests__/*.test.*', '**/typetests/*.test.*'],
+        tsconfig: 'findup',
+        verbose: false,
+      },
+    });
+    assert.deepStrictEqual(lines.filter(line => line['type'] === 'event').map(line => line['event']), events.map(([event]) => event));
+    assert.deepStrictEqual(lines.filter(line => line['type'] === 'source').map(line => line['fileName']), [
+      path.join('typetests', 'test.tst.ts'),
+      path.join('typetests', 'math.test.ts'),
+    ]);
+    assert.strictEqual(
+      lines.findIndex(line => line['type'] === 'source' && line['id'] === 1),
+      lines.findIndex(line => line['event'] === 'expect:fail') - 1
+    );
+    assert.deepStrictEqual(lines[2], { type: 'event', event: 'project:uses', payload: { compilerVersion: '5.9.3', projectConfigFilePath: 'tsconfig.json' } });
+    assert.deepStrictEqual(lines.find(line => line['type'] === 'source' && line['id'] === 1), {
+      type: 'source',
+      id: 1,
+      fileName: path.join('typetests', 'math.test.ts'),
+      text: 'import { expect } from "tstyche";\n\nexpect<number>().type.toBe<string>();\n',
+    });
+    assert.deepStrictEqual(lines.find(line => line['event'] === 'expect:fail'), {
+      type: 'event',
+      event: 'expect:fail',
+      payload: {
+        diagnostics: [{ category: 'error', code: 'ts(2322)', text: 'Type mismatch', origin: { sourceFile: 1, start: 35, end: 71 } }],
+        result: {
+          id: 8,
+          expect: { matcherName: 'toBe', isNot: false, source: 'expect<string>().type.toBe<string>()', start: 0, sourceFile: 0 },
+          parent: { id: 6, timing: { start: 1_000_000, end: 1_000_007 }, test: { brand: 'test', name: 'subtracts' } },
+        },
+      },
+    });
+  });
+
+  it('should not write anything but the recording', () => {
+    const { stdout } = runReporter(TstycheRecorderReporter, events);
+
+    assert.ok(parseLines(stdout).every(line => line['type'] === 'header' || line['type'] === 'source' || line['type'] === 'event'));
+  });
+
+  describe('parseRecording()', () => {
+    it('should restore events with shared results, relative to a new root path', () => {
+      const { stdout } = runReporter(TstycheRecorderReporter, events);
+      const rootPath = path.resolve('/elsewhere');
+      const { config, events: parsed } = parseRecording(stdout, rootPath);
+
+      assert.strictEqual(config.rootPath, undefined);
+      assert.deepStrictEqual(config.target, ['*']);
+      assert.strictEqual(parsed.length, events.length);
+
+      const fileStart = parsed[2];
+      const expectFail = parsed.find(([event]) => event === 'expect:fail');
+      const testFail = parsed.find(([event]) => event === 'test:fail');
+
+      assert.ok(fileStart?.[0] === 'file:start');
+      assert.strictEqual(fileStart[1].result.file.path, path.join(rootPath, 'typetests/math.test.ts'));
+
+      assert.ok(expectFail?.[0] === 'expect:fail' && testFail?.[0] === 'test:fail');
+      assert.strictEqual(expectFail[1].result.parent, testFail[1].result);
+      assert.strictEqual(testFail[1].result.test.name, 'subtracts');
+
+      const [diagnostic] = expectFail[1].diagnostics;
+      assert.strictEqual(diagnostic?.origin?.sourceFile.fileName, path.join(rootPath, 'typetests/math.test.ts'));
+      assert.deepStrictEqual(diagnostic.origin.sourceFile.getLineAndCharacterOfPosition(diagnostic.origin.start), { line: 2, character: 0 });
+    });
+
+    it('should reject recordings without a header', () => {
+      assert.throws(
+        () => parseRecording('{"type":"event","event":"run:start","payload":{}}\n', TEST_ROOT_PATH),
+        { message: 'Invalid recording, line 1: Expected a recording header' }
+      );
+    });
+
+    it('should reject recordings of other versions', () => {
+      assert.throws(
+        () => parseRecording('{"type":"header","version":99,"config":{}}\n', TEST_ROOT_PATH),
+        { message: 'Invalid recording, line 1: Unsupported recording version 99, expected 1' }
+      );
+    });
+
+    it('should reject malformed lines', () => {
+      const { stdout } = runReporter(TstycheRecorderReporter, events.slice(0, 2));
+
+      assert.throws(
+        () => parseRecording(stdout + '{"type":\n', TEST_ROOT_PATH),
+        { message: /^Invalid recording, line 4: / }
+      );
+    });
+  });
+
+  describe('replayRecording()', () => {
+    it('should render the same output as the recorded run', () => {
+      const { stdout: recording } = runReporter(TstycheRecorderReporter, events);
+      const { stderr, stdout } = runReporter(TstycheMochaReporter, events);
+
+      let replayed = '';
+      let replayedErrors = '';
+
+      const reporter = new TstycheMochaReporter(createResolvedConfig(), {
+        stdout: { write: (chunk) => { replayed += chunk; } },
+        stderr: { write: (chunk) => { replayedErrors += chunk; } },
+        config: { mode: 'plain' },
+      });
+
+      replayRecording(recording, reporter);
+
+      assert.ok(stdout.includes('> 3 | expect<number>().type.toBe<string>();'));
+      assert.strictEqual(replayed, stdout);
+      assert.strictEqual(replayedErrors, stderr);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { TstycheMochaReporter, TstycheStepSummaryReporter } from '../index.js';
+import {
+  createDescribeEvent,
+  createDiagnostic,
+  createErrorEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createTestEvents,
+  runReporter,
+} from '../lib/testing.js';
+
+/* eslint-disable security/detect-non-literal-fs-filename -- Reads and writes in a temporary directory */
+
+describe('TstycheStepSummaryReporter', () => {
+  /** @type {string} */
+  let summaryPath;
+  /** @type {string | undefined} */
+  let originalValue;
+
+  beforeEach(async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-step-summary-'));
+    summaryPath = path.join(directory, 'summary.md');
+    await writeFile(summaryPath, 'Earlier step\n');
+
+    // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+    originalValue = process.env['GITHUB_STEP_SUMMARY'];
+    // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+    process.env['GITHUB_STEP_SUMMARY'] = summaryPath;
+  });
+
+  afterEach(async () => {
+    if (originalValue === undefined) {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      delete process.env['GITHUB_STEP_SUMMARY'];
+    } else {
+      // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+      process.env['GITHUB_STEP_SUMMARY'] = originalValue;
+    }
+    await rm(path.dirname(summaryPath), { recursive: true, force: true });
+  });
+
+  it('should extend TstycheMochaReporter and always use markdown mode', () => {
+    // @ts-expect-error Test fixture, not a full ResolvedConfig
+    const reporter = new TstycheStepSummaryReporter({});
+
+    assert.ok(reporter instanceof TstycheMochaReporter);
+    assert.strictEqual(reporter.format.chalk, undefined);
+  });
+
+  it('should append a complete report on run:end', async () => {
+    let output = '';
+
+    // @ts-expect-error Test fixture, not a full ResolvedConfig
+    const reporter = new TstycheStepSummaryReporter({}, {
+      stdout: { write: (chunk) => { output += chunk; } },
+    });
+
+    const failingTest = { test: { name: 'fails <here>' } };
+
+    /** @type {any[]} */
+    const events = [
+      ['run:start', {}],
+      ['project:uses', { compilerVersion: '5.8.3' }],
+      ['file:start', {}],
+      ['describe:start', { result: { describe: { name: 'Math' } } }],
+      ['test:pass', { result: { test: { name: 'adds' } } }],
+      ['expect:fail', { result: { parent: failingTest }, diagnostics: [{ text: 'Type \'string\' is not the same as type \'number\'.', category: 'error' }] }],
+      ['test:fail', { result: failingTest }],
+      ['test:skip', { result: { test: { name: 'skipped' } } }],
+      ['describe:end', {}],
+      ['project:uses', { compilerVersion: '5.9.3' }],
+      ['file:start', {}],
+      ['test:pass', { result: { test: { name: 'top level' } } }],
+      ['run:end', {}],
+    ];
+
+    for (const event of events) {
+      reporter.on(event);
+    }
+
+    const summary = await readFile(summaryPath, 'utf8');
+
+    assert.strictEqual(output, '');
+    assert.strictEqual(summary, [
+      'Earlier step',
+      '# TSTyche type tests',
+      '',
+      '| TypeScript | Passed | Failed        | Skipped | Todo | Fixme |',
+      '| ---------- | ------ | ------------- | ------- | ---- | ----- |',
+      '| 5.8.3      | 1      | :stop_sign: 1 | 1       | 0    | 0     |',
+      '| 5.9.3      | 1      | 0             | 0       | 0    | 0     |',
+      '',
+      '## Failures',
+      '',
+      '<details>',
+      '<summary>:stop_sign: Math › fails &lt;here&gt; (TypeScript 5.8.3)</summary>',
+      '',
+      '```',
+      'Type \'string\' is not the same as type \'number\'. [error]',
+      '```',
+      '',
+      '</details>',
+      '',
+      '# uses TypeScript 5.8.3 with ./tsconfig.json',
+      '',
+      '### Math',
+      '',
+      ':white_check_mark: adds',
+      ':stop_sign: fails <here>',
+      ':heavy_minus_sign: skipped',
+      '',
+      '# uses TypeScript 5.9.3 with ./tsconfig.json',
+      '',
+      ':white_check_mark: top level',
+      '',
+    ].join('\n'));
+  });
+
+  it('should replace the report of the previous run rather than append another', async () => {
+    const reporter = new TstycheStepSummaryReporter(createResolvedConfig(), { stdout: { write: () => {} } });
+
+    /**
+     * @param {'pass' | 'fail'} outcome
+     */
+    const run = (outcome) => {
+      for (const event of [
+        createRunEvent('start'),
+        createProjectUsesEvent('5.9.3'),
+        createFileEvent('start', 'typetests/math.test.ts'),
+        ...createTestEvents(outcome, 'adds'),
+        createFileEvent('end', 'typetests/math.test.ts'),
+        createRunEvent('end'),
+      ]) {
+        reporter.on(event);
+      }
+    };
+
+    run('fail');
+    run('pass');
+
+    const summary = await readFile(summaryPath, 'utf8');
+
+    assert.ok(summary.startsWith('Earlier step\n# TSTyche type tests\n'));
+    assert.strictEqual(summary.split('# TSTyche type tests').length, 2);
+    assert.match(summary, /\| 5\.9\.3 +\| 1 +\| 0 +\|/);
+    assert.doesNotMatch(summary, /## Failures/);
+  });
+
+  it('should print the report when GITHUB_STEP_SUMMARY is not set', () => {
+    // eslint-disable-next-line n/no-process-env -- Testing environment variable behavior
+    delete process.env['GITHUB_STEP_SUMMARY'];
+
+    let output = '';
+
+    // @ts-expect-error Test fixture, not a full ResolvedConfig
+    const reporter = new TstycheStepSummaryReporter({}, {
+      stdout: { write: (chunk) => { output += chunk; } },
+    });
+
+    reporter.on(['run:start', /** @type {any} */ ({})]);
+    reporter.on(['run:end', /** @type {any} */ ({})]);
+
+    assert.strictEqual(output, '# TSTyche type tests\n\n');
+  });
+
+  it('should include errors that are printed when the run ends', async () => {
+    const { stderr, stdout } = runReporter(TstycheStepSummaryReporter, [
+      createRunEvent('start'),
+      createErrorEvent('project:error', [createDiagnostic('No tsconfig')]),
+      createRunEvent('end'),
+      createRunEvent('start'),
+    ], { config: { errorsInline: false } });
+
+    const summary = await readFile(summaryPath, 'utf8');
+
+    assert.strictEqual(stdout + stderr, '');
+    assert.strictEqual(summary, 'Earlier step\n# TSTyche type tests\n\nError: No tsconfig [error]\n');
+  });
+
+  it('should include warnings about the known failures file', async () => {
+    const knownFailuresPath = path.join(path.dirname(summaryPath), 'known-failures.json');
+    await writeFile(knownFailuresPath, JSON.stringify([{ name: 'Math › divides', expires: '2000-01-01' }]));
+
+    const { stderr, stdout } = runReporter(TstycheStepSummaryReporter, [
+      createRunEvent('start'),
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/math.test.ts'),
+      createDescribeEvent('start', 'Math'),
+      ...createTestEvents('pass', 'adds'),
+      createDescribeEvent('end', 'Math'),
+      createFileEvent('end', 'typetests/math.test.ts'),
+      createRunEvent('end'),
+    ], { config: { knownFailures: knownFailuresPath } });
+
+    const summary = await readFile(summaryPath, 'utf8');
+
+    assert.strictEqual(stdout + stderr, '');
+    assert.ok(summary.trimEnd().endsWith('Warning: Known failure Math › divides expired on 2000-01-01, the tests it matches are failures again'));
+  });
+});
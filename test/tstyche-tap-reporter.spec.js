@@ -0,0 +1,160 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { TstycheBaseReporter, TstycheTapReporter } from '../index.js';
+import {
+  createDescribeEvent,
+  createDiagnostic,
+  createErrorEvent,
+  createFileEvent,
+  createProjectUsesEvent,
+  createResolvedConfig,
+  createRunEvent,
+  createTestEvents,
+  runReporter,
+} from '../lib/testing.js';
+
+const events = [
+  createRunEvent('start'),
+  createProjectUsesEvent('5.8.3'),
+  createFileEvent('start', 'typetests/a.test.ts'),
+  createDescribeEvent('start', 'Math'),
+  ...createTestEvents('pass', 'adds'),
+  ...createTestEvents('fail', 'fails # here', { diagnostics: [createDiagnostic(['Type mismatch', 'Details'])] }),
+  createDescribeEvent('end', 'Math'),
+  ...createTestEvents('skip', 'skipped'),
+  ...createTestEvents('todo', 'later'),
+  createFileEvent('end', 'typetests/a.test.ts'),
+  createProjectUsesEvent('5.9.3'),
+  createFileEvent('start', 'typetests/a.test.ts'),
+  ...createTestEvents('pass', 'adds'),
+  createFileEvent('end', 'typetests/a.test.ts'),
+  createRunEvent('end'),
+];
+
+describe('TstycheTapReporter', () => {
+  it('should extend TstycheBaseReporter', () => {
+    const reporter = new TstycheTapReporter(createResolvedConfig());
+
+    assert.ok(reporter instanceof TstycheBaseReporter);
+  });
+
+  it('should write nested subtests per TypeScript version, file and describe', () => {
+    const { stderr, stdout } = runReporter(TstycheTapReporter, events);
+
+    assert.strictEqual(stderr, '');
+    assert.strictEqual(stdout, [
+      'TAP version 14',
+      '# Subtest: TypeScript 5.8.3',
+      '    # Subtest: typetests/a.test.ts',
+      '        # Subtest: Math',
+      '            ok 1 - adds',
+      '            not ok 2 - fails \\# here',
+      '              ---',
+      '              message: |-',
+      '                Type mismatch',
+      '                Details [error]',
+      '              severity: fail',
+      '              typescript: "5.8.3"',
+      '              ...',
+      '            1..2',
+      '        not ok 1 - Math',
+      '        ok 2 - skipped # SKIP',
+      '        not ok 3 - later # TODO',
+      '        1..3',
+      '    not ok 1 - typetests/a.test.ts',
+      '    1..1',
+      'not ok 1 - TypeScript 5.8.3',
+      '# Subtest: TypeScript 5.9.3',
+      '    # Subtest: typetests/a.test.ts',
+      '        ok 1 - adds',
+      '        1..1',
+      '    ok 1 - typetests/a.test.ts',
+      '    1..1',
+      'ok 2 - TypeScript 5.9.3',
+      '1..2',
+      '',
+    ].join('\n'));
+  });
+
+  it('should escape the names of subtests', () => {
+    const { stdout } = runReporter(TstycheTapReporter, [
+      createRunEvent('start'),
+      createProjectUsesEvent('5.9.3'),
+      createFileEvent('start', 'typetests/a.test.ts'),
+      createDescribeEvent('start', 'Math #1\nwith numbers'),
+      ...createTestEvents('pass', 'adds'),
+      createDescribeEvent('end', 'Math #1\nwith numbers'),
+      createFileEvent('end', 'typetests/a.test.ts'),
+      createRunEvent('end'),
+    ]);
+
+    const lines = stdout.split('\n');
+
+    assert.ok(lines.includes(String.raw`        # Subtest: Math \#1 with numbers`));
+    assert.ok(lines.includes(String.raw`        ok 1 - Math \#1 with numbers`));
+  });
+
+  it('should write the version line only once to a stream', () => {
+    const { stdout } = runReporter(TstycheTapReporter, [
+      createRunEvent('start'),
+      createRunEvent('end'),
+      createRunEvent('start'),
+      createRunEvent('end'),
+    ]);
+
+    assert.strictEqual(stdout, 'TAP version 14\n1..0\n1..0\n');
+  });
+
+  it('should write error events as failing test points', () => {
+    const { stderr, stdout } = runReporter(TstycheTapReporter, [
+      createRunEvent('start'),
+      createErrorEvent('project:error', [createDiagnostic('No tsconfig')]),
+      createRunEvent('end'),
+    ]);
+
+    assert.strictEqual(stderr, '');
+    assert.strictEqual(stdout, [
+      'TAP version 14',
+      'not ok 1 - project:error',
+      '  ---',
+      '  message: |-',
+      '    No tsconfig [error]',
+      '  severity: fail',
+      '  ...',
+      '1..1',
+      '',
+    ].join('\n'));
+  });
+
+  it('should write known failures as not ok test points with a TODO directive', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'tstyche-tap-'));
+    const knownFailuresPath = path.join(directory, 'known-failures.json');
+
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename -- Writes to a temporary directory
+      await writeFile(knownFailuresPath, JSON.stringify([{ name: 'Math › subtracts', expires: '2099-12-31', reason: 'Upstream #123' }]));
+
+      const { stdout } = runReporter(TstycheTapReporter, [
+        createRunEvent('start', { files: ['typetests/math.test.ts'] }),
+        createProjectUsesEvent('5.9.3'),
+        createFileEvent('start', 'typetests/math.test.ts'),
+        createDescribeEvent('start', 'Math'),
+        ...createTestEvents('fail', 'subtracts', { diagnostics: [createDiagnostic('Type mismatch')] }),
+        createDescribeEvent('end', 'Math'),
+        createFileEvent('end', 'typetests/math.test.ts'),
+        createRunEvent('end'),
+      ], { config: { knownFailures: knownFailuresPath } });
+
+      const lines = stdout.split('\n');
+
+      assert.ok(lines.includes(String.raw`            not ok 1 - subtracts # TODO expected failure: Upstream \#123`));
+      assert.ok(lines.includes('        ok 1 - Math'));
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});